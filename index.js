@@ -8,6 +8,9 @@ const cors = require("cors"); // Middleware to enable Cross-Origin Resource Shar
 // Import route handlers for different API endpoints
 const authRouter = require("./src/routes/AuthRoutes"); // Handles authentication-related routes
 const { connectToDB } = require("./src/database/db"); // Database connection function
+const { startPendingOrderExpiryJob } = require("./src/jobs/pendingOrderExpiryJob"); // Expires unpaid orders
+const { startFulfilmentQueueJob } = require("./src/jobs/fulfilmentQueueJob"); // Retries failed Shiprocket fulfilment
+const { getPaymentProvider } = require("./src/services/payment"); // Razorpay (or fake) payment provider
 const itemRouter = require("./src/routes/ItemRoutes"); // Handles item-related routes
 const SubCategoryRouter = require("./src/routes/SubCategoryRoutes"); // Handles subcategory routes
 const CategoryRouter = require("./src/routes/CategoryRoutes"); // Handles category routes
@@ -19,24 +22,44 @@ const razorpayRoutes = require("./src/routes/paymentRoutes"); // Handles payment
 const userProfileRoutes = require("./src/routes/UserProfileRoutes"); // Handles user profile routes
 const itemDetailsRoutes = require("./src/routes/ItemDetailsRoutes"); // Handles item details routes
 const orderRoutes = require("./src/routes/OrderRoutes"); // Handles order-related routes
+const checkoutRoutes = require("./src/routes/CheckoutRoutes"); // Handles checkout quotes and order creation
 const privacyPolicyRoutes = require("./src/routes/PrivacyPolicyRoutes"); // Handles privacy policy routes
 const notificationRoutes = require("./src/routes/NotificationRoutes"); // Handles notification routes
 const filterRoutes = require("./src/routes/FilterRoutes"); // Handles filter-related routes
 const bulkUploadRoutes = require("./src/routes/BulkUploadRoutes"); // Handles filter-related routes
 const ReviewRoutes = require("./src/routes/ReviewRoutes");
 const PromoCodeRoutes = require("./src/routes/PromoCodeRoutes");
+const PriceListRoutes = require("./src/routes/PriceListRoutes");
+const WalletRoutes = require("./src/routes/WalletRoutes");
+const GiftCardRoutes = require("./src/routes/GiftCardRoutes");
+const ShippingRoutes = require("./src/routes/ShippingRoutes");
+const WarehouseRoutes = require("./src/routes/WarehouseRoutes");
+
+// Fail at startup, not on the first checkout, when the payment credentials are missing
+getPaymentProvider();
 
 // Initialize the Express application
 const app = express();
 
 // Apply middleware
 app.use(cors()); // Enable CORS for all routes to allow cross-origin requests
-app.use(express.json()); // Parse incoming JSON requests
+app.use(
+  express.json({
+    // Keep the raw body so webhook signatures can be verified against the exact bytes sent
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+); // Parse incoming JSON requests
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded data with extended option for complex objects
 
 // Connect to the database (e.g., MongoDB, MySQL) using the connectToDB function
 connectToDB();
 
+// Start background jobs
+startPendingOrderExpiryJob(); // Periodically expire orders that were never paid
+startFulfilmentQueueJob(); // Retry Shiprocket fulfilment that failed, with backoff
+
 // Define API routes and mount the corresponding routers
 app.use("/api/auth", authRouter); // Authentication routes (e.g., login, signup)
 app.use("/api/user", userRoutes); // User management routes (e.g., update user info)
@@ -50,12 +73,18 @@ app.use("/api/address", addressRoutes); // User address management routes
 app.use("/api/razorpay", razorpayRoutes); // Payment processing routes using Razorpay
 app.use("/api/userProfile", userProfileRoutes); // User profile management routes
 app.use("/api/orders", orderRoutes); // Order management routes
+app.use("/api/checkout", checkoutRoutes); // Checkout pipeline routes (quote, confirm)
 app.use("/api privacyPolicy", privacyPolicyRoutes); // Privacy policy routes
 app.use("/api", notificationRoutes); // Notification-related routes (Note: Consider specifying a more specific path like /api/notifications)
 app.use("/api/filters", filterRoutes); // Routes for filtering items (e.g., by category, price)
 app.use("/api/bulkUpload",bulkUploadRoutes );
 app.use('/api/reviews', ReviewRoutes); // Updated to distinct review path
 app.use("/api/promoCode", PromoCodeRoutes); // Mount promo code routes
+app.use("/api/priceList", PriceListRoutes); // Scheduled sales / price lists
+app.use("/api/wallet", WalletRoutes); // Store credit wallet
+app.use("/api/giftCards", GiftCardRoutes); // Gift card purchase, balance and admin issuance
+app.use("/api/shipping", ShippingRoutes); // Serviceability, courier policies, shipping rules, labels / pickups / manifests, NDR cases and tracking webhook
+app.use("/api/warehouses", WarehouseRoutes); // Warehouses / pickup locations and per-warehouse stock
 
 
 // Start the server and listen on port 8080
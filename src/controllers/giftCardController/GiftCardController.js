@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const GiftCard = require('../../models/GiftCard');
+const { getPaymentProvider } = require('../../services/payment');
+const {
+  issueGiftCard,
+  startGiftCardPurchase,
+  activatePurchasedGiftCard,
+  checkGiftCardBalance,
+  getGiftCardWithHistory,
+  maskGiftCardCode,
+} = require('../../services/giftCardService');
+
+// Send service errors with their status, anything else as a 500
+function sendError(res, error, context) {
+  console.error(`Error ${context}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Internal Server Error',
+    error: error.message,
+  });
+}
+
+// Purchase Gift Card
+exports.purchaseGiftCard = async (req, res) => {
+  try {
+    const { amount, recipientName, recipientEmail, message } = req.body;
+
+    const { giftCard, razorpayOrder } = await startGiftCardPurchase({
+      userId: req.user._id,
+      amount,
+      recipientName,
+      recipientEmail,
+      message,
+    });
+
+    // Razorpay checkout fields stay at the top level, as for orders
+    res.status(201).json({
+      ...razorpayOrder,
+      success: true,
+      giftCardId: giftCard._id,
+      amount: giftCard.initial_balance,
+    });
+  } catch (error) {
+    sendError(res, error, 'starting gift card purchase');
+  }
+};
+
+// Verify Gift Card Payment
+exports.verifyGiftCardPayment = async (req, res) => {
+  try {
+    const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
+
+    const isValid = getPaymentProvider().verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+    });
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: 'Invalid signature' });
+    }
+
+    // No-op if the webhook already activated it
+    const { giftCard } = await activatePurchasedGiftCard(razorpay_order_id, { razorpay_payment_id });
+    if (!giftCard || giftCard.purchasedBy?.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ success: false, message: 'Gift card not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Gift card activated', giftCard });
+  } catch (error) {
+    sendError(res, error, 'verifying gift card payment');
+  }
+};
+
+// Check Gift Card Balance
+exports.checkBalance = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    const giftCard = await checkGiftCardBalance(code);
+    res.status(200).json({ success: true, giftCard });
+  } catch (error) {
+    sendError(res, error, 'checking gift card balance');
+  }
+};
+
+// Get My Purchased Gift Cards
+exports.getMyGiftCards = async (req, res) => {
+  try {
+    const giftCards = await GiftCard.find({ purchasedBy: req.user._id, status: { $ne: 'pending_payment' } })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ success: true, giftCards });
+  } catch (error) {
+    sendError(res, error, 'fetching gift cards');
+  }
+};
+
+// Issue Gift Card (Admin)
+exports.issueGiftCard = async (req, res) => {
+  try {
+    const { amount, expiresAt, recipientName, recipientEmail, message } = req.body;
+
+    const giftCard = await issueGiftCard({
+      amount,
+      expiresAt,
+      recipientName,
+      recipientEmail,
+      message,
+      issuedBy: req.user._id,
+    });
+
+    res.status(201).json({ success: true, message: 'Gift card issued successfully', giftCard });
+  } catch (error) {
+    sendError(res, error, 'issuing gift card');
+  }
+};
+
+// Get All Gift Cards (Admin)
+exports.getAllGiftCards = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const now = new Date();
+    const filter = {};
+    if (status === 'expired') {
+      Object.assign(filter, { status: 'active', expires_at: { $lte: now } });
+    } else if (status === 'active') {
+      Object.assign(filter, { status: 'active', expires_at: { $gt: now } });
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const [giftCards, total] = await Promise.all([
+      GiftCard.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('purchasedBy', 'name email')
+        .populate('issuedBy', 'name email'),
+      GiftCard.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      giftCards: giftCards.map(giftCard => ({ ...giftCard.toObject(), code: maskGiftCardCode(giftCard.code) })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching gift cards');
+  }
+};
+
+// Get Gift Card By ID (Admin)
+exports.getGiftCardById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid gift card ID' });
+    }
+
+    const result = await getGiftCardWithHistory(id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Gift card not found' });
+    }
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'fetching gift card');
+  }
+};
+
+// Disable Gift Card (Admin)
+exports.disableGiftCard = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid gift card ID' });
+    }
+
+    const giftCard = await GiftCard.findOneAndUpdate(
+      { _id: id, status: 'active' },
+      { $set: { status: 'disabled', disabled_reason: reason } },
+      { new: true }
+    );
+    if (!giftCard) {
+      return res.status(404).json({ success: false, message: 'Active gift card not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Gift card disabled', giftCard });
+  } catch (error) {
+    sendError(res, error, 'disabling gift card');
+  }
+};
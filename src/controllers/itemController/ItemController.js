@@ -2,6 +2,8 @@ const Item = require("../../models/Item");
 const SubCategory = require("../../models/SubCategory");
 const { ApiResponse } = require("../../utils/ApiResponse");
 const { deleteFileFromS3 } = require("../../utils/S3");
+const { parseGstSlabs } = require("../../services/taxService");
+const { withEffectivePrices } = require("../../services/pricingService");
 const mongoose = require("mongoose");
 
 /**
@@ -16,7 +18,7 @@ exports.createItem = async (req, res, newItemId) => {
     const {
       name, description, price, stock, brand, style, occasion,
       fit, material, discountPrice, subCategoryId, categoryId,
-      imageUrl, filters
+      imageUrl, filters, isCodAvailable, hsnCode, gstRate, gstSlabs
     } = req.body;
 
     const subCategory = await SubCategory.findById(subCategoryId);
@@ -42,6 +44,16 @@ exports.createItem = async (req, res, newItemId) => {
       }
     }
 
+    // Parse GST price slabs if they exist
+    let parsedGstSlabs = [];
+    if (gstSlabs) {
+      try {
+        parsedGstSlabs = parseGstSlabs(gstSlabs);
+      } catch (error) {
+        return res.status(400).json(ApiResponse(null, error.message, false, 400));
+      }
+    }
+
     const newItem = new Item({
       _id: newItemId,
       name,
@@ -57,7 +69,11 @@ exports.createItem = async (req, res, newItemId) => {
       discountPrice: discountPrice ? Number(discountPrice) : undefined,
       categoryId,
       imageUrl,
-      filters: formattedFilters
+      filters: formattedFilters,
+      isCodAvailable: isCodAvailable !== undefined ? String(isCodAvailable) === "true" : undefined,
+      hsnCode: hsnCode || undefined,
+      gstRate: gstRate !== undefined && gstRate !== "" ? Number(gstRate) : undefined,
+      gstSlabs: parsedGstSlabs
     });
 
     await newItem.save();
@@ -94,7 +110,7 @@ exports.getItemsBySubCategory = async (req, res) => {
 
     const totalItems = await Item.countDocuments(filterCriteria);
 
-    res.status(200).json(ApiResponse(items, "Items fetched successfully", true, 200, {
+    res.status(200).json(ApiResponse(await withEffectivePrices(items), "Items fetched successfully", true, 200, {
       totalPages: Math.ceil(totalItems / limit),
       currentPage: Number(page),
     }));
@@ -225,7 +241,7 @@ exports.getItemsByFilter = async (req, res) => {
       success: true,
       message: "Items fetched successfully",
       statusCode: 200,
-      data: items,
+      data: await withEffectivePrices(items),
       pagination: {
         totalItems,
         totalPages: Math.ceil(totalItems / limit),
@@ -281,7 +297,8 @@ exports.getItemById = async (req, res) => {
     if (!item) {
       return res.status(404).json({ message: "Item not found" });
     }
-    res.status(200).json(item);
+    const [pricedItem] = await withEffectivePrices([item]);
+    res.status(200).json(pricedItem);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: "Error fetching item", error: err.message });
@@ -297,7 +314,7 @@ exports.updateItem = async (req, res) => {
     const {
       name, description, price, stock, subCategoryId,
       brand, style, occasion, fit, material, discountPrice,
-      categoryId, imageUrl, filters
+      categoryId, imageUrl, filters, isCodAvailable, hsnCode, gstRate, gstSlabs
     } = req.body;
 
     if (subCategoryId) {
@@ -342,6 +359,26 @@ exports.updateItem = async (req, res) => {
       filters: formattedFilters
     };
 
+    // Only touch the COD flag when the client sends it
+    if (isCodAvailable !== undefined) {
+      updateData.isCodAvailable = String(isCodAvailable) === "true";
+    }
+
+    // Only touch GST settings the client sends; an empty value clears them
+    if (hsnCode !== undefined) {
+      updateData.hsnCode = hsnCode || null;
+    }
+    if (gstRate !== undefined) {
+      updateData.gstRate = gstRate !== "" && gstRate !== null ? Number(gstRate) : null;
+    }
+    if (gstSlabs !== undefined) {
+      try {
+        updateData.gstSlabs = gstSlabs ? parseGstSlabs(gstSlabs) : [];
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
     const item = await Item.findByIdAndUpdate(
       req.params.id,
       { $set: updateData },
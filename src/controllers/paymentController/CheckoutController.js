@@ -0,0 +1,113 @@
+const { createQuote, confirmQuote } = require("../../services/checkoutService");
+
+// Shape of a quote returned to the app
+const toQuoteResponse = (quote) => ({
+  quoteId: quote._id,
+  lines: quote.lines,
+  subtotal: quote.subtotal,
+  shippingCost: quote.shipping_cost,
+  shippingServiceLevel: quote.shipping_service_level,
+  promoCode: quote.promoCode,
+  promoDiscount: quote.promoDiscount,
+  total: quote.total,
+  expiresAt: quote.expires_at,
+});
+
+// Create Checkout Quote
+exports.createCheckoutQuote = async (req, res) => {
+  try {
+    const { cart, promoCode, pincode, state, serviceLevel } = req.body;
+
+    const { quote, cod } = await createQuote({ userId: req.user._id, cart, promoCode, pincode, state, serviceLevel });
+
+    res.status(201).json({
+      success: true,
+      quote: toQuoteResponse(quote),
+      cod,
+    });
+  } catch (error) {
+    console.error("Error creating checkout quote:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Internal Server Error",
+      ...(error.details && { details: error.details }),
+    });
+  }
+};
+
+// Confirm Checkout
+// Accepts a quoteId; older app builds that still send { cart, amount } are quoted inline
+// and rejected when their amount differs from the server price.
+exports.confirmCheckout = async (req, res) => {
+  try {
+    const { cart, amount, promoCode, staticAddress, serviceLevel, paymentMethod, giftCardCode, walletAmount, useWallet } =
+      req.body;
+    const userId = req.user._id;
+    let { quoteId } = req.body;
+
+    if (!quoteId) {
+      const { quote } = await createQuote({
+        userId,
+        cart,
+        promoCode,
+        pincode: staticAddress?.pinCode,
+        state: staticAddress?.state,
+        serviceLevel,
+      });
+      if (amount !== undefined && Math.abs(quote.total - Number(amount)) > 0.01) {
+        return res.status(400).json({
+          success: false,
+          message: `Provided amount (${amount}) does not match calculated total (${quote.total})`,
+        });
+      }
+      quoteId = quote._id;
+    }
+
+    const result = await confirmQuote({
+      quoteId,
+      userId,
+      address: staticAddress,
+      paymentMethod,
+      giftCardCode,
+      // useWallet: true spends as much of the balance as the order needs
+      walletAmount: useWallet === true || useWallet === "true" ? true : walletAmount,
+    });
+
+    if (result.razorpayOrder) {
+      // Razorpay checkout fields stay at the top level for the app
+      return res.status(201).json({
+        ...result.razorpayOrder,
+        success: true,
+        orderId: result.order._id,
+        calculatedTotal: result.order.total_price,
+        shippingCost: result.order.shipping_cost,
+        promoDiscount: result.order.promoDiscount,
+        giftCardAmount: result.order.gift_card_amount,
+        walletAmount: result.order.wallet_amount,
+        amountPayable: result.razorpayOrder.amount / 100,
+        paymentExpiresAt: result.order.payment_expires_at,
+        quote: toQuoteResponse(result.quote),
+      });
+    }
+
+    res.status(201).json({
+      ...result.fulfilment,
+      success: true,
+      order: result.order,
+      shippingCost: result.order.shipping_cost,
+      promoDiscount: result.order.promoDiscount,
+      codFee: result.order.cod_fee,
+      giftCardAmount: result.order.gift_card_amount,
+      walletAmount: result.order.wallet_amount,
+      amountToCollect: result.order.payment_method === "COD" ? result.order.total_price : 0,
+      quote: toQuoteResponse(result.quote),
+    });
+  } catch (error) {
+    console.error("Error confirming checkout:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error creating order",
+      ...(error.details && { details: error.details }),
+    });
+  }
+};
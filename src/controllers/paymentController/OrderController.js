@@ -1,526 +1,241 @@
-const Razorpay = require("razorpay");
-const crypto = require("crypto");
 const mongoose = require('mongoose');
 const Order = require("../../models/Order");
 const Item = require("../../models/Item");
-const ItemDetails = require("../../models/ItemDetails");
 const PromoCode = require("../../models/PromoCodes");
+const { fulfilPaidOrder } = require("../../services/orderFulfillmentService");
+const { reconcileCodRemittance } = require("../../services/codService");
+const { createRefund, resolveRefundLines, getCapturedAmount } = require("../../services/refundService");
+const Refund = require("../../models/Refund");
+const Invoice = require("../../models/Invoice");
+const User = require("../../models/User");
+const { getOrCreateInvoice, issueCreditNote } = require("../../services/invoiceService");
+const { renderInvoicePdf } = require("../../utils/invoicePdf");
+const { getLineHsnCode } = require("../../services/taxService");
+const { getPaymentExpiry } = require("../../services/orderExpiryService");
+const { getActivePriceLists, getEffectivePrice } = require("../../services/pricingService");
+const { getPaymentProvider } = require("../../services/payment");
+const { releaseOrderWalletHold, recaptureOrderWalletHold } = require("../../services/walletService");
+const { releaseOrderGiftCardHold, recaptureOrderGiftCardHold } = require("../../services/giftCardService");
+const {
+  reserveStock,
+  releaseReservation,
+  restockConvertedReservation,
+} = require("../../services/stockReservationService");
+const { getShiprocketClient } = require("../../services/shiprocket");
+const { getParcelForLines } = require("../../services/packagingService");
+const {
+  ensureShipments,
+  getUnshippedLines,
+  refreshShipments,
+  getReturnAddressForLines,
+} = require("../../services/shipmentService");
+const { listFulfilmentJobs, requeueFulfilmentJob } = require("../../services/fulfilmentQueueService");
+const { getOrderNdrCases, requestNdrAction } = require("../../services/ndrService");
+
+// Where a customer or admin asked a refund to go: "wallet" or back to the original payment
+function getRefundDestination(refundTo) {
+  return refundTo === "wallet" ? "wallet" : "source";
+}
 
-const razorpay = new Razorpay({
-  key_id: "rzp_live_VRU7ggfYLI7DWV",
-  key_secret: "giunOIOED3FhjWxW2dZ2peNe",
-});
-
-const SHIPROCKET_API_BASE = "https://apiv2.shiprocket.in/v1/external";
-const SHIPROCKET_EMAIL = "support@yoraa.in";
-const SHIPROCKET_PASSWORD = "R@2727thik";
-
-async function getShiprocketToken() {
+async function generateAWBWithCourier(shipmentId) {
   try {
-    const response = await fetch(`${SHIPROCKET_API_BASE}/auth/login`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email: SHIPROCKET_EMAIL, password: SHIPROCKET_PASSWORD }),
-    });
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.message || "Authentication failed");
-    return data.token;
+    const awbData = await getShiprocketClient().assignAwb({ shipmentId });
+    return {
+      success: true,
+      message: "AWB generated successfully",
+      awbData,
+    };
   } catch (error) {
-    console.error("Shiprocket Auth Error:", error);
-    throw new Error("Failed to authenticate with Shiprocket");
+    console.error("Failed to generate AWB:", error.response || error);
+    if (error.statusCode === 402) {
+      return {
+        success: false,
+        message: "Insufficient Shiprocket wallet balance",
+        error: "Please recharge your Shiprocket wallet. Minimum required balance is Rs 100.",
+      };
+    }
+    return { success: false, message: "AWB generation failed", error: error.message };
   }
 }
 
-async function checkCourierServiceability(token, pickupPincode, deliveryPincode) {
-  try {
-    const serviceabilityResponse = await fetch(`${SHIPROCKET_API_BASE}/courier/serviceability`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        pickup_postcode: pickupPincode,
-        delivery_postcode: deliveryPincode,
-        weight: 0.5,
-        cod: 0,
-      }),
-    });
-
-    const serviceabilityData = await serviceabilityResponse.json();
-    console.log("Courier Serviceability Response:", JSON.stringify(serviceabilityData, null, 2));
-    if (serviceabilityResponse.status === 200 && serviceabilityData.data.available_courier_companies.length > 0) {
-      return { success: true, couriers: serviceabilityData.data.available_courier_companies };
-    } else {
-      return { success: false, message: "No courier available for this route" };
-    }
-  } catch (error) {
-    console.error("Error checking courier serviceability:", error);
-    return { success: false, message: "Error checking courier serviceability", error: error.message };
+// The order's customer, or an admin (verifyToken only carries the user ID)
+async function isOrderOwnerOrAdmin(req, order) {
+  if ((order.user?._id || order.user).toString() === req.user._id.toString()) {
+    return true;
   }
+  const user = await User.findById(req.user._id).select("isAdmin");
+  return Boolean(user?.isAdmin);
 }
 
-async function checkShiprocketWalletBalance(token) {
+// Issue the credit note for a refund; the refund stands even if this fails, so only log
+async function issueCreditNoteForRefund(order, refund) {
   try {
-    const balanceResponse = await fetch(`${SHIPROCKET_API_BASE}/wallet/balance`, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-    });
-
-    const balanceData = await balanceResponse.json();
-    if (balanceData.data && balanceData.data.available_balance !== undefined) {
-      const balance = balanceData.data.available_balance;
-      if (balance < 100) {
-        return {
-          success: false,
-          message: "Insufficient Shiprocket wallet balance",
-          error: `Available balance is Rs ${balance}. Minimum required balance is Rs 100.`,
-        };
-      }
-      return { success: true, balance };
-    } else {
-      return {
-        success: false,
-        message: "Failed to fetch Shiprocket wallet balance",
-        error: balanceData.message || "Unknown error",
-      };
-    }
+    await order.populate("items user");
+    return await issueCreditNote({ order, refund });
   } catch (error) {
-    console.error("Error checking Shiprocket wallet balance:", error);
-    return { success: false, message: "Error checking Shiprocket wallet balance", error: error.message };
+    console.error(`Credit note for refund ${refund._id} failed:`, error);
+    return null;
   }
 }
 
-async function generateAWBWithCourier(shipmentId, token) {
+// Reconcile COD Remittances (Admin)
+exports.reconcileCodRemittances = async (req, res) => {
   try {
-    const awbResponse = await fetch(`${SHIPROCKET_API_BASE}/courier/assign/awb`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify({ shipment_id: shipmentId }),
-    });
+    const { remittances } = req.body;
+    if (!Array.isArray(remittances) || remittances.length === 0) {
+      return res.status(400).json({ success: false, message: "remittances must be a non-empty array" });
+    }
 
-    const awbData = await awbResponse.json();
-    console.log("AWB Assignment Response:", JSON.stringify(awbData, null, 2));
-    if (awbResponse.ok && awbData.awb_assign_status === 1) {
-      return {
-        success: true,
-        message: "AWB generated successfully",
-        awbData: awbData.response.data,
-      };
-    } else {
-      console.error("Failed to generate AWB:", awbData);
-      if (awbData.status_code === 350) {
-        return {
-          success: false,
-          message: "Insufficient Shiprocket wallet balance",
-          error: "Please recharge your Shiprocket wallet. Minimum required balance is Rs 100.",
-        };
+    const results = [];
+    for (const entry of remittances) {
+      if (!entry.orderId && !entry.awbCode) {
+        results.push({ result: "invalid", message: "orderId or awbCode is required" });
+        continue;
       }
-      return {
-        success: false,
-        message: "AWB generation failed",
-        error: awbData?.message || "Unknown error",
-      };
+      results.push(await reconcileCodRemittance(entry));
     }
+
+    res.status(200).json({
+      success: true,
+      message: "COD remittances processed",
+      results,
+    });
   } catch (error) {
-    console.error("Error generating AWB:", error);
-    return { success: false, message: "Error generating AWB", error: error.message };
+    console.error("Error reconciling COD remittances:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error", error: error.message });
   }
-}
+};
 
-// Create Order
-exports.createOrder = async (req, res) => {
+// Retry Payment
+exports.retryPayment = async (req, res) => {
   try {
-    const { amount, cart, staticAddress, promoCode } = req.body;
-    const userId = req.user._id;
-
-    console.log("amount:", amount);
-    console.log("cart:", cart);
-    console.log("address:", staticAddress);
-    console.log("promoCode:", promoCode);
-    console.log("userId:", userId);
+    const { id } = req.params;
 
-    // Validate cart data
-    if (!Array.isArray(cart) || cart.length === 0) {
-      return res.status(400).json({ error: "Cart is empty or invalid" });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
     }
 
-    // Extract item IDs and SKUs from cart
-    const itemIds = cart.map(cartItem => cartItem.itemId);
-    const skus = cart.map(cartItem => cartItem.sku);
-
-    // Validate itemIds
-    if (!itemIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
-      return res.status(400).json({ error: "Invalid item IDs" });
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
     }
 
-    // Check if all items exist
-    const existingItems = await Item.find({ _id: { $in: itemIds } });
-    if (existingItems.length !== itemIds.length) {
-      return res.status(400).json({ error: "One or more items not found" });
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "Unauthorized to pay for this order" });
     }
 
-    // Validate SKUs in ItemDetails
-    const itemDetails = await ItemDetails.find({ items: { $in: itemIds } });
-    for (const cartItem of cart) {
-      const detail = itemDetails.find(d => d.items.toString() === cartItem.itemId);
-      if (!detail) {
-        return res.status(400).json({ error: `ItemDetails not found for item ${cartItem.itemId}` });
-      }
-      const skuExists = detail.colors.some(color =>
-        color.sizes.some(size => size.sku === cartItem.sku)
-      );
-      if (!skuExists) {
-        return res.status(400).json({ error: `Invalid SKU ${cartItem.sku} for item ${cartItem.itemId}` });
-      }
+    if (order.payment_method === "COD") {
+      return res.status(400).json({ success: false, message: "Cash on Delivery orders are paid on delivery" });
     }
 
-    // Calculate original cart total
-    let cartTotal = 0;
-    for (const cartItem of cart) {
-      const item = existingItems.find(i => i._id.toString() === cartItem.itemId);
-      cartTotal += item.price * cartItem.quantity;
+    if (!["Pending", "Failed", "Expired"].includes(order.payment_status)) {
+      return res.status(400).json({ success: false, message: `Order payment is already ${order.payment_status}` });
     }
 
-    // Assume shipping cost (adjust based on your logic)
-    const shippingCost = cartTotal > 500 ? 0 : 50; // Example: Free shipping above ₹500
-    let totalAmount = cartTotal + shippingCost;
+    if (order.order_status === "Cancelled" && order.payment_status !== "Expired") {
+      return res.status(400).json({ success: false, message: "Cancelled orders cannot be paid" });
+    }
 
-    // Validate and apply promo code
-    let promoDiscount = 0;
-    let modifiedCart = [...cart];
-    if (promoCode) {
-      const promo = await PromoCode.findOne({ code: promoCode.toUpperCase(), isActive: true });
-      if (!promo) {
-        return res.status(400).json({ error: "Invalid or inactive promo code" });
+    // Re-check prices: every line must still cost what the customer was quoted (sales may have ended)
+    const items = await Item.find({ _id: { $in: order.item_quantities.map(line => line.item_id) } });
+    const priceLists = await getActivePriceLists();
+    for (const line of order.item_quantities) {
+      const item = items.find(i => i._id.toString() === line.item_id.toString());
+      if (!item) {
+        return res.status(409).json({ success: false, message: `Item ${line.item_id} is no longer available` });
       }
-
-      const currentDate = new Date();
-      if (currentDate < promo.startDate || currentDate > promo.endDate) {
-        return res.status(400).json({ error: "Promo code has expired" });
+      const { price } = getEffectivePrice(item, priceLists);
+      if (line.unit_price !== undefined && line.unit_price !== null && price !== line.unit_price) {
+        return res.status(409).json({
+          success: false,
+          message: `Price of ${item.name} has changed from ₹${line.unit_price} to ₹${price}. Please check out again.`,
+        });
       }
+    }
 
-      if (promo.maxUses > 0 && promo.currentUses >= promo.maxUses) {
-        return res.status(400).json({ error: "Promo code usage limit reached" });
+    // Re-check the promo code is still usable
+    if (order.promoCode) {
+      const promo = await PromoCode.findOne({ code: order.promoCode, isActive: true });
+      const now = new Date();
+      if (
+        !promo ||
+        now < promo.startDate ||
+        now > promo.endDate ||
+        (promo.maxUses > 0 && promo.currentUses >= promo.maxUses)
+      ) {
+        return res.status(409).json({ success: false, message: `Promo code ${order.promoCode} is no longer valid. Please check out again.` });
       }
+    }
 
-      if (cartTotal < promo.minOrderValue) {
-        return res.status(400).json({ error: `Cart total must be at least ₹${promo.minOrderValue}` });
-      }
+    // Hold the stock again for the new payment window (or extend a hold still in place)
+    const paymentExpiresAt = getPaymentExpiry();
+    try {
+      await reserveStock({
+        orderId: order._id,
+        userId: order.user,
+        lines: order.item_quantities,
+        expiresAt: paymentExpiresAt,
+        pincode: order.address?.pinCode,
+        allowSplit: order.payment_method !== "COD",
+      });
+    } catch (stockError) {
+      return res.status(stockError.statusCode || 500).json({ success: false, message: stockError.message });
+    }
 
-      if (promo.discountType === 'percentage') {
-        promoDiscount = (cartTotal * promo.discountValue) / 100;
-      } else if (promo.discountType === 'fixed') {
-        promoDiscount = promo.discountValue;
-      } else if (promo.discountType === 'free_shipping') {
-        promoDiscount = shippingCost;
-      } else if (promo.discountType === 'bogo') {
-        // Find the cheapest item to duplicate
-        const cheapestItem = existingItems.reduce((min, item) => {
-          return min.price < item.price ? min : item;
-        }, existingItems[0]);
-        const cheapestCartItem = cart.find(c => c.itemId === cheapestItem._id.toString());
-        modifiedCart.push({
-          itemId: cheapestItem._id.toString(),
-          sku: cheapestCartItem.sku,
-          quantity: cheapestCartItem.quantity,
+    // An expired order gave its gift card / wallet share back; take it again before asking for the rest
+    if (order.gift_card_released_at || order.wallet_released_at) {
+      try {
+        await recaptureOrderGiftCardHold(order);
+        await recaptureOrderWalletHold(order);
+      } catch (storeCreditError) {
+        // Do not keep stock or half of the store credit while the customer checks out again
+        await releaseReservation(order._id, "Payment retry abandoned");
+        await releaseOrderGiftCardHold(order, "Payment retry abandoned");
+        return res.status(storeCreditError.statusCode || 500).json({
+          success: false,
+          message: `${storeCreditError.message}. Please check out again.`,
         });
-        promoDiscount = cheapestItem.price * cheapestCartItem.quantity;
       }
-
-      totalAmount = cartTotal + shippingCost - promoDiscount;
     }
 
-    // Validate provided amount
-    if (Math.abs(totalAmount - amount) > 0.01) {
-      return res.status(400).json({ error: `Provided amount (${amount}) does not match calculated total (${totalAmount})` });
-    }
-
-    const options = {
-      amount: totalAmount * 100, // Convert to paise
+    // Issue a fresh Razorpay order for the same Order document
+    const amountPayable = order.total_price - (order.gift_card_amount || 0) - (order.wallet_amount || 0);
+    const razorpayOrder = await getPaymentProvider().createOrder({
+      amount: Math.round(amountPayable * 100), // Convert to paise
       currency: "INR",
       receipt: `receipt_${Date.now()}`,
-      payment_capture: 1,
-    };
-
-    // Create Razorpay Order
-    const razorpayOrder = await razorpay.orders.create(options);
-
-    // Prepare item_quantities with SKUs
-    const itemQuantities = modifiedCart.map(cartItem => ({
-      item_id: cartItem.itemId,
-      sku: cartItem.sku,
-      quantity: cartItem.quantity,
-    }));
-
-    // Save Order in Database
-    const newOrder = new Order({
-      user: userId,
-      items: itemIds,
-      total_price: totalAmount,
-      payment_status: "Pending",
-      razorpay_order_id: razorpayOrder.id,
-      address: staticAddress,
-      item_quantities: itemQuantities,
-      promoCode: promoCode ? promoCode.toUpperCase() : null,
-      promoDiscount,
-    });
-
-    await newOrder.save();
-
-    res.json({
-      ...razorpayOrder,
-      calculatedTotal: totalAmount,
-      promoDiscount,
-      shippingCost,
+      notes: { order_id: order._id.toString() },
     });
-    console.log("order created:", newOrder);
-  } catch (error) {
-    console.error("Error creating Razorpay order:", error);
-    res.status(500).json({ error: "Error creating Razorpay order", details: error.message });
-  }
-};
-
-// Verify Payment & Create Shiprocket Order
-exports.verifyPayment = async (req, res) => {
-  try {
-    const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
-
-    // Verify Razorpay Payment Signature
-    const body = `${razorpay_order_id}|${razorpay_payment_id}`;
-    const expectedSignature = crypto
-      .createHmac("sha256", "giunOIOED3FhjWxW2dZ2peNe")
-      .update(body)
-      .digest("hex");
-
-    if (expectedSignature !== razorpay_signature) {
-      return res.status(400).json({ success: false, message: "Invalid signature" });
-    }
 
-    // Update Order Payment Status
-    let order = await Order.findOneAndUpdate(
-      { razorpay_order_id },
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, payment_status: { $in: ["Pending", "Failed", "Expired"] } },
       {
         $set: {
-          payment_status: "Paid",
-          razorpay_payment_id,
-          razorpay_signature,
+          razorpay_order_id: razorpayOrder.id,
+          payment_status: "Pending",
+          order_status: "Pending",
+          payment_expires_at: paymentExpiresAt,
         },
+        $push: { payment_attempts: { razorpay_order_id: order.razorpay_order_id, created_at: new Date() } },
       },
       { new: true }
-    ).populate("items").populate("user");
-
-    if (!order) {
-      return res.status(404).json({ success: false, message: "Order not found" });
-    }
-
-    // Increment promo code usage if applied
-    if (order.promoCode) {
-      const promo = await PromoCode.findOneAndUpdate(
-        { code: order.promoCode, isActive: true },
-        { $inc: { currentUses: 1 } },
-        { new: true }
-      );
-      if (!promo) {
-        console.warn(`Promo code ${order.promoCode} not found or inactive during payment verification`);
-      }
-    }
-
-    // Track stock updates for Items to avoid multiple queries
-    const itemStockUpdates = new Map();
-
-    // Decrease Stock for Each Item in ItemDetails and Aggregate for Item
-    for (const entry of order.item_quantities) {
-      const itemId = entry.item_id;
-      const sku = entry.sku;
-      const quantity = entry.quantity;
-
-      // Fetch ItemDetails for the item
-      const itemDetails = await ItemDetails.findOne({ items: itemId });
-      if (!itemDetails) {
-        throw new Error(`ItemDetails not found for item ID: ${itemId}`);
-      }
-
-      // Find the size entry by SKU and update stock
-      let updated = false;
-      for (const color of itemDetails.colors) {
-        const sizeEntry = color.sizes.find(s => s.sku === sku);
-        if (sizeEntry) {
-          if (sizeEntry.stock < quantity) {
-            throw new Error(
-              `Insufficient stock for SKU ${sku} of item ID: ${itemId}. Available: ${sizeEntry.stock}, Requested: ${quantity}`
-            );
-          }
-          sizeEntry.stock -= quantity;
-          updated = true;
-          break;
-        }
-      }
-      if (!updated) {
-        throw new Error(`SKU ${sku} not found for item ID: ${itemId}`);
-      }
-
-      // Aggregate quantity for Item stock update
-      if (itemStockUpdates.has(itemId.toString())) {
-        itemStockUpdates.set(itemId.toString(), itemStockUpdates.get(itemId.toString()) + quantity);
-      } else {
-        itemStockUpdates.set(itemId.toString(), quantity);
-      }
-
-      await itemDetails.save();
-    }
-
-    // Update stock in Item model
-    for (const [itemId, quantity] of itemStockUpdates) {
-      const item = await Item.findById(itemId);
-      if (!item) {
-        throw new Error(`Item not found for ID: ${itemId}`);
-      }
-      if (item.stock < quantity) {
-        throw new Error(
-          `Insufficient stock for item ID: ${itemId}. Available: ${item.stock}, Requested: ${quantity}`
-        );
-      }
-      item.stock -= quantity;
-      await item.save();
-    }
-
-    // Get Shiprocket API Token
-    const token = await getShiprocketToken();
-    if (!token) {
-      return res.status(500).json({ success: false, message: "Failed to authenticate Shiprocket" });
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, message: "Order was paid while the retry was being prepared" });
     }
 
-    // Calculate shipping cost (same logic as in createOrder)
-    const cartTotal = order.items.reduce((total, item) => total + (item.price * order.item_quantities.find(q => q.item_id.toString() === item._id.toString()).quantity), 0);
-    const shippingCost = order.promoCode && order.promoCode.discountType === 'free_shipping' ? 0 : (cartTotal > 500 ? 0 : 50);
-
-    // Create Order in Shiprocket
-    const totalWeight = Math.max(
-      order.items.reduce((total, item) => total + (item.weight || 0.5), 0),
-      0.5
-    );
-    const maxLength = Math.max(...order.items.map((item) => item.length ?? 0.5), 0.5);
-    const maxBreadth = Math.max(...order.items.map((item) => item.breadth ?? 0.5), 0.5);
-    const maxHeight = Math.max(...order.items.map((item) => item.height ?? 0.5), 0.5);
-
-    const shiprocketResponse = await fetch(`${SHIPROCKET_API_BASE}/orders/create/adhoc`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        order_id: order._id.toString(),
-        order_date: new Date().toISOString(),
-        pickup_location: "warehouse",
-        billing_customer_name: order.address.firstName || "Guest",
-        billing_last_name: order.address.lastName || "N/A",
-        billing_address: order.address.address,
-        billing_city: order.address.city,
-        billing_pincode: order.address.pinCode,
-        billing_state: order.address.state,
-        billing_country: order.address.country || "India",
-        billing_email: order.user?.email || "customer@example.com",
-        billing_phone: order.user?.phNo || "9999999999",
-        shipping_is_billing: true,
-        payment_method: "Prepaid",
-        sub_total: order.total_price,
-        length: maxLength,
-        breadth: maxBreadth,
-        height: maxHeight,
-        weight: totalWeight,
-        order_items: order.item_quantities.map((entry) => {
-          const item = order.items.find((i) => i._id.toString() === entry.item_id.toString());
-          return {
-            name: item ? item.name : "Unknown Item",
-            sku: entry.sku,
-            units: entry.quantity,
-            selling_price: item ? item.price : 0,
-          };
-        }),
-      }),
+    res.status(200).json({
+      ...razorpayOrder,
+      orderId: updated._id,
+      calculatedTotal: updated.total_price,
+      giftCardAmount: updated.gift_card_amount,
+      walletAmount: updated.wallet_amount,
+      amountPayable,
+      paymentExpiresAt: updated.payment_expires_at,
     });
-
-    const shiprocketData = await shiprocketResponse.json();
-    if (shiprocketData.status_code === 1) {
-      order.shiprocket_shipment_id = shiprocketData.shipment_id;
-      order.shiprocket_orderId = shiprocketData.order_id;
-      await order.save();
-
-      const awbResponse = await generateAWBWithCourier(shiprocketData.shipment_id, token);
-      if (awbResponse.success) {
-        const awbData = awbResponse.awbData;
-        if (!awbData || !awbData.awb_code) {
-          console.error("Invalid AWB data structure:", awbData);
-          throw new Error("Failed to retrieve AWB code");
-        }
-        order.awb_code = awbData.awb_code;
-        order.shiprocket_shipment_id = awbData.shipment_id;
-        order.tracking_url = `https://shiprocket.co/tracking/${awbData.awb_code}`;
-        order.courier_company_id = awbData.courier_company_id;
-        order.courier_name = awbData.courier_name;
-        order.freight_charges = awbData.freight_charges;
-        order.applied_weight = awbData.applied_weight;
-        order.routing_code = awbData.routing_code;
-        order.invoice_no = awbData.invoice_no;
-        order.transporter_id = awbData.transporter_id;
-        order.transporter_name = awbData.transporter_name;
-        order.shipped_by = {
-          shipper_company_name: awbData.shipped_by.shipper_company_name,
-          shipper_address_1: awbData.shipped_by.shipper_address_1,
-          shipper_address_2: awbData.shipped_by.shipper_address_2,
-          shipper_city: awbData.shipped_by.shipper_city,
-          shipper_state: awbData.shipped_by.shipper_state,
-          shipper_country: awbData.shipped_by.shipper_country,
-          shipper_postcode: awbData.shipped_by.shipper_postcode,
-          shipper_phone: awbData.shipped_by.shipper_phone,
-          shipper_email: awbData.shipped_by.shipper_email,
-        };
-        await order.save();
-        return res.json({
-          success: true,
-          message: "Payment verified, Shiprocket order created & AWB generated!",
-          order,
-          shiprocketOrderId: shiprocketData.order_id,
-          awbCode: awbData.awb_code,
-        });
-      } else {
-        console.error("AWB generation failed:", awbResponse.error);
-        return res.json({
-          success: true,
-          message: "Payment verified and Shiprocket order created, but AWB generation failed",
-          order,
-          shiprocketOrderId: shiprocketData.order_id,
-          awbCode: "AWB generation failed",
-        });
-      }
-    } else {
-      throw new Error("Shiprocket order creation failed: " + JSON.stringify(shiprocketData));
-    }
   } catch (error) {
-    console.error("Payment verification error:", error);
-
-    let order = await Order.findOne({ razorpay_order_id: req.body.razorpay_order_id });
-    if (error.message.includes("Insufficient stock") && req.body.razorpay_payment_id && order) {
-      try {
-        const refund = await razorpay.payments.refund(req.body.razorpay_payment_id, {
-          amount: order.total_price * 100,
-          speed: "optimum",
-        });
-        console.log("Refund initiated due to insufficient stock:", refund);
-      } catch (refundError) {
-        console.error("Refund failed:", refundError);
-      }
-    }
-
-    res.status(500).json({ success: false, message: "Payment verification failed", error: error.message });
+    console.error("Error retrying payment:", error);
+    res.status(500).json({ success: false, message: "Error creating Razorpay order", error: error.message });
   }
 };
 
@@ -528,65 +243,94 @@ exports.verifyPayment = async (req, res) => {
 exports.cancelOrder = async (req, res) => {
   try {
     const { order_id } = req.params;
+    const { refundTo } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(order_id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
 
     const order = await Order.findById(order_id);
     if (!order) {
       return res.status(404).json({ success: false, message: "Order not found" });
     }
+    if (!(await isOrderOwnerOrAdmin(req, order))) {
+      return res.status(403).json({ success: false, message: "Unauthorized to cancel this order" });
+    }
+    if (order.order_status === "Cancelled") {
+      return res.status(400).json({ success: false, message: "Order is already cancelled" });
+    }
 
-    if (order.shipping_status === "Delivered") {
+    await ensureShipments(order);
+    if (order.shipping_status === "Delivered" || order.shipments.some((s) => s.shipping_status === "Delivered")) {
       return res.status(400).json({ success: false, message: "Order cannot be cancelled as it is already delivered" });
     }
 
-    if (order.shiprocket_orderId) {
-      const shiprocketToken = await getShiprocketToken();
-      if (!shiprocketToken) {
-        return res.status(500).json({ success: false, message: "Failed to authenticate with Shiprocket" });
+    const shiprocketOrderIds = order.shipments
+      .filter((shipment) => shipment.shiprocket_orderId && shipment.shipping_status !== "Cancelled")
+      .map((shipment) => shipment.shiprocket_orderId);
+    if (shiprocketOrderIds.length > 0) {
+      try {
+        await getShiprocketClient().cancelOrders(shiprocketOrderIds);
+      } catch (shiprocketError) {
+        console.error("Shiprocket cancellation failed:", shiprocketError);
+        return res.status(500).json({ success: false, message: "Failed to cancel shipment in Shiprocket", error: shiprocketError.response || shiprocketError.message });
       }
+    }
 
-      const cancelShiprocket = await fetch(`${SHIPROCKET_API_BASE}/orders/cancel`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${shiprocketToken}`,
-        },
-        body: JSON.stringify({ ids: [order.shiprocket_orderId] }),
-      });
-
-      const cancelData = await cancelShiprocket.json();
-      if (!cancelShiprocket.ok || !cancelData.success) {
-        return res.status(500).json({ success: false, message: "Failed to cancel shipment in Shiprocket", error: cancelData });
+    // Refund whatever has not been refunded yet (earlier partial refunds are kept)
+    const refundableAmount = getCapturedAmount(order) - (order.amount_refunded || 0);
+    let refund = null;
+    let creditNote = null;
+    if (order.payment_status === "Paid" && refundableAmount > 0) {
+      try {
+        refund = await createRefund({
+          order,
+          amount: refundableAmount,
+          type: "cancellation",
+          reason: "Order cancelled",
+          initiatedBy: req.user._id,
+          destination: getRefundDestination(refundTo),
+        });
+        creditNote = await issueCreditNoteForRefund(order, refund);
+      } catch (refundError) {
+        console.error("Refund failed:", refundError);
+        return res.status(refundError.statusCode || 500).json({ success: false, message: "Refund failed", error: refundError.error || refundError.message });
       }
+    } else if (!order.refund_status) {
+      order.refund_status = "Not Required";
     }
 
-    if (order.payment_status === "Paid" && order.razorpay_payment_id) {
-      const refundResponse = await fetch(`https://api.razorpay.com/v1/payments/${order.razorpay_payment_id}/refund`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Basic ${Buffer.from("rzp_live_VRU7ggfYLI7DWV:giunOIOED3FhjWxW2dZ2peNe").toString("base64")}`,
-        },
-        body: JSON.stringify({ amount: order.total_price * 100, speed: "optimum" }),
-      });
-
-      const refundData = await refundResponse.json();
-      if (!refundResponse.ok || !refundData.id) {
-        return res.status(500).json({ success: false, message: "Refund failed", error: refundData });
-      }
+    // An unpaid order gives back the stock, gift card and wallet balance it was holding
+    if (order.payment_status !== "Paid") {
+      await releaseReservation(order._id, "Order cancelled before payment");
+      await releaseOrderGiftCardHold(order, "Order cancelled before payment");
+      await releaseOrderWalletHold(order, "Order cancelled before payment");
+    }
 
-      order.refund_status = "Initiated";
-    } else {
-      order.refund_status = "Not Required";
+    // Stock sold to a paid or COD order goes back on sale if no parcel has left yet
+    const dispatched =
+      !["Pending", "Cancelled"].includes(order.shipping_status) ||
+      order.shipments.some((s) => !["Pending", "Cancelled"].includes(s.shipping_status));
+    if (!dispatched) {
+      await restockConvertedReservation(order._id, "Order cancelled before dispatch");
     }
 
-    // If promo code was applied, consider decrementing usage
-    if (order.promoCode) {
+    // Only paid and COD orders counted towards the promo's uses, so only they give one back
+    if (order.promoCode && ["Paid", "COD Pending", "COD Collected"].includes(order.payment_status)) {
       await PromoCode.findOneAndUpdate(
         { code: order.promoCode, isActive: true },
         { $inc: { currentUses: -1 } }
       );
     }
 
+    if (order.shipments.length > 0) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { "shipments.$[s].shipping_status": "Cancelled" }, $inc: { shipment_revision: 1 } },
+        { arrayFilters: [{ "s.shipping_status": { $nin: ["Delivered", "RTO Delivered"] } }] }
+      );
+      await refreshShipments(order);
+    }
     order.order_status = "Cancelled";
     order.shipping_status = "Cancelled";
     await order.save();
@@ -595,6 +339,8 @@ exports.cancelOrder = async (req, res) => {
       success: true,
       message: "Order cancelled successfully",
       order,
+      refund,
+      creditNote: creditNote && { id: creditNote._id, number: creditNote.number, total: creditNote.total },
     });
   } catch (error) {
     console.error("Error cancelling order:", error);
@@ -609,11 +355,11 @@ exports.createReturnOrder = async (req, res) => {
     console.log("Raw Request Body:", req.body);
     console.log("Uploaded Files:", req.files);
 
-    const { orderId, reason } = req.body;
+    const { orderId, reason, lines, refundTo } = req.body;
     const userId = req.user._id;
     const images = req.files;
 
-    console.log("Parsed Request Body:", { orderId, reason });
+    console.log("Parsed Request Body:", { orderId, reason, lines });
     console.log("User ID:", userId);
     console.log("Uploaded Images:", images ? images.length : 0);
 
@@ -628,9 +374,19 @@ exports.createReturnOrder = async (req, res) => {
       return res.status(400).json({ success: false, message: "Maximum 3 images allowed" });
     }
 
+    // Optional partial return: [{ lineId, quantity }] where lineId is an item_quantities _id
+    let requestedLines;
+    if (lines) {
+      try {
+        requestedLines = typeof lines === "string" ? JSON.parse(lines) : lines;
+      } catch (error) {
+        return res.status(400).json({ success: false, message: "Invalid lines format" });
+      }
+    }
+
     const order = await Order.findById(orderId)
-      .populate("items", "name price sku dimensions")
-      .populate("item_quantities.item_id", "name price sku dimensions");
+      .populate("items", "name price sku")
+      .populate("item_quantities.item_id", "name price sku");
 
     if (!order) {
       return res.status(404).json({ success: false, message: "Order not found" });
@@ -640,23 +396,28 @@ exports.createReturnOrder = async (req, res) => {
       return res.status(403).json({ success: false, message: "Unauthorized to return this order" });
     }
 
+    let returnLines;
+    try {
+      returnLines = await resolveRefundLines(order, requestedLines);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+    if (returnLines.length === 0) {
+      return res.status(400).json({ success: false, message: "All items in this order have already been returned" });
+    }
+
     if (order.shipping_status !== "Delivered") {
       return res.status(400).json({ success: false, message: "Order must be delivered to initiate a return" });
     }
 
-    const deliveredDate = order.created_at;
+    // Orders delivered before the tracking webhook existed have no delivered_at
+    const deliveredDate = order.delivered_at || order.created_at;
     const currentDate = new Date();
     const daysSinceDelivery = (currentDate - new Date(deliveredDate)) / (1000 * 60 * 60 * 24);
     if (daysSinceDelivery > 30) {
       return res.status(400).json({ success: false, message: "Return period expired (30 days after delivery)" });
     }
 
-    const token = await getShiprocketToken();
-    console.log("Shiprocket Token:", token);
-    if (!token) {
-      return res.status(500).json({ success: false, message: "Failed to authenticate with Shiprocket" });
-    }
-
     let imageUrls = [];
     if (images && images.length > 0) {
       imageUrls = images.map(file => {
@@ -666,15 +427,12 @@ exports.createReturnOrder = async (req, res) => {
       console.log("Uploaded Image URLs:", imageUrls);
     }
 
-    const returnDimensions = order.item_quantities.reduce((acc, qty) => {
-      const detail = order.items.find(i => i._id.toString() === qty.item_id.toString())?.dimensions || { length: 10, breadth: 10, height: 10, weight: 0.5 };
-      return {
-        length: Math.max(acc.length || 0, (detail.length || 10) * qty.quantity),
-        breadth: Math.max(acc.breadth || 0, (detail.breadth || 10) * qty.quantity),
-        height: Math.max(acc.height || 0, (detail.height || 10) * qty.quantity),
-        weight: (acc.weight || 0) + ((detail.weight || 0.5) * qty.quantity),
-      };
-    }, {});
+    // Send the units back to where their shipment left from
+    await ensureShipments(order);
+    const shippedBy = (await getReturnAddressForLines(order, returnLines)) || {};
+
+    const returnParcel = await getParcelForLines(returnLines);
+    const returnValue = returnLines.reduce((sum, line) => sum + line.amount, 0);
 
     const returnPayload = {
       order_id: `R_${orderId}_${Date.now()}`,
@@ -691,88 +449,83 @@ exports.createReturnOrder = async (req, res) => {
       pickup_email: order.user?.email || "customer@example.com",
       pickup_phone: order.address.phoneNumber.replace(/\D/g, ""),
       pickup_isd_code: "91",
-      shipping_customer_name: order.shipped_by.shipper_company_name || "Seller",
+      shipping_customer_name: shippedBy.shipper_company_name || "Seller",
       shipping_last_name: "",
-      shipping_address: order.shipped_by.shipper_address_1 || "Default Address",
-      shipping_address_2: order.shipped_by.shipper_address_2 || "",
-      shipping_city: order.shipped_by.shipper_city || "Default City",
-      shipping_country: order.shipped_by.shipper_country || "India",
-      shipping_pincode: order.shipped_by.shipper_postcode || "110001",
-      shipping_state: order.shipped_by.shipper_state || "Default State",
-      shipping_email: order.shipped_by.shipper_email || "seller@example.com",
-      shipping_phone: order.shipped_by.shipper_phone || "9999999999",
+      shipping_address: shippedBy.shipper_address_1 || "Default Address",
+      shipping_address_2: shippedBy.shipper_address_2 || "",
+      shipping_city: shippedBy.shipper_city || "Default City",
+      shipping_country: shippedBy.shipper_country || "India",
+      shipping_pincode: shippedBy.shipper_postcode || "110001",
+      shipping_state: shippedBy.shipper_state || "Default State",
+      shipping_email: shippedBy.shipper_email || "seller@example.com",
+      shipping_phone: shippedBy.shipper_phone || "9999999999",
       shipping_isd_code: "91",
-      order_items: order.item_quantities.map((qty) => {
+      order_items: returnLines.map((qty) => {
         const item = order.items.find(i => i._id.toString() === qty.item_id.toString());
         return {
           name: item?.name || "Unknown Item",
-          sku: item?.sku || "UNKNOWN_SKU",
+          sku: qty.sku || "UNKNOWN_SKU",
           units: qty.quantity,
-          selling_price: item?.price || 0,
+          selling_price: qty.amount / qty.quantity,
           discount: 0,
-          hsn: item?.hsn || "1733808730720",
+          hsn: getLineHsnCode(order.item_quantities.id(qty.line_id), item),
         };
       }),
       payment_method: "Prepaid",
-      total_discount: order.promoDiscount || 0,
-      sub_total: order.total_price,
-      length: returnDimensions.length || 10,
-      breadth: returnDimensions.breadth || 10,
-      height: returnDimensions.height || 10,
-      weight: returnDimensions.weight || 0.5,
+      total_discount: 0,
+      sub_total: returnValue,
+      length: returnParcel.length,
+      breadth: returnParcel.breadth,
+      height: returnParcel.height,
+      weight: returnParcel.weight,
       return_reason: reason || "Item defective or doesn't work",
     };
 
     console.log("Return Payload:", JSON.stringify(returnPayload, null, 2));
 
-    const returnResponse = await fetch(`${SHIPROCKET_API_BASE}/orders/create/return`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify(returnPayload),
-    });
-
-    const returnData = await returnResponse.json();
-    console.log("Full Return Response:", JSON.stringify(returnData, null, 2));
-
-    if (!returnResponse.ok || !returnData.order_id) {
+    let returnData;
+    try {
+      returnData = await getShiprocketClient().createReturnOrder(returnPayload);
+    } catch (shiprocketError) {
+      console.error("Shiprocket return creation failed:", shiprocketError);
       return res.status(500).json({
         success: false,
         message: "Failed to create return order",
-        error: returnData.message || returnData,
+        error: shiprocketError.response?.message || shiprocketError.message,
       });
     }
+    console.log("Full Return Response:", JSON.stringify(returnData, null, 2));
 
     let returnAwbResult;
     const returnShipmentId = returnData.shipment_id;
     if (returnShipmentId) {
-      returnAwbResult = await generateAWBWithCourier(returnShipmentId, token);
+      returnAwbResult = await generateAWBWithCourier(returnShipmentId);
       if (!returnAwbResult.success) {
         console.error("Failed to assign return AWB:", returnAwbResult);
       }
     }
 
     let refundData;
-    if (order.payment_status === "Paid" && order.razorpay_payment_id) {
-      const refundResponse = await fetch(`https://api.razorpay.com/v1/payments/${order.razorpay_payment_id}/refund`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Basic ${Buffer.from(`${razorpay.key_id}:${razorpay.key_secret}`).toString("base64")}`,
-        },
-        body: JSON.stringify({ amount: order.total_price * 100, speed: "optimum" }),
-      });
-
-      refundData = await refundResponse.json();
-      if (!refundResponse.ok || !refundData.id) {
-        return res.status(500).json({ success: false, message: "Refund initiation failed", error: refundData });
+    let creditNote = null;
+    if (getCapturedAmount(order) > 0) {
+      try {
+        refundData = await createRefund({
+          order,
+          lines: returnLines.map(line => ({ lineId: line.line_id.toString(), quantity: line.quantity })),
+          type: "return",
+          reason,
+          initiatedBy: userId,
+          destination: getRefundDestination(refundTo),
+        });
+        creditNote = await issueCreditNoteForRefund(order, refundData);
+      } catch (refundError) {
+        console.error("Refund initiation failed:", refundError);
+        return res.status(refundError.statusCode || 500).json({ success: false, message: "Refund initiation failed", error: refundError.error || refundError.message });
       }
     }
 
-    // If promo code was applied, decrement usage
-    if (order.promoCode) {
+    // If promo code was applied and the whole order came back, decrement usage
+    if (order.promoCode && order.refund_status === "Refunded") {
       await PromoCode.findOneAndUpdate(
         { code: order.promoCode, isActive: true },
         { $inc: { currentUses: -1 } }
@@ -781,9 +534,9 @@ exports.createReturnOrder = async (req, res) => {
 
     order.refund = {
       requestDate: new Date(),
-      status: refundData ? "Initiated" : "Pending",
+      status: refundData ? refundData.status : "Pending",
       rmaNumber: returnPayload.order_id,
-      amount: order.total_price,
+      amount: refundData ? refundData.amount : returnValue,
       reason: reason || "Not specified",
       returnAwbCode: returnAwbResult?.success ? returnAwbResult.awbData.awb_code : returnData.awb_code || "",
       returnTrackingUrl: returnAwbResult?.success
@@ -794,8 +547,8 @@ exports.createReturnOrder = async (req, res) => {
       returnLabelUrl: returnData.label_url || "",
       shiprocketReturnId: returnData.order_id,
       returnShipmentId: returnData.shipment_id || "",
-      refundTransactionId: refundData?.id || null,
-      refundStatus: refundData ? "Initiated" : null,
+      refundTransactionId: refundData?.razorpay_refund_id || null,
+      refundStatus: refundData ? refundData.status : null,
       notes: "Return initiated via Shiprocket Return API",
       images: imageUrls
     };
@@ -808,6 +561,7 @@ exports.createReturnOrder = async (req, res) => {
       rmaNumber: order.refund.rmaNumber,
       returnLabelUrl: order.refund.returnLabelUrl,
       refund: order.refund,
+      creditNote: creditNote && { id: creditNote._id, number: creditNote.number, total: creditNote.total },
     });
   } catch (error) {
     console.error("Error in createReturnOrder:", error);
@@ -842,8 +596,8 @@ exports.createExchangeOrder = async (req, res) => {
     }
 
     const order = await Order.findById(orderId)
-      .populate("items", "name price sku dimensions")
-      .populate("item_quantities.item_id", "name price sku dimensions");
+      .populate("items", "name price sku")
+      .populate("item_quantities.item_id", "name price sku");
 
     if (!order) {
       return res.status(404).json({ success: false, message: "Order not found" });
@@ -857,19 +611,14 @@ exports.createExchangeOrder = async (req, res) => {
       return res.status(400).json({ success: false, message: "Order must be delivered to initiate an exchange" });
     }
 
-    const deliveredDate = order.created_at;
+    // Orders delivered before the tracking webhook existed have no delivered_at
+    const deliveredDate = order.delivered_at || order.created_at;
     const currentDate = new Date();
     const daysSinceDelivery = (currentDate - new Date(deliveredDate)) / (1000 * 60 * 60 * 24);
     if (daysSinceDelivery > 30) {
       return res.status(400).json({ success: false, message: "Exchange period expired (30 days after delivery)" });
     }
 
-    const token = await getShiprocketToken();
-    console.log("Shiprocket Token:", token);
-    if (!token) {
-      return res.status(500).json({ success: false, message: "Failed to authenticate with Shiprocket" });
-    }
-
     let imageUrls = [];
     if (images && images.length > 0) {
       imageUrls = images.map(file => {
@@ -879,25 +628,8 @@ exports.createExchangeOrder = async (req, res) => {
       console.log("Uploaded Image URLs:", imageUrls);
     }
 
-    const returnDimensions = order.item_quantities.reduce((acc, qty) => {
-      const detail = order.items.find(i => i._id.toString() === qty.item_id.toString())?.dimensions || { length: 10, breadth: 10, height: 10, weight: 0.5 };
-      return {
-        length: Math.max(acc.length || 0, (detail.length || 10) * qty.quantity),
-        breadth: Math.max(acc.breadth || 0, (detail.breadth || 10) * qty.quantity),
-        height: Math.max(acc.height || 0, (detail.height || 10) * qty.quantity),
-        weight: (acc.weight || 0) + ((detail.weight || 0.5) * qty.quantity),
-      };
-    }, {});
-
-    const exchangeDimensions = order.item_quantities.reduce((acc, qty) => {
-      const detail = order.items.find(i => i._id.toString() === qty.item_id.toString())?.dimensions || { length: 11, breadth: 11, height: 11, weight: 0.5 };
-      return {
-        length: Math.max(acc.length || 0, (detail.length || 11) * qty.quantity),
-        breadth: Math.max(acc.breadth || 0, (detail.breadth || 11) * qty.quantity),
-        height: Math.max(acc.height || 0, (detail.height || 11) * qty.quantity),
-        weight: (acc.weight || 0) + ((detail.weight || 0.5) * qty.quantity),
-      };
-    }, {});
+    // The same items travel both ways, so both legs use the same parcel
+    const exchangeParcel = await getParcelForLines(order.item_quantities);
 
     const exchangePayload = {
       exchange_order_id: `EX_${orderId}_${Date.now()}`,
@@ -928,7 +660,7 @@ exports.createExchangeOrder = async (req, res) => {
           name: item?.name || "Unknown Item",
           selling_price: item?.price || 0,
           units: qty.quantity,
-          hsn: item?.hsn || "1733808730720",
+          hsn: getLineHsnCode(qty, item),
           sku: item?.sku || newItemId,
           exchange_item_name: item?.name || "Unknown Item",
           exchange_item_sku: newItemId,
@@ -936,43 +668,36 @@ exports.createExchangeOrder = async (req, res) => {
       }),
       sub_total: order.total_price,
       total_discount: order.promoDiscount || 0,
-      return_length: returnDimensions.length || 10,
-      return_breadth: returnDimensions.breadth || 10,
-      return_height: returnDimensions.height || 10,
-      return_weight: returnDimensions.weight || 0.5,
-      exchange_length: exchangeDimensions.length || 11,
-      exchange_breadth: exchangeDimensions.breadth || 11,
-      exchange_height: exchangeDimensions.height || 11,
-      exchange_weight: exchangeDimensions.weight || 0.5,
+      return_length: exchangeParcel.length,
+      return_breadth: exchangeParcel.breadth,
+      return_height: exchangeParcel.height,
+      return_weight: exchangeParcel.weight,
+      exchange_length: exchangeParcel.length,
+      exchange_breadth: exchangeParcel.breadth,
+      exchange_height: exchangeParcel.height,
+      exchange_weight: exchangeParcel.weight,
       return_reason: 29
     };
 
     console.log("Exchange Payload:", JSON.stringify(exchangePayload, null, 2));
 
-    const exchangeResponse = await fetch(`${SHIPROCKET_API_BASE}/orders/create/exchange`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify(exchangePayload),
-    });
-
-    const exchangeData = await exchangeResponse.json();
-    console.log("Full Exchange Response:", JSON.stringify(exchangeData, null, 2));
-
-    if (!exchangeResponse.ok || !exchangeData.success) {
-      return res.status(500).json({ 
-        success: false, 
-        message: "Failed to create exchange order", 
-        error: exchangeData.message || exchangeData 
+    let exchangeData;
+    try {
+      exchangeData = await getShiprocketClient().createExchangeOrder(exchangePayload);
+    } catch (shiprocketError) {
+      console.error("Shiprocket exchange creation failed:", shiprocketError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create exchange order",
+        error: shiprocketError.response?.message || shiprocketError.message,
       });
     }
+    console.log("Full Exchange Response:", JSON.stringify(exchangeData, null, 2));
 
     let returnAwbResult;
-    const returnShipmentId = exchangeData.data?.return_orders?.shipment_id;
+    const returnShipmentId = exchangeData.return_orders?.shipment_id;
     if (returnShipmentId) {
-      returnAwbResult = await generateAWBWithCourier(returnShipmentId, token);
+      returnAwbResult = await generateAWBWithCourier(returnShipmentId);
       if (!returnAwbResult.success) {
         console.error("Failed to assign return AWB:", returnAwbResult);
       }
@@ -981,9 +706,9 @@ exports.createExchangeOrder = async (req, res) => {
     }
 
     let forwardAwbResult;
-    const forwardShipmentId = exchangeData.data?.forward_orders?.shipment_id;
+    const forwardShipmentId = exchangeData.forward_orders?.shipment_id;
     if (forwardShipmentId) {
-      forwardAwbResult = await generateAWBWithCourier(forwardShipmentId, token);
+      forwardAwbResult = await generateAWBWithCourier(forwardShipmentId);
       if (!forwardAwbResult.success) {
         console.error("Failed to assign forward AWB:", forwardAwbResult);
       }
@@ -1006,19 +731,19 @@ exports.createExchangeOrder = async (req, res) => {
       newItemId,
       desiredSize,
       reason: reason || "Not specified",
-      returnAwbCode: returnAwbResult?.success ? returnAwbResult.awbData.awb_code : exchangeData.data?.return_orders?.awb_code || "",
+      returnAwbCode: returnAwbResult?.success ? returnAwbResult.awbData.awb_code : exchangeData.return_orders?.awb_code || "",
       returnTrackingUrl: returnAwbResult?.success ? 
         `https://shiprocket.co/tracking/${returnAwbResult.awbData.awb_code}` : 
-        exchangeData.data?.return_orders?.awb_code ? `https://shiprocket.co/tracking/${exchangeData.data.return_orders.awb_code}` : "",
-      returnLabelUrl: exchangeData.data?.return_orders?.label_url || "",
-      shiprocketReturnId: exchangeData.data?.return_orders?.order_id || exchangePayload.return_order_id,
-      returnShipmentId: exchangeData.data?.return_orders?.shipment_id || "",
-      forwardAwbCode: forwardAwbResult?.success ? forwardAwbResult.awbData.awb_code : exchangeData.data?.forward_orders?.awb_code || "",
+        exchangeData.return_orders?.awb_code ? `https://shiprocket.co/tracking/${exchangeData.return_orders.awb_code}` : "",
+      returnLabelUrl: exchangeData.return_orders?.label_url || "",
+      shiprocketReturnId: exchangeData.return_orders?.order_id || exchangePayload.return_order_id,
+      returnShipmentId: exchangeData.return_orders?.shipment_id || "",
+      forwardAwbCode: forwardAwbResult?.success ? forwardAwbResult.awbData.awb_code : exchangeData.forward_orders?.awb_code || "",
       forwardTrackingUrl: forwardAwbResult?.success ? 
         `https://shiprocket.co/tracking/${forwardAwbResult.awbData.awb_code}` : 
-        exchangeData.data?.forward_orders?.awb_code ? `https://shiprocket.co/tracking/${exchangeData.data.forward_orders.awb_code}` : "",
-      shiprocketForwardOrderId: exchangeData.data?.forward_orders?.order_id || exchangePayload.exchange_order_id,
-      forwardShipmentId: exchangeData.data?.forward_orders?.shipment_id || "",
+        exchangeData.forward_orders?.awb_code ? `https://shiprocket.co/tracking/${exchangeData.forward_orders.awb_code}` : "",
+      shiprocketForwardOrderId: exchangeData.forward_orders?.order_id || exchangePayload.exchange_order_id,
+      forwardShipmentId: exchangeData.forward_orders?.shipment_id || "",
       notes: "Exchange initiated via Shiprocket Exchange API",
       images: imageUrls
     };
@@ -1046,6 +771,367 @@ exports.createExchangeOrder = async (req, res) => {
   }
 };
 
+// Get Refunds For An Order
+exports.getOrderRefunds = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId).select("user total_price amount_refunded refund_status payment_status");
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    if (!(await isOrderOwnerOrAdmin(req, order))) {
+      return res.status(403).json({ success: false, message: "Unauthorized to view refunds for this order" });
+    }
+
+    const refunds = await Refund.find({ order: orderId }).sort({ createdAt: -1 });
+    const creditNotes = await Invoice.find({ order: orderId, type: "credit_note" })
+      .select("number refund total issued_at")
+      .sort({ issued_at: -1 });
+
+    res.status(200).json({
+      success: true,
+      capturedAmount: getCapturedAmount(order),
+      amountRefunded: order.amount_refunded || 0,
+      refundStatus: order.refund_status || null,
+      refunds,
+      creditNotes,
+    });
+  } catch (error) {
+    console.error("Error fetching order refunds:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error", error: error.message });
+  }
+};
+
+// Download Tax Invoice
+exports.getOrderInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+
+    const order = await Order.findById(id).populate("items").populate("user");
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    if (!(await isOrderOwnerOrAdmin(req, order))) {
+      return res.status(403).json({ success: false, message: "Unauthorized to view this invoice" });
+    }
+
+    const invoice = await getOrCreateInvoice(order);
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${invoice.number.replace(/\//g, "-")}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Error generating invoice:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// Download Credit Note
+exports.getOrderCreditNote = async (req, res) => {
+  try {
+    const { id, creditNoteId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(creditNoteId)) {
+      return res.status(400).json({ success: false, message: "Invalid order or credit note ID" });
+    }
+
+    const creditNote = await Invoice.findOne({ _id: creditNoteId, order: id, type: "credit_note" })
+      .populate("original_invoice", "number");
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: "Credit note not found" });
+    }
+
+    if (!(await isOrderOwnerOrAdmin(req, { user: creditNote.user }))) {
+      return res.status(403).json({ success: false, message: "Unauthorized to view this credit note" });
+    }
+
+    const pdf = await renderInvoicePdf(creditNote, {
+      originalInvoiceNumber: creditNote.original_invoice?.number,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${creditNote.number.replace(/\//g, "-")}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Error generating credit note:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error", error: error.message });
+  }
+};
+
+// Retry Shiprocket Fulfilment (Admin)
+// For confirmed orders whose shipment could not be created when they were paid or placed
+exports.retryOrderFulfilment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+
+    const order = await Order.findById(id).populate("items").populate("user");
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    if (!["Paid", "COD Pending"].includes(order.payment_status) || order.order_status === "Cancelled") {
+      return res.status(400).json({ success: false, message: "Only confirmed orders can be fulfilled" });
+    }
+    await ensureShipments(order);
+    const awaitingAwb = order.shipments.some((s) => !s.awb_code && s.shipping_status !== "Cancelled");
+    if (getUnshippedLines(order).length === 0 && !awaitingAwb) {
+      return res.status(400).json({ success: false, message: "Every unit of this order is already in a shipment" });
+    }
+
+    const fulfilment = await fulfilPaidOrder(order);
+    res.status(fulfilment.success ? 200 : 502).json({ ...fulfilment, order });
+  } catch (error) {
+    console.error("Error retrying fulfilment:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error", error: error.message });
+  }
+};
+
+// List Fulfilment Jobs (Admin)
+// Defaults to the dead-letter list: orders whose Shiprocket fulfilment ran out of retries
+exports.getFulfilmentJobs = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await listFulfilmentJobs({ status, page, limit });
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error listing fulfilment jobs:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// Requeue Fulfilment Job (Admin)
+exports.requeueFulfilment = async (req, res) => {
+  try {
+    const job = await requeueFulfilmentJob(req.params.jobId, req.user._id);
+    res.status(200).json({ success: true, message: "Fulfilment job requeued", job });
+  } catch (error) {
+    console.error("Error requeueing fulfilment job:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// Dispatch Part of an Order (Admin)
+// Ships the given units now in their own shipment(s); the rest can follow later
+exports.createOrderShipment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lines } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+
+    const order = await Order.findById(id).populate("items").populate("user");
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    if (!["Paid", "COD Pending"].includes(order.payment_status) || order.order_status === "Cancelled") {
+      return res.status(400).json({ success: false, message: "Only confirmed orders can be fulfilled" });
+    }
+
+    const fulfilment = await fulfilPaidOrder(order, { lines });
+    res.status(fulfilment.success ? 201 : 502).json({ ...fulfilment, order });
+  } catch (error) {
+    console.error("Error creating shipment:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// Get Order Shipments
+// Each parcel of the order with its items and live courier tracking
+exports.getOrderShipments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+
+    const order = await Order.findById(id).populate("items", "name imageUrl");
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    if (!(await isOrderOwnerOrAdmin(req, order))) {
+      return res.status(403).json({ success: false, message: "Unauthorized to view this order" });
+    }
+    await ensureShipments(order);
+
+    const shipments = await Promise.all(
+      order.shipments.map(async (shipment) => {
+        let tracking = null;
+        if (shipment.awb_code) {
+          try {
+            tracking = await getShiprocketClient().trackAwb(shipment.awb_code);
+          } catch (trackingError) {
+            console.error(`Tracking lookup failed for AWB ${shipment.awb_code}:`, trackingError.message);
+          }
+        }
+        return {
+          id: shipment._id,
+          items: shipment.lines.map((line) => {
+            const item = order.items.find((i) => i._id.toString() === line.item_id.toString());
+            return { item_id: line.item_id, name: item?.name, imageUrl: item?.imageUrl, sku: line.sku, quantity: line.quantity };
+          }),
+          shipping_status: shipment.shipping_status,
+          shipping_status_updated_at: shipment.shipping_status_updated_at,
+          delivered_at: shipment.delivered_at,
+          awb_code: shipment.awb_code,
+          courier_name: shipment.courier_name,
+          tracking_url: shipment.tracking_url,
+          tracking,
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      shipping_status: order.shipping_status,
+      shipments,
+      unshipped: getUnshippedLines(order),
+    });
+  } catch (error) {
+    console.error("Error fetching order shipments:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// Get Failed Delivery Attempts (NDR)
+exports.getOrderNdrCases = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+
+    const order = await Order.findById(id).select("user");
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    if (!(await isOrderOwnerOrAdmin(req, order))) {
+      return res.status(403).json({ success: false, message: "Unauthorized to view this order" });
+    }
+
+    const cases = await getOrderNdrCases(order._id);
+    res.status(200).json({ success: true, cases });
+  } catch (error) {
+    console.error("Error fetching NDR cases:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// Respond to a Failed Delivery (NDR)
+// Re-attempt, re-attempt at a new address or phone number, or cancel (parcel goes back)
+exports.submitNdrAction = async (req, res) => {
+  try {
+    const { id, caseId } = req.params;
+    const { action, address1, address2, phone, preferredDate, comments } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+
+    const order = await Order.findById(id).select("user");
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    if (!(await isOrderOwnerOrAdmin(req, order))) {
+      return res.status(403).json({ success: false, message: "Unauthorized to update this order" });
+    }
+
+    const ndrCase = await requestNdrAction({
+      orderId: order._id,
+      caseId,
+      action,
+      address1,
+      address2,
+      phone,
+      preferredDate,
+      comments,
+      userId: req.user._id,
+    });
+    res.status(200).json({ success: true, message: "Your delivery instructions were sent to the courier", case: ndrCase });
+  } catch (error) {
+    console.error("Error submitting NDR action:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+// Create Partial Refund (Admin)
+exports.createAdminRefund = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { lines, amount, reason, refundTo } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: "reason is required" });
+    }
+    if ((!Array.isArray(lines) || lines.length === 0) && amount === undefined) {
+      return res.status(400).json({ success: false, message: "Provide order lines to refund or an amount" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    // An amount without lines is a goodwill/adjustment refund not tied to returned items
+    const refund = await createRefund({
+      order,
+      lines: Array.isArray(lines) && lines.length > 0 ? lines : [],
+      amount,
+      type: "manual",
+      reason,
+      initiatedBy: req.user._id,
+      destination: getRefundDestination(refundTo),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Refund created successfully",
+      refund,
+      amountRefunded: order.amount_refunded,
+      refundStatus: order.refund_status,
+    });
+  } catch (error) {
+    console.error("Error creating refund:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Refund failed",
+      error: error.error || error.message,
+    });
+  }
+};
+
 // Get Orders By User
 exports.getOrdersByUser = async (req, res) => {
   console.log("Fetching user orders...");
@@ -1122,14 +1208,11 @@ exports.getAllOrdersSorted = async (req, res) => {
 // Authenticate Shiprocket
 exports.authenticateShiprocket = async (req, res) => {
   try {
-    const token = await getShiprocketToken();
-    if (!token) {
-      return res.status(500).json({ success: false, message: "Failed to authenticate with Shiprocket" });
-    }
+    const token = await getShiprocketClient().getToken();
     res.status(200).json({ success: true, token });
   } catch (error) {
     console.error("Error authenticating Shiprocket:", error);
-    res.status(500).json({ success: false, message: "Internal Server Error" });
+    res.status(500).json({ success: false, message: "Failed to authenticate with Shiprocket" });
   }
 };
 
@@ -1137,24 +1220,12 @@ exports.authenticateShiprocket = async (req, res) => {
 exports.getShiprocketTracking = async (req, res) => {
   try {
     const { awbCode } = req.params;
-    const shiprocketToken = await getShiprocketToken();
-    if (!shiprocketToken) {
-      return res.status(500).json({ success: false, message: "Failed to authenticate with Shiprocket" });
-    }
-
-    const response = await fetch(`${SHIPROCKET_API_BASE}/courier/track/awb/${awbCode}`, {
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${shiprocketToken}`,
-      },
-    });
-
-    const data = await response.json();
-    if (!response.ok || !data.tracking_data) {
+    const trackingData = await getShiprocketClient().trackAwb(awbCode);
+    if (!trackingData) {
       return res.status(404).json({ success: false, message: "Tracking data not available" });
     }
 
-    res.status(200).json({ success: true, data });
+    res.status(200).json({ success: true, data: { tracking_data: trackingData } });
   } catch (error) {
     console.error("Error fetching Shiprocket tracking:", error);
     res.status(500).json({ success: false, message: "Internal Server Error" });
@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const Order = require("../../models/Order");
+const { claimWebhookEvent } = require("../../services/webhookEventService");
+const { settlePaidOrder, fulfilPaidOrder } = require("../../services/orderFulfillmentService");
+const { getPaymentProvider } = require("../../services/payment");
+const { markRefundProcessed } = require("../../services/refundService");
+const { activatePurchasedGiftCard } = require("../../services/giftCardService");
+const { releaseReservation } = require("../../services/stockReservationService");
+
+// payment.captured / order.paid: mark the order paid and run the same steps as paymentController.verifyPayment
+async function handlePaymentCaptured(payload) {
+  const payment = payload.payment?.entity;
+  const razorpayOrderId = payment?.order_id || payload.order?.entity?.id;
+  if (!razorpayOrderId) {
+    return { result: "ignored", reason: "No Razorpay order ID in payload" };
+  }
+
+  // Any error other than a refunded, unfulfillable order leaves nothing applied, so the
+  // delivery fails and Razorpay redelivers it
+  let settled;
+  try {
+    settled = await settlePaidOrder(razorpayOrderId, {
+      ...(payment?.id && { razorpay_payment_id: payment.id }),
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    return { result: "processed", reason: "Order cancelled and refunded", error: error.message };
+  }
+  const { order, alreadyPaid } = settled;
+
+  if (!order) {
+    // Gift card purchases are paid through their own Razorpay orders
+    const { giftCard, alreadyActive } = await activatePurchasedGiftCard(razorpayOrderId, {
+      ...(payment?.id && { razorpay_payment_id: payment.id }),
+    });
+    if (giftCard) {
+      return alreadyActive
+        ? { result: "skipped", reason: `Gift card ${giftCard._id} already active` }
+        : { result: "processed", reason: `Gift card ${giftCard._id} activated` };
+    }
+    return { result: "ignored", reason: `No order for Razorpay order ${razorpayOrderId}` };
+  }
+  if (alreadyPaid) {
+    return { result: "skipped", order: order._id, reason: "Order already paid" };
+  }
+
+  // The payment is committed; Shiprocket errors are recorded on the order and the event
+  const fulfilment = await fulfilPaidOrder(order);
+  return {
+    result: "processed",
+    order: order._id,
+    fulfilment,
+    ...(!fulfilment.success && { error: fulfilment.error || fulfilment.message }),
+  };
+}
+
+// payment.failed: flag the pending order so the app can show the failure and put its stock back
+async function handlePaymentFailed(payload) {
+  const payment = payload.payment?.entity;
+  if (!payment?.order_id) {
+    return { result: "ignored", reason: "No Razorpay order ID in payload" };
+  }
+
+  const order = await Order.findOneAndUpdate(
+    { razorpay_order_id: payment.order_id, payment_status: "Pending" },
+    { $set: { payment_status: "Failed", razorpay_payment_id: payment.id } },
+    { new: true }
+  );
+
+  if (!order) {
+    return { result: "skipped", reason: "Order not found or no longer pending" };
+  }
+
+  // retry-payment reserves again; a late success re-takes the stock on payment
+  await releaseReservation(order._id, "Payment failed");
+  return { result: "processed", order: order._id };
+}
+
+// refund.processed: record the completed refund against the order
+async function handleRefundProcessed(payload) {
+  const refund = payload.refund?.entity;
+  if (!refund?.payment_id) {
+    return { result: "ignored", reason: "No payment ID in refund payload" };
+  }
+
+  const order = await Order.findOne({ razorpay_payment_id: refund.payment_id });
+  if (!order) {
+    return { result: "ignored", reason: `No order for payment ${refund.payment_id}` };
+  }
+
+  const ledgerEntry = await markRefundProcessed(refund.id);
+
+  // Keep the return block on the order in sync when this refund belongs to it
+  if (order.refund?.refundTransactionId === refund.id && order.refund.refundStatus !== "Processed") {
+    order.set("refund.refundStatus", "Processed");
+    order.set("refund.status", "Processed");
+    await order.save();
+  } else if (!ledgerEntry) {
+    return { result: "skipped", order: order._id, reason: "Refund already processed or not in ledger" };
+  }
+
+  return { result: "processed", order: order._id };
+}
+
+const EVENT_HANDLERS = {
+  "payment.captured": handlePaymentCaptured,
+  "order.paid": handlePaymentCaptured,
+  "payment.failed": handlePaymentFailed,
+  "refund.processed": handleRefundProcessed,
+};
+
+// Razorpay Webhook
+exports.handleRazorpayWebhook = async (req, res) => {
+  const signature = req.headers["x-razorpay-signature"];
+  if (!getPaymentProvider().verifyWebhookSignature(req.rawBody, signature)) {
+    return res.status(400).json({ success: false, message: "Invalid webhook signature" });
+  }
+
+  const { event, payload = {} } = req.body;
+  const handler = EVENT_HANDLERS[event];
+  if (!handler) {
+    // Acknowledge events we do not subscribe to so Razorpay does not retry them
+    return res.status(200).json({ success: true, message: `Event ${event} ignored` });
+  }
+
+  const eventId =
+    req.headers["x-razorpay-event-id"] ||
+    crypto.createHash("sha256").update(req.rawBody).digest("hex");
+
+  let claim;
+  try {
+    claim = await claimWebhookEvent({ provider: "razorpay", eventId, event });
+  } catch (error) {
+    console.error("Error recording webhook event:", error);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+  if (claim.duplicate === "processed") {
+    return res.status(200).json({ success: true, message: "Event already received" });
+  }
+  if (claim.duplicate === "processing") {
+    // Non-2xx so Razorpay redelivers it, in case the delivery in progress does not finish
+    return res.status(409).json({ success: false, message: "Event is still being processed" });
+  }
+  const { webhookEvent } = claim;
+
+  try {
+    const outcome = await handler(payload);
+    console.log(`Razorpay webhook ${event} (${eventId}):`, outcome);
+
+    webhookEvent.status = "processed";
+    webhookEvent.lockedUntil = undefined;
+    webhookEvent.order = outcome.order;
+    webhookEvent.error = outcome.error;
+    webhookEvent.processedAt = new Date();
+    await webhookEvent.save();
+
+    res.status(200).json({ success: true, message: `Event ${event} ${outcome.result}` });
+  } catch (error) {
+    console.error("Error processing Razorpay webhook:", error);
+    webhookEvent.status = "failed";
+    webhookEvent.lockedUntil = undefined;
+    webhookEvent.error = error.message;
+    await webhookEvent.save();
+
+    // Non-2xx makes Razorpay redeliver the event
+    res.status(500).json({ success: false, message: "Webhook processing failed" });
+  }
+};
@@ -0,0 +1,240 @@
+const PriceList = require('../../models/PriceList');
+const Item = require('../../models/Item');
+const mongoose = require('mongoose');
+const { getActivePriceLists, getEffectivePrice } = require('../../services/pricingService');
+
+const ADJUSTMENT_TYPES = ['percentage', 'fixed', 'fixed_price'];
+
+// Normalise and validate the targets of a price list; returns { error } or { targets }
+function parseTargets(targets = {}) {
+  const items = targets.items || [];
+  const subCategories = targets.subCategories || [];
+  const filters = targets.filters || [];
+
+  if (![items, subCategories, filters].every(Array.isArray)) {
+    return { error: 'targets.items, targets.subCategories and targets.filters must be arrays' };
+  }
+  if (![...items, ...subCategories].every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid item or subcategory ID in targets' };
+  }
+  if (!filters.every(filter => filter && filter.key && filter.value)) {
+    return { error: 'Each target filter needs a key and a value' };
+  }
+  if (items.length + subCategories.length + filters.length === 0) {
+    return { error: 'A price list must target at least one item, subcategory or filter' };
+  }
+
+  return {
+    targets: {
+      items,
+      subCategories,
+      filters: filters.map(filter => ({ key: String(filter.key), value: String(filter.value) })),
+    },
+  };
+}
+
+// Whether a request value parses as a date
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Status of a price list relative to now
+function getStatus(priceList, now = new Date()) {
+  if (!priceList.isActive) return 'inactive';
+  if (now < priceList.startDate) return 'scheduled';
+  if (now >= priceList.endDate) return 'ended';
+  return 'running';
+}
+
+// Create Price List (Admin)
+exports.createPriceList = async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      targets,
+      adjustmentType,
+      adjustmentValue,
+      startDate,
+      endDate,
+      priority,
+      isActive,
+    } = req.body;
+
+    if (!name || !adjustmentType || adjustmentValue === undefined || !startDate || !endDate) {
+      return res.status(400).json({ success: false, message: 'All required fields must be provided' });
+    }
+
+    if (!ADJUSTMENT_TYPES.includes(adjustmentType)) {
+      return res.status(400).json({ success: false, message: 'Invalid adjustment type' });
+    }
+
+    if (adjustmentType === 'percentage' && Number(adjustmentValue) > 100) {
+      return res.status(400).json({ success: false, message: 'Percentage adjustment cannot exceed 100' });
+    }
+
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+      return res.status(400).json({ success: false, message: 'startDate and endDate must be valid dates' });
+    }
+
+    if (new Date(endDate) <= new Date(startDate)) {
+      return res.status(400).json({ success: false, message: 'endDate must be after startDate' });
+    }
+
+    const parsed = parseTargets(targets);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    const priceList = new PriceList({
+      name,
+      description,
+      targets: parsed.targets,
+      adjustmentType,
+      adjustmentValue: Number(adjustmentValue),
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      priority: priority !== undefined ? Number(priority) : 0,
+      isActive: isActive !== undefined ? isActive : true,
+    });
+
+    await priceList.save();
+
+    res.status(201).json({ success: true, message: 'Price list created', priceList });
+  } catch (error) {
+    console.error('createPriceList error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Update Price List (Admin)
+exports.updatePriceList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      name,
+      description,
+      targets,
+      adjustmentType,
+      adjustmentValue,
+      startDate,
+      endDate,
+      priority,
+      isActive,
+    } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid price list ID' });
+    }
+
+    const priceList = await PriceList.findById(id);
+    if (!priceList) {
+      return res.status(404).json({ success: false, message: 'Price list not found' });
+    }
+
+    if (adjustmentType) {
+      if (!ADJUSTMENT_TYPES.includes(adjustmentType)) {
+        return res.status(400).json({ success: false, message: 'Invalid adjustment type' });
+      }
+      priceList.adjustmentType = adjustmentType;
+    }
+
+    if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+      return res.status(400).json({ success: false, message: 'startDate and endDate must be valid dates' });
+    }
+
+    if (targets !== undefined) {
+      const parsed = parseTargets(targets);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      priceList.targets = parsed.targets;
+    }
+
+    if (name) priceList.name = name;
+    if (description !== undefined) priceList.description = description;
+    if (adjustmentValue !== undefined) priceList.adjustmentValue = Number(adjustmentValue);
+    if (startDate) priceList.startDate = new Date(startDate);
+    if (endDate) priceList.endDate = new Date(endDate);
+    if (priority !== undefined) priceList.priority = Number(priority);
+    if (isActive !== undefined) priceList.isActive = isActive;
+
+    if (priceList.adjustmentType === 'percentage' && priceList.adjustmentValue > 100) {
+      return res.status(400).json({ success: false, message: 'Percentage adjustment cannot exceed 100' });
+    }
+
+    if (priceList.endDate <= priceList.startDate) {
+      return res.status(400).json({ success: false, message: 'endDate must be after startDate' });
+    }
+
+    await priceList.save();
+
+    res.status(200).json({ success: true, message: 'Price list updated', priceList });
+  } catch (error) {
+    console.error('updatePriceList error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Delete Price List (Admin)
+exports.deletePriceList = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid price list ID' });
+    }
+
+    const priceList = await PriceList.findByIdAndDelete(id);
+    if (!priceList) {
+      return res.status(404).json({ success: false, message: 'Price list not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Price list deleted' });
+  } catch (error) {
+    console.error('deletePriceList error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Get All Price Lists (Admin)
+exports.getAllPriceLists = async (req, res) => {
+  try {
+    const now = new Date();
+    const priceLists = await PriceList.find().sort({ startDate: -1 }).lean();
+    const withStatus = priceLists.map(priceList => ({ ...priceList, status: getStatus(priceList, now) }));
+
+    const { status } = req.query;
+    res.status(200).json({
+      success: true,
+      priceLists: status ? withStatus.filter(priceList => priceList.status === status) : withStatus,
+    });
+  } catch (error) {
+    console.error('getAllPriceLists error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Preview Item Prices Under Running Price Lists (Admin)
+exports.previewItemPrices = async (req, res) => {
+  try {
+    const { itemIds = [], at } = req.body;
+
+    if (!Array.isArray(itemIds) || !itemIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'itemIds must be an array of item IDs' });
+    }
+
+    const when = at ? new Date(at) : new Date();
+    const [items, priceLists] = await Promise.all([
+      Item.find({ _id: { $in: itemIds } }),
+      getActivePriceLists(when),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      at: when,
+      prices: items.map(item => ({ itemId: item._id, name: item.name, ...getEffectivePrice(item, priceLists) })),
+    });
+  } catch (error) {
+    console.error('previewItemPrices error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,198 @@
+const { checkPincodeServiceability } = require("../../services/shippingService");
+const {
+  getCourierPolicies,
+  upsertCourierPolicy,
+  deleteCourierPolicy,
+} = require("../../services/courierSelectionService");
+const {
+  listShippingRules,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule,
+} = require("../../services/shippingRuleService");
+const {
+  generateLabels,
+  getOrderLabelUrl,
+  schedulePickups,
+  generateManifests,
+} = require("../../services/shipmentDocumentService");
+const { listNdrCases } = require("../../services/ndrService");
+
+// Send service errors with their status, anything else as a 500
+function sendError(res, error, context) {
+  console.error(`Error ${context}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : "Internal Server Error",
+    error: error.message,
+  });
+}
+
+// Accept either a single orderId or a batch of orderIds
+const getOrderIds = (body) => (body.orderId ? [body.orderId] : body.orderIds);
+
+// Check Pincode Serviceability
+exports.checkServiceability = async (req, res) => {
+  try {
+    const { pincode, itemId, quantity } = req.query;
+    const serviceability = await checkPincodeServiceability({ pincode, itemId, quantity: quantity || 1 });
+
+    res.status(200).json({ success: true, ...serviceability });
+  } catch (error) {
+    sendError(res, error, "checking serviceability");
+  }
+};
+
+// Get Courier Policies (Admin)
+exports.getCourierPolicies = async (req, res) => {
+  try {
+    const policies = await getCourierPolicies();
+    res.status(200).json({ success: true, policies });
+  } catch (error) {
+    sendError(res, error, "fetching courier policies");
+  }
+};
+
+// Set Courier Policy For A Zone (Admin)
+exports.setCourierPolicy = async (req, res) => {
+  try {
+    const { strategy, preferredCourierIds, fallbackStrategy } = req.body;
+    const policy = await upsertCourierPolicy(
+      req.params.zone,
+      { strategy, preferredCourierIds, fallbackStrategy },
+      req.user._id
+    );
+    res.status(200).json({ success: true, message: `Courier policy for ${policy.zone} saved`, policy });
+  } catch (error) {
+    sendError(res, error, "saving courier policy");
+  }
+};
+
+// Delete Courier Policy For A Zone (Admin)
+exports.deleteCourierPolicy = async (req, res) => {
+  try {
+    const removed = await deleteCourierPolicy(req.params.zone);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: "No courier policy for this zone" });
+    }
+    res.status(200).json({ success: true, message: `Courier policy for ${req.params.zone} removed` });
+  } catch (error) {
+    sendError(res, error, "deleting courier policy");
+  }
+};
+
+// Fields an admin may set on a shipping rule
+const pickShippingRuleFields = (body) =>
+  Object.fromEntries(
+    [
+      "name",
+      "isActive",
+      "priority",
+      "serviceLevel",
+      "zone",
+      "minCartValue",
+      "maxCartValue",
+      "baseCharge",
+      "weightSlabs",
+      "extraChargePerKg",
+      "freeShippingAbove",
+      "categorySurcharges",
+    ]
+      .filter((field) => body[field] !== undefined)
+      .map((field) => [field, body[field]])
+  );
+
+// Get Shipping Rules (Admin)
+exports.getShippingRules = async (req, res) => {
+  try {
+    const rules = await listShippingRules();
+    res.status(200).json({ success: true, rules });
+  } catch (error) {
+    sendError(res, error, "fetching shipping rules");
+  }
+};
+
+// Create Shipping Rule (Admin)
+exports.createShippingRule = async (req, res) => {
+  try {
+    const rule = await createShippingRule(pickShippingRuleFields(req.body), req.user._id);
+    res.status(201).json({ success: true, message: "Shipping rule created", rule });
+  } catch (error) {
+    sendError(res, error, "creating shipping rule");
+  }
+};
+
+// Update Shipping Rule (Admin)
+exports.updateShippingRule = async (req, res) => {
+  try {
+    const rule = await updateShippingRule(req.params.id, pickShippingRuleFields(req.body), req.user._id);
+    res.status(200).json({ success: true, message: "Shipping rule updated", rule });
+  } catch (error) {
+    sendError(res, error, "updating shipping rule");
+  }
+};
+
+// Delete Shipping Rule (Admin)
+exports.deleteShippingRule = async (req, res) => {
+  try {
+    const removed = await deleteShippingRule(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: "Shipping rule not found" });
+    }
+    res.status(200).json({ success: true, message: "Shipping rule removed" });
+  } catch (error) {
+    sendError(res, error, "deleting shipping rule");
+  }
+};
+
+// Generate Shipping Labels (Admin)
+exports.generateLabels = async (req, res) => {
+  try {
+    const result = await generateLabels(getOrderIds(req.body));
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "generating shipping labels");
+  }
+};
+
+// Download Shipping Label (Admin)
+exports.downloadLabel = async (req, res) => {
+  try {
+    const labelUrl = await getOrderLabelUrl(req.params.orderId);
+    res.redirect(302, labelUrl);
+  } catch (error) {
+    sendError(res, error, "downloading shipping label");
+  }
+};
+
+// Schedule Courier Pickups (Admin)
+exports.schedulePickups = async (req, res) => {
+  try {
+    const result = await schedulePickups(getOrderIds(req.body), { pickupDate: req.body.pickupDate });
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "scheduling pickups");
+  }
+};
+
+// Generate Manifests (Admin)
+exports.generateManifests = async (req, res) => {
+  try {
+    const result = await generateManifests(getOrderIds(req.body));
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "generating manifests");
+  }
+};
+
+// Get NDR Cases (Admin)
+// Failed delivery attempts for support to follow up, ?status=open (default), action_requested or resolved
+exports.getNdrCases = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await listNdrCases({ status, page, limit });
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "fetching NDR cases");
+  }
+};
@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const { claimWebhookEvent } = require("../../services/webhookEventService");
+const { mapShiprocketStatus, applyShipmentStatus } = require("../../services/shipmentTrackingService");
+const { recordNdrTrackingUpdate } = require("../../services/ndrService");
+
+// Token configured on the Shiprocket webhook settings page; Shiprocket sends it as X-Api-Key
+const SHIPROCKET_WEBHOOK_TOKEN = process.env.SHIPROCKET_WEBHOOK_TOKEN;
+
+function isValidWebhookToken(token) {
+  if (!SHIPROCKET_WEBHOOK_TOKEN || typeof token !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(SHIPROCKET_WEBHOOK_TOKEN);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Shiprocket timestamps look like "23 05 2023 11:43:52" (day month year, IST)
+function parseShiprocketTimestamp(value) {
+  const match = String(value || "").match(/^(\d{2})[ -](\d{2})[ -](\d{4}) (\d{2}):(\d{2}):(\d{2})$/);
+  if (!match) {
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? new Date() : parsed;
+  }
+  const [, day, month, year, hours, minutes, seconds] = match;
+  return new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}+05:30`);
+}
+
+// Shiprocket Tracking Webhook
+exports.handleShiprocketWebhook = async (req, res) => {
+  if (!isValidWebhookToken(req.headers["x-api-key"])) {
+    return res.status(401).json({ success: false, message: "Invalid webhook token" });
+  }
+
+  const {
+    awb,
+    current_status: currentStatus,
+    current_status_id: statusId,
+    current_timestamp: timestamp,
+    scans,
+  } = req.body || {};
+  if (!awb || !(currentStatus || statusId)) {
+    // Shiprocket pings the URL with an empty body when it is saved; acknowledge it
+    return res.status(200).json({ success: true, message: "No tracking update in payload" });
+  }
+
+  // Shiprocket sends no event ID; one AWB reaching one status at one time is one event
+  const eventId = crypto
+    .createHash("sha256")
+    .update(`${awb}|${statusId || ""}|${currentStatus || ""}|${timestamp || ""}`)
+    .digest("hex");
+  const event = `tracking.${String(currentStatus || statusId).toLowerCase().replace(/\s+/g, "_")}`;
+
+  let claim;
+  try {
+    claim = await claimWebhookEvent({ provider: "shiprocket", eventId, event });
+  } catch (error) {
+    console.error("Error recording webhook event:", error);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+  if (claim.duplicate === "processed") {
+    return res.status(200).json({ success: true, message: "Event already received" });
+  }
+  if (claim.duplicate === "processing") {
+    // Non-2xx so Shiprocket redelivers it, in case the delivery in progress does not finish
+    return res.status(409).json({ success: false, message: "Event is still being processed" });
+  }
+  const { webhookEvent } = claim;
+
+  try {
+    const status = mapShiprocketStatus({ label: currentStatus, statusId });
+    let outcome;
+    if (!status) {
+      outcome = { result: "ignored", reason: `Status ${currentStatus || statusId} is not tracked` };
+    } else {
+      const occurredAt = parseShiprocketTimestamp(timestamp);
+      const { order, leg, applied } = await applyShipmentStatus({ awbCode: String(awb), status, occurredAt });
+      // Failed delivery attempts are recorded even when repeated, since each is a new attempt
+      if (order && leg === "forward") {
+        const latestScan = Array.isArray(scans) && scans.length > 0 ? scans[scans.length - 1] : null;
+        await recordNdrTrackingUpdate({
+          awbCode: String(awb),
+          status,
+          reason: latestScan?.activity,
+          location: latestScan?.location,
+          occurredAt,
+        });
+      }
+      if (!order) {
+        outcome = { result: "ignored", reason: `No order for AWB ${awb}` };
+      } else {
+        outcome = {
+          result: applied ? "processed" : "skipped",
+          order: order._id,
+          reason: applied ? `${leg} shipment is now ${status}` : `${leg} shipment already past ${status}`,
+        };
+      }
+    }
+    console.log(`Shiprocket webhook ${event} (${awb}):`, outcome);
+
+    webhookEvent.status = "processed";
+    webhookEvent.lockedUntil = undefined;
+    webhookEvent.order = outcome.order;
+    webhookEvent.processedAt = new Date();
+    await webhookEvent.save();
+
+    res.status(200).json({ success: true, message: `Event ${event} ${outcome.result}` });
+  } catch (error) {
+    console.error("Error processing Shiprocket webhook:", error);
+    webhookEvent.status = "failed";
+    webhookEvent.lockedUntil = undefined;
+    webhookEvent.error = error.message;
+    await webhookEvent.save();
+
+    // Non-2xx makes Shiprocket redeliver the event
+    res.status(500).json({ success: false, message: "Webhook processing failed" });
+  }
+};
@@ -2,6 +2,7 @@ const SubCategory = require("../../models/SubCategory");
 const Category = require("../../models/Category");
 const { deleteFileFromS3 } = require("../../utils/S3");
 const { ApiResponse } = require("../../utils/ApiResponse");
+const { parseGstSlabs } = require("../../services/taxService");
 
 // Create a new subcategory
 exports.createSubCategory = async (req, res, newSubCategoryId) => {
@@ -15,12 +16,26 @@ exports.createSubCategory = async (req, res, newSubCategoryId) => {
       return { error: "Category not found" };  // Return an error message instead of sending a response directly
     }
 
+    // A 0% rate is valid; only a missing or empty value leaves the rate unset
+    const gstRate = req.body.gstRate;
+    let gstSlabs = [];
+    if (req.body.gstSlabs) {
+      try {
+        gstSlabs = parseGstSlabs(req.body.gstSlabs);
+      } catch (error) {
+        return { error: error.message };  // Reported as a 400 by the route
+      }
+    }
+
     const newSubCategory = new SubCategory({
       _id: newSubCategoryId,  // Assign the generated ID
       name: req.body.name,
       description: req.body.description,
       categoryId: req.body.categoryId,
       imageUrl: req.body.imageUrl,  // Image URL from S3
+      hsnCode: req.body.hsnCode || undefined,  // GST defaults for items in this subcategory
+      gstRate: gstRate !== undefined && gstRate !== "" && gstRate !== null ? Number(gstRate) : undefined,
+      gstSlabs,
     });
 
     await newSubCategory.save();
@@ -88,6 +103,17 @@ exports.updateSubCategory = async (req, res) => {
     subCategory.categoryId = req.body.categoryId || subCategory.categoryId;
     subCategory.imageUrl = req.body.imageUrl ? req.body.imageUrl : subCategory.imageUrl;
 
+    // GST settings are only changed when sent; an empty value clears them
+    if (req.body.hsnCode !== undefined) subCategory.hsnCode = req.body.hsnCode || undefined;
+    if (req.body.gstRate !== undefined) subCategory.gstRate = req.body.gstRate !== "" && req.body.gstRate !== null ? Number(req.body.gstRate) : undefined;
+    if (req.body.gstSlabs !== undefined) {
+      try {
+        subCategory.gstSlabs = req.body.gstSlabs ? parseGstSlabs(req.body.gstSlabs) : [];
+      } catch (error) {
+        return res.status(400).json(ApiResponse(null, error.message, false, 400));
+      }
+    }
+
     await subCategory.save();
     res.status(200).json(subCategory);
   } catch (err) {
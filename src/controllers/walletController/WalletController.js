@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const {
+  getWalletBalance,
+  getWalletHistory,
+  creditWallet,
+  debitWallet,
+} = require('../../services/walletService');
+
+// Get My Wallet
+exports.getMyWallet = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const [balance, { transactions }] = await Promise.all([
+      getWalletBalance(userId),
+      getWalletHistory(userId, { page: 1, limit: 5 }),
+    ]);
+
+    res.status(200).json({ success: true, balance, recentTransactions: transactions });
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    res.status(500).json({ success: false, message: 'Internal Server Error', error: error.message });
+  }
+};
+
+// Get My Wallet Transactions
+exports.getMyWalletTransactions = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { transactions, total } = await getWalletHistory(req.user._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      transactions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching wallet transactions:', error);
+    res.status(500).json({ success: false, message: 'Internal Server Error', error: error.message });
+  }
+};
+
+// Get User Wallet (Admin)
+exports.getUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const [balance, { transactions, total }] = await Promise.all([
+      getWalletBalance(userId),
+      getWalletHistory(userId, { page, limit }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      balance,
+      transactions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching user wallet:', error);
+    res.status(500).json({ success: false, message: 'Internal Server Error', error: error.message });
+  }
+};
+
+// Adjust User Wallet (Admin)
+// A positive amount credits the wallet (goodwill or correction), a negative one debits it.
+exports.adjustUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { amount, reason, type = 'admin_adjustment' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+    if (!['goodwill', 'admin_adjustment'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'type must be goodwill or admin_adjustment' });
+    }
+    const value = Number(amount);
+    if (!value || Number.isNaN(value)) {
+      return res.status(400).json({ success: false, message: 'amount must be a non-zero number' });
+    }
+    if (type === 'goodwill' && value < 0) {
+      return res.status(400).json({ success: false, message: 'Goodwill credits must be positive' });
+    }
+
+    const user = await User.findById(userId, '_id');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const params = { userId, amount: Math.abs(value), source: type, reason, performedBy: req.user._id };
+    const transaction = value > 0 ? await creditWallet(params) : await debitWallet(params);
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet adjusted successfully',
+      transaction,
+      balance: transaction.balance_after,
+    });
+  } catch (error) {
+    console.error('Error adjusting wallet:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Internal Server Error',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,75 @@
+const {
+  listWarehouses,
+  createWarehouse,
+  updateWarehouse,
+  getWarehouseStock,
+  setWarehouseStock,
+} = require("../../services/warehouseService");
+
+// Send service errors with their status, anything else as a 500
+function sendError(res, error, context) {
+  console.error(`Error ${context}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : "Internal Server Error",
+    error: error.message,
+  });
+}
+
+// Fields an admin may set on a warehouse
+const pickWarehouseFields = ({ name, pickup_location, address, phone, email, isActive, priority }) =>
+  Object.fromEntries(
+    Object.entries({ name, pickup_location, address, phone, email, isActive, priority }).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+
+// List Warehouses (Admin)
+exports.getWarehouses = async (req, res) => {
+  try {
+    const warehouses = await listWarehouses({ activeOnly: req.query.active === "true" });
+    res.status(200).json({ success: true, warehouses });
+  } catch (error) {
+    sendError(res, error, "fetching warehouses");
+  }
+};
+
+// Create Warehouse (Admin)
+exports.createWarehouse = async (req, res) => {
+  try {
+    const warehouse = await createWarehouse(pickWarehouseFields(req.body));
+    res.status(201).json({ success: true, message: "Warehouse created", warehouse });
+  } catch (error) {
+    sendError(res, error, "creating warehouse");
+  }
+};
+
+// Update Warehouse (Admin)
+exports.updateWarehouse = async (req, res) => {
+  try {
+    const warehouse = await updateWarehouse(req.params.id, pickWarehouseFields(req.body));
+    res.status(200).json({ success: true, message: "Warehouse updated", warehouse });
+  } catch (error) {
+    sendError(res, error, "updating warehouse");
+  }
+};
+
+// Get Warehouse Stock (Admin)
+exports.getWarehouseStock = async (req, res) => {
+  try {
+    const stock = await getWarehouseStock(req.params.id);
+    res.status(200).json({ success: true, stock });
+  } catch (error) {
+    sendError(res, error, "fetching warehouse stock");
+  }
+};
+
+// Set Warehouse Stock (Admin)
+exports.setWarehouseStock = async (req, res) => {
+  try {
+    const stock = await setWarehouseStock(req.params.id, req.body.entries);
+    res.status(200).json({ success: true, message: "Warehouse stock updated", stock });
+  } catch (error) {
+    sendError(res, error, "updating warehouse stock");
+  }
+};
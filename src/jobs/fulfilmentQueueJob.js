@@ -0,0 +1,40 @@
+// Import required dependencies
+const { claimNextFulfilmentJob } = require("../services/fulfilmentQueueService"); // Queued fulfilment retries
+const { processFulfilmentJob } = require("../services/orderFulfillmentService"); // Ships the order
+
+// How often the queue is checked, in seconds, and how many jobs one run may take on
+const QUEUE_INTERVAL_SECONDS = Number(process.env.FULFILMENT_QUEUE_INTERVAL_SECONDS || 60);
+const QUEUE_BATCH_SIZE = Number(process.env.FULFILMENT_QUEUE_BATCH_SIZE || 20);
+
+let running = false;
+
+// Work through the due jobs one at a time, skipping the run if the previous one is still going
+async function runQueue() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    for (let processed = 0; processed < QUEUE_BATCH_SIZE; processed += 1) {
+      const job = await claimNextFulfilmentJob();
+      if (!job) {
+        break;
+      }
+      const result = await processFulfilmentJob(job);
+      console.log(`Fulfilment job for order ${job.order}: ${result ? result.status : "taken over"}`);
+    }
+  } catch (error) {
+    console.error("Fulfilment queue run failed:", error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Starts the periodic run that retries queued Shiprocket fulfilment (see fulfilmentQueueService).
+ * @returns {NodeJS.Timeout} - Interval handle (can be passed to clearInterval).
+ */
+exports.startFulfilmentQueueJob = () => {
+  runQueue();
+  return setInterval(runQueue, QUEUE_INTERVAL_SECONDS * 1000);
+};
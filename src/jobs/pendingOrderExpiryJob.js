@@ -0,0 +1,41 @@
+// Import required dependencies
+const { expirePendingOrders } = require("../services/orderExpiryService"); // Expiry logic for unpaid orders
+const { releaseExpiredReservations } = require("../services/stockReservationService"); // Lapsed stock holds
+
+// How often the sweep runs, in minutes
+const SWEEP_INTERVAL_MINUTES = Number(process.env.PENDING_ORDER_SWEEP_INTERVAL_MINUTES || 5);
+
+let running = false;
+
+// Run one sweep, skipping it if the previous one is still in progress
+async function runSweep() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const expired = await expirePendingOrders();
+    if (expired > 0) {
+      console.log(`Expired ${expired} unpaid order(s)`);
+    }
+
+    // Holds whose order was never created or already expired
+    const released = await releaseExpiredReservations();
+    if (released > 0) {
+      console.log(`Released ${released} lapsed stock reservation(s)`);
+    }
+  } catch (error) {
+    console.error("Pending order expiry sweep failed:", error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Starts the periodic sweep that expires unpaid orders and releases lapsed stock reservations.
+ * @returns {NodeJS.Timeout} - Interval handle (can be passed to clearInterval).
+ */
+exports.startPendingOrderExpiryJob = () => {
+  runSweep();
+  return setInterval(runSweep, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a stored response is replayed, in hours
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24);
+
+// A request still "processing" after this long is assumed to have died with its server
+const IDEMPOTENCY_LOCK_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS || 60);
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// Hash of everything the client sent: body fields plus uploaded files (multer)
+function hashRequest(req) {
+  const files = (req.files || []).map((file) => ({
+    field: file.fieldname,
+    name: file.originalname,
+    sha256: file.buffer ? crypto.createHash('sha256').update(file.buffer).digest('hex') : file.size,
+  }));
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ body: req.body || {}, files }))
+    .digest('hex');
+}
+
+// Middleware honouring the Idempotency-Key header.
+// The first request with a key runs normally and its response is stored; a retry with the
+// same key and body gets the stored response back, while a retry with a different body is
+// rejected. Requests without the header are not affected. Place after verifyToken and
+// multer so the user and uploaded files are known.
+exports.idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success: false, message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const identity = {
+    key,
+    scope: `${req.method} ${req.baseUrl}${req.path}`,
+    user: req.user?._id || null,
+  };
+  const requestHash = hashRequest(req);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      ...identity,
+      request_hash: requestHash,
+      expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Error recording idempotency key:', error);
+      return res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+
+    // A failed lookup must still answer the client
+    try {
+      const existing = await IdempotencyKey.findOne(identity);
+      if (!existing) {
+        // Expired between the insert and the lookup; let the client retry
+        return res.status(409).json({ success: false, message: 'Idempotency-Key conflict, please retry' });
+      }
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request body',
+        });
+      }
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      // Take over a request whose server died mid-way; otherwise it is still running
+      const staleBefore = new Date(Date.now() - IDEMPOTENCY_LOCK_SECONDS * 1000);
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', locked_at: { $lt: staleBefore } },
+        { $set: { locked_at: new Date() } },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+    } catch (lookupError) {
+      console.error('Error reading idempotency key:', lookupError);
+      return res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+  }
+
+  // Store the response the handler sends. Server errors are not stored, so the client
+  // can retry them with the same key.
+  let stored = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const update =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            { $set: { status: 'completed', response_status: res.statusCode, response_body: body } }
+          );
+    update.catch((error) => console.error('Error storing idempotent response:', error));
+    return originalJson(body);
+  };
+
+  // A handler that ends without a JSON body leaves nothing to replay; release the key
+  res.on('finish', () => {
+    if (!stored) {
+      IdempotencyKey.deleteOne({ _id: record._id }).catch((error) =>
+        console.error('Error releasing idempotency key:', error)
+      );
+    }
+  });
+
+  next();
+};
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// CheckoutQuote Schema Definition
+// ==============================
+// Server-side price for a cart; an order can only be created by confirming a quote
+const checkoutQuoteSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Priced cart lines; promo_line marks units added by a promo (e.g. BOGO)
+    lines: [
+      {
+        item_id: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true },
+        sku: { type: String, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        unit_price: { type: Number, required: true, min: 0 },
+        list_price: { type: Number, min: 0 }, // Item price before discountPrice / sale
+        price_list: { type: mongoose.Schema.Types.ObjectId, ref: "PriceList" }, // Sale that set unit_price
+        name: { type: String },
+        promo_line: { type: Boolean, default: false },
+      },
+    ],
+
+    subtotal: { type: Number, required: true, min: 0 },
+    shipping_cost: { type: Number, required: true, min: 0 },
+    shipping_service_level: { type: String, enum: ["standard", "express"], default: "standard" },
+    shipping_rule: { type: mongoose.Schema.Types.ObjectId, ref: "ShippingRule" }, // Null for the default flat charge
+    // Destination the quote was priced for; confirming re-prices shipping for the actual address
+    pincode: { type: String },
+    state: { type: String },
+    promoCode: { type: String, trim: true },
+    promoDiscount: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+
+    status: {
+      type: String,
+      enum: ["open", "confirming", "confirmed"],
+      default: "open",
+    },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+
+    // Quotes are removed by MongoDB once expired
+    expires_at: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+checkoutQuoteSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Export the CheckoutQuote model
+module.exports = mongoose.model("CheckoutQuote", checkoutQuoteSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// Counter Schema Definition
+// ==============================
+// Named sequences for gap-free document numbers (e.g. one per invoice series and financial year)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true }, // Sequence name
+  seq: { type: Number, default: 0 },
+});
+
+// Export the Counter model
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// CourierPolicy Schema Definition
+// ==============================
+// How a courier is picked from the serviceable couriers before an AWB is assigned.
+// One policy per Shiprocket zone (z_a within city ... z_e special zones), plus a
+// "default" policy for zones without their own. With no policy Shiprocket auto-assigns.
+const courierPolicySchema = new mongoose.Schema(
+  {
+    zone: {
+      type: String,
+      enum: ["default", "z_a", "z_b", "z_c", "z_d", "z_e"],
+      required: true,
+      unique: true,
+    },
+
+    strategy: {
+      type: String,
+      enum: ["cheapest", "fastest", "highest_rated", "preferred"],
+      required: true,
+    },
+
+    // Shiprocket courier_company_id values, most preferred first ("preferred" strategy)
+    preferredCourierIds: [{ type: Number }],
+
+    // Used when none of the preferred couriers serve the shipment
+    fallbackStrategy: {
+      type: String,
+      enum: ["cheapest", "fastest", "highest_rated"],
+      default: "cheapest",
+    },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// Export the CourierPolicy model
+module.exports = mongoose.model("CourierPolicy", courierPolicySchema);
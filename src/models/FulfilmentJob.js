@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// FulfilmentJob Schema Definition
+// ==============================
+// Shiprocket fulfilment still owed for a confirmed order. Created when shipping the order
+// fails; the fulfilment queue job retries it with backoff ("pending" -> "processing") until it
+// goes through ("completed"), the order no longer needs shipping ("cancelled"), or it runs out
+// of attempts ("dead", the dead-letter list admins requeue from).
+const fulfilmentJobSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, unique: true },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "cancelled", "dead"],
+      default: "pending",
+    },
+    // Failed attempts so far; attempts blocked by a low Shiprocket wallet are not counted
+    attempts: { type: Number, default: 0 },
+    next_run_at: { type: Date, default: Date.now },
+    // A "processing" job whose worker died is picked up again after this time
+    locked_until: { type: Date },
+    last_error: { type: String },
+    // Whether the last attempt was held back by the Shiprocket wallet balance
+    wallet_blocked: { type: Boolean, default: false },
+    failures: [
+      {
+        at: { type: Date, default: Date.now },
+        message: String,
+        statusCode: Number,
+      },
+    ],
+    completed_at: { type: Date },
+    dead_at: { type: Date },
+    requeued_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    requeued_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+fulfilmentJobSchema.index({ status: 1, next_run_at: 1 });
+
+module.exports = mongoose.model("FulfilmentJob", fulfilmentJobSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// GiftCard Schema Definition
+// ==============================
+// A prepaid card identified by its code. The balance can be spent across several
+// orders until it runs out or the card expires; every movement is recorded as a
+// GiftCardTransaction.
+const giftCardSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    initial_balance: { type: Number, required: true, min: 1 }, // In rupees
+    balance: { type: Number, required: true, min: 0 },
+    status: {
+      type: String,
+      enum: ["pending_payment", "active", "disabled"],
+      default: "active",
+    },
+    expires_at: { type: Date, required: true },
+
+    // Who the card is for
+    recipient_name: { type: String },
+    recipient_email: { type: String },
+    message: { type: String },
+
+    // How the card was issued: bought by a customer or issued by an admin
+    purchasedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    razorpay_order_id: { type: String, index: { unique: true, sparse: true } },
+    razorpay_payment_id: { type: String },
+    activated_at: { type: Date },
+    disabled_reason: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Export the GiftCard model
+module.exports = mongoose.model("GiftCard", giftCardSchema);
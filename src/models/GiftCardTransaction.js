@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// GiftCardTransaction Schema Definition
+// ==============================
+// Ledger of every movement on a gift card's balance
+const giftCardTransactionSchema = new mongoose.Schema(
+  {
+    gift_card: { type: mongoose.Schema.Types.ObjectId, ref: "GiftCard", required: true, index: true },
+    type: { type: String, enum: ["credit", "debit"], required: true },
+    amount: { type: Number, required: true, min: 0 }, // In rupees, always positive
+    balance_after: { type: Number, required: true, min: 0 },
+
+    // What caused the movement
+    source: {
+      type: String,
+      enum: [
+        "issue", // Card activated with its initial balance
+        "redemption", // Balance spent on an order
+        "redemption_reversal", // Balance returned when an unpaid order is cancelled or expires
+        "refund", // Refund of an order paid with the card
+      ],
+      required: true,
+    },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Customer who redeemed or bought it
+    reason: { type: String },
+  },
+  { timestamps: true }
+);
+
+giftCardTransactionSchema.index({ gift_card: 1, createdAt: -1 });
+
+// Export the GiftCardTransaction model
+module.exports = mongoose.model("GiftCardTransaction", giftCardTransactionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// IdempotencyKey Schema Definition
+// ==============================
+// Response stored for an Idempotency-Key header, replayed when a client retries the request
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    // Value of the Idempotency-Key header
+    key: { type: String, required: true },
+
+    // Endpoint the key was used on, e.g. "POST /api/orders/cancel/<id>"
+    scope: { type: String, required: true },
+
+    // Authenticated caller; null on endpoints without a token
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // Hash of the request body, to reject a key reused for a different request
+    request_hash: { type: String, required: true },
+
+    // "processing" while the first request runs, "completed" once its response is stored
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    locked_at: { type: Date, default: Date.now },
+
+    response_status: { type: Number },
+    response_body: { type: mongoose.Schema.Types.Mixed },
+
+    // Keys are forgotten after this date
+    expires_at: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ key: 1, scope: 1, user: 1 }, { unique: true });
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Export the IdempotencyKey model
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// Invoice Schema Definition
+// ==============================
+// GST tax invoices and credit notes. Figures are a snapshot taken when the document is
+// issued, so later catalogue or order edits never change an issued document.
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["invoice", "credit_note"], required: true },
+    // e.g. INV/2026-27/000042; assigned right after the document is claimed (see invoiceService)
+    number: { type: String },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Credit notes only: the refund they record and the invoice they adjust
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+    original_invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+
+    seller: {
+      name: String,
+      gstin: String,
+      address: String,
+      state: String,
+    },
+    buyer: {
+      name: String,
+      address: String,
+      state: String,
+      pinCode: String,
+      phone: String,
+      email: String,
+    },
+    supply_type: { type: String, enum: ["intra_state", "inter_state"] },
+    place_of_supply: String,
+
+    // Goods lines plus one service line for shipping/COD fee when charged
+    lines: [
+      {
+        description: String,
+        sku: String,
+        hsn_code: String, // HSN for goods, SAC for shipping
+        quantity: Number,
+        unit_price: Number, // GST-inclusive, before the promo discount
+        discount: Number, // Share of the promo discount
+        amount: Number, // GST-inclusive, after the discount
+        gst_rate: Number,
+        taxable_value: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        _id: false,
+      },
+    ],
+
+    subtotal: Number, // Sum of unit_price x quantity
+    promo_code: String,
+    promo_discount: Number, // Sum of line discounts
+    shipping_charge: Number, // Shipping and COD fee before discount, GST-inclusive
+    taxable_value: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total_tax: Number,
+    total: Number, // Invoice value (or credit note value), GST-inclusive
+
+    issued_at: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+// One tax invoice per order, one credit note per refund
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: "string" } } });
+invoiceSchema.index({ order: 1, type: 1 }, { unique: true, partialFilterExpression: { type: "invoice" } });
+invoiceSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { type: "credit_note" } });
+
+// Export the Invoice model
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -36,6 +36,20 @@ const itemSchema = new mongoose.Schema(
     totalReviews: { type: Number, default: 0, min: 0 },
     discountPercentage: { type: Number, default: 0 },
     isItemDetail: { type: Boolean, default: false },
+    isCodAvailable: { type: Boolean, default: true }, // Whether the item can be bought with Cash on Delivery
+
+    // GST settings; when unset the SubCategory's settings (then the store default) apply
+    hsnCode: { type: String, trim: true },
+    gstRate: { type: Number, min: 0, max: 100 }, // Percent
+    // Price-based rates, e.g. apparel up to ₹1000 at 5% and above at 12% (maxPrice omitted for the top slab)
+    gstSlabs: [
+      {
+        minPrice: { type: Number, default: 0, min: 0 },
+        maxPrice: { type: Number, min: 0 },
+        rate: { type: Number, required: true, min: 0, max: 100 },
+        _id: false,
+      },
+    ],
   },
   {
     timestamps: true,
@@ -36,7 +36,8 @@ const itemDetailsSchema = new mongoose.Schema({
       sizes: [
         {
           size: { type: String, required: true },
-          stock: { type: Number, required: true, min: 0 },
+          stock: { type: Number, required: true, min: 0 }, // Available to sell; excludes reserved units
+          reserved: { type: Number, default: 0, min: 0 }, // Held by unpaid orders (see StockReservation)
           sku: {
             type: String,
             required: true,
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// NdrCase Schema Definition
+// ==============================
+// Failed delivery attempts (non-delivery reports) of one shipment. Opened by the first
+// "Undelivered" tracking update for the AWB; the customer (or support) answers with an
+// action that is passed on to Shiprocket, and every further failed attempt reopens it.
+// Resolved once the parcel is delivered or returned to origin (RTO).
+const ndrCaseSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+    // The order shipment (Order.shipments[]._id) the AWB belongs to
+    shipment: { type: mongoose.Schema.Types.ObjectId, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    awb_code: { type: String, required: true, unique: true },
+    courier_name: { type: String },
+    // open: waiting for the customer; action_requested: sent to Shiprocket, waiting for the courier
+    status: {
+      type: String,
+      enum: ["open", "action_requested", "resolved"],
+      default: "open",
+    },
+    attempts: [
+      {
+        reason: String,
+        location: String,
+        occurred_at: Date,
+      },
+    ],
+    actions: [
+      {
+        type: {
+          type: String,
+          enum: ["reattempt", "update_address", "update_phone", "cancel"],
+          required: true,
+        },
+        comments: String,
+        phone: String,
+        address: {
+          address1: String,
+          address2: String,
+        },
+        preferred_date: String,
+        requested_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        requested_at: { type: Date, default: Date.now },
+      },
+    ],
+    outcome: {
+      type: String,
+      enum: ["delivered", "rto", "cancelled"],
+    },
+    resolved_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+ndrCaseSchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("NdrCase", ndrCaseSchema);
@@ -1,5 +1,111 @@
 const mongoose = require('mongoose');
 
+// Shipment states we track; courier statuses are mapped onto these (see shipmentTrackingService)
+const SHIPPING_STATUSES = [
+  'Pending',
+  'Shipped',
+  'In Transit',
+  'Out For Delivery',
+  'Undelivered',
+  'Delivered',
+  'RTO Initiated',
+  'RTO Delivered',
+  'Cancelled',
+];
+
+const shippedByFields = {
+  shipper_company_name: String,
+  shipper_address_1: String,
+  shipper_address_2: String,
+  shipper_city: String,
+  shipper_state: String,
+  shipper_country: String,
+  shipper_postcode: String,
+  shipper_phone: String,
+  shipper_email: String,
+};
+
+// One parcel of an order: the units it carries, where it ships from, and its Shiprocket
+// order, AWB, courier, documents and tracking status
+const shipmentSchema = new mongoose.Schema({
+  lines: [{
+    item_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Item',
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  }],
+  // Null when shipped from the default pickup location
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null,
+  },
+  shiprocket_orderId: String,
+  shiprocket_shipment_id: String,
+  awb_code: String,
+  tracking_url: String,
+  courier_company_id: String,
+  courier_name: String,
+  // Why this courier was picked (courier policy applied before AWB assignment)
+  courier_selection: {
+    zone: String,
+    strategy: {
+      type: String,
+      enum: ['cheapest', 'fastest', 'highest_rated', 'preferred', 'auto'],
+    },
+    courier_company_id: Number,
+    courier_name: String,
+    rate: Number,
+    estimated_delivery_days: Number,
+    rating: Number,
+    reason: String,
+    selected_at: Date,
+  },
+  freight_charges: Number,
+  applied_weight: Number,
+  routing_code: String,
+  invoice_no: String,
+  shipped_by: shippedByFields,
+  // Box and weights sent to Shiprocket (cm / kg), from ItemDetails dimensions
+  parcel: {
+    box: String,
+    length: Number,
+    breadth: Number,
+    height: Number,
+    weight: Number,
+    volumetric_weight: Number,
+    chargeable_weight: Number,
+  },
+  // Driven by the Shiprocket tracking webhook once the shipment has an AWB
+  shipping_status: {
+    type: String,
+    enum: SHIPPING_STATUSES,
+    default: 'Pending',
+  },
+  shipping_status_updated_at: Date,
+  delivered_at: Date,
+  // Set by the admin label / pickup / manifest endpoints; a label or manifest can cover several shipments
+  label_url: String,
+  label_generated_at: Date,
+  manifest_url: String,
+  manifest_generated_at: Date,
+  pickup: {
+    token_number: String,
+    scheduled_for: Date,
+    requested_at: Date,
+  },
+}, { timestamps: true });
+
 const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,19 +135,107 @@ const orderSchema = new mongoose.Schema({
     desiredSize: {
       type: String,
     },
+    // Price per unit charged at checkout, before the order-level promo discount
+    unit_price: {
+      type: Number,
+      min: 0,
+    },
+    // Item price before discountPrice / sale, and the sale (price list) that set unit_price
+    list_price: {
+      type: Number,
+      min: 0,
+    },
+    price_list: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceList',
+    },
+    // GST on this line, worked out at checkout (amount is GST-inclusive, after the promo share)
+    tax: {
+      hsn_code: String,
+      gst_rate: Number,
+      amount: Number,
+      taxable_value: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+    },
   }],
   total_price: {
     type: Number,
     required: true,
   },
+  payment_method: {
+    type: String,
+    enum: ['Prepaid', 'COD'],
+    default: 'Prepaid',
+  },
+  // COD orders move COD Pending -> COD Collected (courier has the cash) -> Paid (cash remitted to us)
   payment_status: {
     type: String,
-    enum: ['Pending', 'Paid', 'Failed'],
+    enum: ['Pending', 'Paid', 'Failed', 'Expired', 'COD Pending', 'COD Collected'],
     default: 'Pending',
   },
+  // Unpaid prepaid orders are expired by the sweep job after this time
+  payment_expires_at: {
+    type: Date,
+  },
+  cod_fee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Part of total_price paid with a gift card; spent before the wallet
+  gift_card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard',
+  },
+  gift_card_code: {
+    type: String,
+  },
+  gift_card_amount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Set when the gift card share was given back because the order went unpaid
+  gift_card_released_at: {
+    type: Date,
+    default: null,
+  },
+  // Part of total_price paid from the user's wallet; the rest is charged through Razorpay
+  wallet_amount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Set when the wallet share was given back because the order went unpaid
+  wallet_released_at: {
+    type: Date,
+    default: null,
+  },
+  // Last Shiprocket error for a confirmed order still waiting for its shipment
+  fulfilment_error: {
+    type: String,
+    default: null,
+  },
+  fulfilment_failed_at: {
+    type: Date,
+  },
+  cod_remittance: {
+    collectedAt: Date,
+    remittedAt: Date,
+    amount: Number,
+    utr: String,
+    notes: String,
+  },
   razorpay_order_id: {
     type: String,
   },
+  // Razorpay orders issued by earlier payment attempts (see retry-payment)
+  payment_attempts: [{
+    razorpay_order_id: String,
+    created_at: Date,
+  }],
   razorpay_payment_id: {
     type: String,
   },
@@ -53,11 +247,18 @@ const orderSchema = new mongoose.Schema({
     enum: ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
     default: 'Pending',
   },
+  // Least advanced status of the order's shipments (the legacy AWB's status for older orders)
   shipping_status: {
     type: String,
-    enum: ['Pending', 'Shipped', 'In Transit', 'Delivered', 'Cancelled'],
+    enum: SHIPPING_STATUSES,
     default: 'Pending',
   },
+  shipping_status_updated_at: {
+    type: Date,
+  },
+  delivered_at: {
+    type: Date,
+  },
   address: {
     firstName: String,
     lastName: String,
@@ -68,6 +269,8 @@ const orderSchema = new mongoose.Schema({
     pinCode: String,
     phoneNumber: String,
   },
+  // Single-shipment fields of orders fulfilled before split shipments; newer orders use
+  // shipments (see shipmentService.ensureShipments, which moves these into a shipment)
   shiprocket_orderId: {
     type: String,
   },
@@ -104,16 +307,13 @@ const orderSchema = new mongoose.Schema({
   transporter_name: {
     type: String,
   },
-  shipped_by: {
-    shipper_company_name: String,
-    shipper_address_1: String,
-    shipper_address_2: String,
-    shipper_city: String,
-    shipper_state: String,
-    shipper_country: String,
-    shipper_postcode: String,
-    shipper_phone: String,
-    shipper_email: String,
+  shipped_by: shippedByFields,
+  // Parcels the order ships in; shipping_status, order_status and delivered_at roll up from them
+  shipments: [shipmentSchema],
+  // Bumped on every shipment status change so roll-ups computed from an older state are discarded
+  shipment_revision: {
+    type: Number,
+    default: 0,
   },
   refund: {
     requestDate: Date,
@@ -128,6 +328,9 @@ const orderSchema = new mongoose.Schema({
     returnShipmentId: String,
     refundTransactionId: String,
     refundStatus: String,
+    // Pickup progress of the return shipment, from the tracking webhook
+    returnShippingStatus: { type: String, enum: SHIPPING_STATUSES },
+    returnDeliveredAt: Date,
     notes: String,
     images: [String],
   },
@@ -147,9 +350,24 @@ const orderSchema = new mongoose.Schema({
     forwardTrackingUrl: String,
     shiprocketForwardOrderId: String,
     forwardShipmentId: String,
+    // Progress of both legs, from the tracking webhook
+    returnShippingStatus: { type: String, enum: SHIPPING_STATUSES },
+    returnDeliveredAt: Date,
+    forwardShippingStatus: { type: String, enum: SHIPPING_STATUSES },
+    forwardDeliveredAt: Date,
     notes: String,
     images: [String],
   },
+  // Sum of all non-failed refunds in the Refund ledger, in rupees
+  amount_refunded: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  refund_status: {
+    type: String,
+    enum: ['Not Required', 'Partially Refunded', 'Refunded'],
+  },
   promoCode: {
     type: String,
     trim: true,
@@ -159,10 +377,63 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  // Shipping charged at checkout, in rupees (before any free-shipping promo)
+  shipping_cost: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  shipping_service_level: {
+    type: String,
+    enum: ['standard', 'express'],
+    default: 'standard',
+  },
+  // Shipping rule that priced shipping_cost; null when the default flat charge applied
+  shipping_rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingRule',
+    default: null,
+  },
+  // GST totals for the order; CGST + SGST when shipper and delivery state match, IGST otherwise
+  tax: {
+    supply_type: {
+      type: String,
+      enum: ['intra_state', 'inter_state'],
+    },
+    shipper_state: String,
+    place_of_supply: String,
+    taxable_value: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total_tax: Number,
+    // Shipping and COD fee are taxed as a service under their own SAC code
+    shipping: {
+      sac_code: String,
+      gst_rate: Number,
+      amount: Number,
+      taxable_value: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+    },
+  },
+  // Checkout quote the order was created from
+  checkout_quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckoutQuote',
+  },
   created_at: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Tracking webhooks look orders up by any of their AWBs
+orderSchema.index({ 'shipments.awb_code': 1 });
+orderSchema.index({ awb_code: 1 });
+orderSchema.index({ 'refund.returnAwbCode': 1 });
+orderSchema.index({ 'exchange.returnAwbCode': 1 });
+orderSchema.index({ 'exchange.forwardAwbCode': 1 });
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
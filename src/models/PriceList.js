@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Time-boxed sale / price list. While active it sets the effective price of the items it
+// targets; once endDate passes the items are back on their normal price with no clean-up.
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  // Items match if they are listed, belong to a listed subcategory, or carry any listed filter
+  targets: {
+    items: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Item',
+    }],
+    subCategories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubCategory',
+    }],
+    filters: [{
+      key: { type: String, required: true },
+      value: { type: String, required: true },
+      _id: false,
+    }],
+  },
+  // percentage: % off the item price; fixed: rupees off; fixed_price: sell at exactly this price
+  adjustmentType: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixed', 'fixed_price'],
+  },
+  adjustmentValue: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  // When several active price lists match an item the highest priority wins (then the lowest price)
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+priceListSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+priceListSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// Refund Schema Definition
+// ==============================
+// One document per refund issued against an order; an order can have several partial refunds
+const refundSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Order lines (order.item_quantities entries) covered by this refund
+    lines: [
+      {
+        line_id: { type: mongoose.Schema.Types.ObjectId, required: true }, // _id of the item_quantities entry
+        item_id: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true },
+        sku: { type: String, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+
+    // Refund amount in rupees
+    amount: { type: Number, required: true, min: 0 },
+    reason: { type: String },
+
+    // What triggered the refund
+    type: {
+      type: String,
+      enum: ["cancellation", "return", "stock_shortage", "manual"],
+      required: true,
+    },
+
+    // Where the money goes: back to the Razorpay payment, to a gift card, to the user's wallet, or
+    // handled manually (e.g. COD bank transfer). A "razorpay" refund can still send
+    // gift_card_amount / wallet_amount of it to the card / wallet.
+    method: { type: String, enum: ["razorpay", "gift_card", "wallet", "manual"], default: "razorpay" },
+    gift_card_amount: { type: Number, default: 0, min: 0 },
+    wallet_amount: { type: Number, default: 0, min: 0 },
+
+    razorpay_payment_id: { type: String },
+    razorpay_refund_id: { type: String, index: true },
+
+    status: {
+      type: String,
+      enum: ["Pending", "Initiated", "Processed", "Failed"],
+      default: "Pending",
+    },
+    failure_reason: { type: String },
+    processedAt: { type: Date },
+
+    // Admin or customer who requested the refund
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// Export the Refund model
+module.exports = mongoose.model("Refund", refundSchema);
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// ShippingRule Schema Definition
+// ==============================
+// What we charge the customer for shipping. The first active rule (lowest priority)
+// whose service level, zone and cart value range match the cart prices it; with no
+// matching standard rule the SHIPPING_FLAT_CHARGE / FREE_SHIPPING_THRESHOLD defaults apply.
+const shippingRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    isActive: { type: Boolean, default: true },
+
+    // Lower is tried first
+    priority: { type: Number, default: 100 },
+
+    serviceLevel: {
+      type: String,
+      enum: ["standard", "express"],
+      default: "standard",
+    },
+
+    // Destinations the rule covers: delivery states or pincode ranges (either may match).
+    // Leave both empty for a nationwide rule.
+    zone: {
+      states: [{ type: String, trim: true }],
+      pincodeRanges: [
+        {
+          from: { type: Number, required: true, min: 100000, max: 999999 },
+          to: { type: Number, required: true, min: 100000, max: 999999 },
+        },
+      ],
+    },
+
+    // Cart value (subtotal after sale prices, before promo codes) the rule applies to
+    minCartValue: { type: Number, default: 0, min: 0 },
+    maxCartValue: { type: Number, default: null, min: 0 },
+
+    // Charge by chargeable parcel weight: the first slab the weight fits in; past the last
+    // slab, extraChargePerKg for every started kilo. Without slabs baseCharge applies.
+    baseCharge: { type: Number, default: 0, min: 0 },
+    weightSlabs: [
+      {
+        upToKg: { type: Number, required: true, min: 0 },
+        charge: { type: Number, required: true, min: 0 },
+      },
+    ],
+    extraChargePerKg: { type: Number, default: 0, min: 0 },
+
+    // Weight charge is waived when the cart value is above this (null: never)
+    freeShippingAbove: { type: Number, default: null, min: 0 },
+
+    // Added on top for items in these categories, even when shipping is otherwise free
+    categorySurcharges: [
+      {
+        category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", required: true },
+        amount: { type: Number, required: true, min: 0 },
+        perUnit: { type: Boolean, default: false }, // Per unit, or once per order
+      },
+    ],
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+shippingRuleSchema.index({ isActive: 1, serviceLevel: 1, priority: 1 });
+
+// Export the ShippingRule model
+module.exports = mongoose.model("ShippingRule", shippingRuleSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// StockReservation Schema Definition
+// ==============================
+// SKU quantities held for an order between checkout and payment. While "held" the
+// units are moved from sizes[].stock to sizes[].reserved in ItemDetails; payment
+// turns them into a sale ("converted"), expiry or failure puts them back ("released").
+// A sale cancelled before anything shipped puts the sold units back ("restocked").
+// Items stocked per warehouse are held in WarehouseStock the same way.
+const stockReservationSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    lines: [
+      {
+        item_id: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true },
+        sku: { type: String, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        // Warehouse the units are held at; null for items not stocked per warehouse
+        warehouse: { type: mongoose.Schema.Types.ObjectId, ref: "Warehouse", default: null },
+      },
+    ],
+    // Warehouse the order ships from (closest one that had every line in stock); null when
+    // its lines are spread over several warehouses or none is stocked per warehouse
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: "Warehouse", default: null },
+    status: {
+      type: String,
+      enum: ["held", "converted", "released", "restocked"],
+      default: "held",
+    },
+    // Held units go back on sale after this time if the order is still unpaid
+    expires_at: { type: Date, required: true },
+    converted_at: { type: Date },
+    released_at: { type: Date },
+    release_reason: { type: String },
+    restocked_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+stockReservationSchema.index({ status: 1, expires_at: 1 });
+
+// Export the StockReservation model
+module.exports = mongoose.model("StockReservation", stockReservationSchema);
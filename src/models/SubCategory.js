@@ -8,6 +8,19 @@ const subCategorySchema = new mongoose.Schema(
     description: { type: String }, // Optional description
     categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category", required: true }, // Each SubCategory belongs to 1 Category
     imageUrl: { type: String }, // S3 Image URL for subcategory
+
+    // Default GST settings for items in this subcategory
+    hsnCode: { type: String, trim: true }, // HSN code sent on invoices and to Shiprocket
+    gstRate: { type: Number, min: 0, max: 100 }, // Flat GST rate in percent
+    // Price-based rates: the slab containing the unit price wins over gstRate
+    gstSlabs: [
+      {
+        minPrice: { type: Number, default: 0, min: 0 },
+        maxPrice: { type: Number, min: 0 }, // Omit for the top slab
+        rate: { type: Number, required: true, min: 0, max: 100 },
+        _id: false,
+      },
+    ],
   },
   { timestamps: true } // Automatically adds createdAt and updatedAt fields
 );
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// Wallet Schema Definition
+// ==============================
+// One store-credit wallet per user. The balance only changes together with a
+// WalletTransaction entry, which is the audit trail for every movement.
+const walletSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    balance: { type: Number, default: 0, min: 0 }, // In rupees
+  },
+  { timestamps: true }
+);
+
+// Export the Wallet model
+module.exports = mongoose.model("Wallet", walletSchema);
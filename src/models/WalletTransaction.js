@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// WalletTransaction Schema Definition
+// ==============================
+// Ledger of every credit and debit on a user's wallet
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    type: { type: String, enum: ["credit", "debit"], required: true },
+    amount: { type: Number, required: true, min: 0 }, // In rupees, always positive
+    balance_after: { type: Number, required: true, min: 0 },
+
+    // What caused the movement
+    source: {
+      type: String,
+      enum: [
+        "refund", // Refund of an order paid to the wallet
+        "goodwill", // Credit granted by support
+        "checkout", // Balance spent on an order
+        "checkout_reversal", // Balance returned when an unpaid order is cancelled or expires
+        "admin_adjustment", // Manual correction by an admin
+      ],
+      required: true,
+    },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+    reason: { type: String },
+
+    // Admin who made a goodwill credit or adjustment
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+
+// Export the WalletTransaction model
+module.exports = mongoose.model("WalletTransaction", walletTransactionSchema);
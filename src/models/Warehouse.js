@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// Warehouse Schema Definition
+// ==============================
+// A place we ship from. pickup_location must match the nickname of a pickup location
+// in the Shiprocket panel, and the address should be the one registered there.
+const warehouseSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    pickup_location: { type: String, required: true, unique: true, trim: true },
+    address: {
+      line1: { type: String, required: true },
+      line2: { type: String },
+      city: { type: String, required: true },
+      state: { type: String, required: true },
+      country: { type: String, default: "India" },
+      pincode: { type: String, required: true, match: /^[1-9]\d{5}$/ },
+    },
+    phone: { type: String },
+    email: { type: String },
+    isActive: { type: Boolean, default: true },
+
+    // Breaks ties between equally close warehouses; lower ships first
+    priority: { type: Number, default: 100 },
+  },
+  { timestamps: true }
+);
+
+// Export the Warehouse model
+module.exports = mongoose.model("Warehouse", warehouseSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// WarehouseStock Schema Definition
+// ==============================
+// Units of one SKU at one warehouse. Like ItemDetails sizes, stock is what is available
+// to sell and reserved is held by unpaid orders. ItemDetails sizes hold the totals across
+// warehouses for items stocked here (see warehouseService.rollUpItemStock).
+const warehouseStockSchema = new mongoose.Schema(
+  {
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: "Warehouse", required: true },
+    item: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true },
+    sku: { type: String, required: true },
+    stock: { type: Number, default: 0, min: 0 },
+    reserved: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+warehouseStockSchema.index({ warehouse: 1, item: 1, sku: 1 }, { unique: true });
+warehouseStockSchema.index({ item: 1, sku: 1 });
+
+// Export the WarehouseStock model
+module.exports = mongoose.model("WarehouseStock", warehouseStockSchema);
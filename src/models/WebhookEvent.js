@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// ==============================
+// WebhookEvent Schema Definition
+// ==============================
+// Ledger of webhook deliveries, used to skip events that were already processed
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Source of the webhook ("razorpay" or "shiprocket")
+    provider: { type: String, required: true },
+
+    // Provider-assigned event ID (X-Razorpay-Event-Id), or a hash of the payload when there is none
+    eventId: { type: String, required: true },
+
+    // Event name (e.g. "payment.captured")
+    event: { type: String, required: true },
+
+    // Processing state of the delivery
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed"],
+      default: "processing",
+    },
+
+    // While "processing", the delivery holds the event until then; a redelivery after it
+    // passes (the server died mid-way) takes the event over
+    lockedUntil: { type: Date },
+
+    // Order the event was applied to, if any
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+
+    // Last processing error, kept for debugging failed deliveries
+    error: { type: String },
+
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Export the WebhookEvent model
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
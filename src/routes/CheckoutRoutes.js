@@ -0,0 +1,27 @@
+// Import required dependencies
+const express = require("express"); // Express framework for routing
+const {
+  createCheckoutQuote,
+  confirmCheckout,
+} = require("../controllers/paymentController/CheckoutController"); // Controller for the checkout pipeline
+const { verifyToken } = require("../middleware/VerifyToken"); // Middleware to verify JWT tokens
+const { idempotency } = require("../middleware/Idempotency"); // Replays responses for retried requests (Idempotency-Key header)
+
+// Initialize an Express router instance
+const router = express.Router();
+
+// Define checkout API endpoints
+router
+  // POST /api/checkout/quote
+  // Prices the cart server-side (items, promo code, shipping) and returns a short-lived quote;
+  // pass pincode (and state) for zone shipping rates and COD availability and fee,
+  // serviceLevel: "express" for express shipping where a shipping rule offers it
+  .post("/quote", verifyToken, createCheckoutQuote)
+
+  // POST /api/checkout/confirm
+  // Confirms a quote into an order: a Razorpay order for Prepaid, or a placed order for COD.
+  // Send an Idempotency-Key header so a retried request returns the first order instead of failing
+  .post("/confirm", verifyToken, idempotency, confirmCheckout);
+
+// Export the router for use in the main Express app
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  purchaseGiftCard,
+  verifyGiftCardPayment,
+  checkBalance,
+  getMyGiftCards,
+  issueGiftCard,
+  getAllGiftCards,
+  getGiftCardById,
+  disableGiftCard,
+} = require('../controllers/giftCardController/GiftCardController');
+const { verifyToken } = require('../middleware/VerifyToken');
+const checkAdminRole = require('../middleware/CheckAdminRole');
+
+// POST /api/giftCards/purchase - start buying a card; returns the Razorpay order to pay
+router.post('/purchase', verifyToken, purchaseGiftCard);
+
+// POST /api/giftCards/purchase/verify - activate the card once Razorpay checkout succeeds
+router.post('/purchase/verify', verifyToken, verifyGiftCardPayment);
+
+// POST /api/giftCards/balance - { code }; the code is sent in the body so it stays out of URLs and logs
+router.post('/balance', verifyToken, checkBalance);
+
+// GET /api/giftCards/mine - cards bought by the logged-in user
+router.get('/mine', verifyToken, getMyGiftCards);
+
+// Admin-only routes
+router.post('/admin', verifyToken, checkAdminRole, issueGiftCard);
+router.get('/admin', verifyToken, checkAdminRole, getAllGiftCards); // ?status=active|expired|disabled|pending_payment
+router.get('/admin/:id', verifyToken, checkAdminRole, getGiftCardById);
+router.patch('/admin/:id/disable', verifyToken, checkAdminRole, disableGiftCard);
+
+module.exports = router;
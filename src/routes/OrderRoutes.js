@@ -12,8 +12,23 @@ const {
   authenticateShiprocket,
   getShiprocketTracking,
   getOrderStatusCounts,
+  reconcileCodRemittances,
+  getOrderRefunds,
+  createAdminRefund,
+  retryOrderFulfilment,
+  createOrderShipment,
+  getFulfilmentJobs,
+  requeueFulfilment,
+  getOrderShipments,
+  getOrderNdrCases,
+  submitNdrAction,
+  retryPayment,
+  getOrderInvoice,
+  getOrderCreditNote,
 } = require("../controllers/paymentController/OrderController"); // Controller for order-related logic
 const { verifyToken } = require("../middleware/VerifyToken"); // Middleware to verify JWT tokens
+const checkAdminRole = require("../middleware/CheckAdminRole"); // Middleware to restrict access to admins
+const { idempotency } = require("../middleware/Idempotency"); // Replays responses for retried requests (Idempotency-Key header)
 const multer = require("multer"); // Middleware for handling file uploads
 
 // Initialize an Express router instance
@@ -33,16 +48,16 @@ router
   .get("/getAllByUser", verifyToken, getOrdersByUser)
 
   // POST /api/orders/cancel/:order_id
-  // Cancels a specific order by its ID (no file upload required)
-  .post("/cancel/:order_id", cancelOrder)
+  // Cancels one of the authenticated user's orders (or any order, for an admin); honours Idempotency-Key
+  .post("/cancel/:order_id", verifyToken, idempotency, cancelOrder)
 
   // GET /api/orders/getAllOrder
   // Retrieves all orders, sorted (likely for admin use, authenticated)
   .get("/getAllOrder", verifyToken, getAllOrdersSorted)
 
   // POST /api/orders/shiprocket/auth
-  // Authenticates with Shiprocket API (no file upload required)
-  .post("/shiprocket/auth", authenticateShiprocket)
+  // Returns the cached Shiprocket API token (admin only)
+  .post("/shiprocket/auth", verifyToken, checkAdminRole, authenticateShiprocket)
 
   // GET /api/orders/shiprocket/track/:awbCode
   // Retrieves tracking information from Shiprocket by AWB code (no file upload)
@@ -65,12 +80,64 @@ router
   .get("/status-counts", verifyToken, getOrderStatusCounts)
 
   // POST /api/orders/exchange
-  // Creates an exchange order with optional image uploads (up to 3 images)
-  .post("/exchange", verifyToken, upload, createExchangeOrder)
+  // Creates an exchange order with optional image uploads (up to 3 images); honours Idempotency-Key
+  .post("/exchange", verifyToken, upload, idempotency, createExchangeOrder)
 
   // POST /api/orders/return
-  // Creates a return order with optional image uploads (up to 3 images)
-  .post("/return", verifyToken, upload, createReturnOrder);
+  // Creates a return order with optional image uploads (up to 3 images); honours Idempotency-Key
+  .post("/return", verifyToken, upload, idempotency, createReturnOrder)
+
+  // POST /api/orders/admin/cod/remittance
+  // Applies a courier COD remittance report (collected / remitted lines) to orders (admin only)
+  .post("/admin/cod/remittance", verifyToken, checkAdminRole, reconcileCodRemittances)
+
+  // GET /api/orders/refunds/:orderId
+  // Lists the refund ledger for one of the authenticated user's orders
+  .get("/refunds/:orderId", verifyToken, getOrderRefunds)
+
+  // POST /api/orders/admin/refunds/:orderId
+  // Issues a partial refund for specific order lines or a fixed amount (admin only)
+  .post("/admin/refunds/:orderId", verifyToken, checkAdminRole, createAdminRefund)
+
+  // POST /api/orders/admin/:id/fulfil
+  // Creates the Shiprocket order for a confirmed order whose shipment creation failed (admin only)
+  .post("/admin/:id/fulfil", verifyToken, checkAdminRole, retryOrderFulfilment)
+
+  // GET /api/orders/admin/fulfilment-jobs
+  // Lists queued Shiprocket fulfilment retries, ?status=dead (default), pending, processing, completed or cancelled (admin only)
+  .get("/admin/fulfilment-jobs", verifyToken, checkAdminRole, getFulfilmentJobs)
+
+  // POST /api/orders/admin/fulfilment-jobs/:jobId/requeue
+  // Puts a dead-lettered fulfilment job back in the queue with fresh retries (admin only)
+  .post("/admin/fulfilment-jobs/:jobId/requeue", verifyToken, checkAdminRole, requeueFulfilment)
+
+  // POST /api/orders/admin/:id/shipments
+  // Ships some of a prepaid order's units now, body { lines: [{ sku, quantity }] } (admin only)
+  .post("/admin/:id/shipments", verifyToken, checkAdminRole, createOrderShipment)
+
+  // GET /api/orders/:id/shipments
+  // Lists the order's shipments with their items, status and courier tracking (the order's customer or an admin)
+  .get("/:id/shipments", verifyToken, getOrderShipments)
+
+  // GET /api/orders/:id/ndr
+  // Lists failed delivery attempts (NDR cases) on the order's shipments (the order's customer or an admin)
+  .get("/:id/ndr", verifyToken, getOrderNdrCases)
+
+  // POST /api/orders/:id/ndr/:caseId/action
+  // Answers a failed delivery: { action: reattempt | update_address | update_phone | cancel, ... }; honours Idempotency-Key
+  .post("/:id/ndr/:caseId/action", verifyToken, idempotency, submitNdrAction)
+
+  // GET /api/orders/:id/invoice
+  // Downloads the GST tax invoice PDF for an order (the order's customer or an admin)
+  .get("/:id/invoice", verifyToken, getOrderInvoice)
+
+  // GET /api/orders/:id/credit-notes/:creditNoteId
+  // Downloads a credit note PDF issued for a refund on the order (the order's customer or an admin)
+  .get("/:id/credit-notes/:creditNoteId", verifyToken, getOrderCreditNote)
+
+  // POST /api/orders/:id/retry-payment
+  // Issues a fresh Razorpay order for an unpaid, failed or expired order after re-checking prices and stock
+  .post("/:id/retry-payment", verifyToken, retryPayment);
 
 // Export the router for use in the main Express app
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+  getAllPriceLists,
+  previewItemPrices,
+} = require('../controllers/priceListController/PriceListController');
+const { verifyToken } = require('../middleware/VerifyToken');
+const checkAdminRole = require('../middleware/CheckAdminRole');
+
+// Admin-only routes for scheduling sales / price lists
+router.get('/admin/price-lists', verifyToken, checkAdminRole, getAllPriceLists); // ?status=running|scheduled|ended|inactive
+router.post('/admin/price-lists', verifyToken, checkAdminRole, createPriceList);
+router.put('/admin/price-lists/:id', verifyToken, checkAdminRole, updatePriceList);
+router.delete('/admin/price-lists/:id', verifyToken, checkAdminRole, deletePriceList);
+
+// Effective prices of items at a given time (defaults to now), to check a sale before it starts
+router.post('/admin/price-lists/preview', verifyToken, checkAdminRole, previewItemPrices);
+
+module.exports = router;
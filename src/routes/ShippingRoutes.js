@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const {
+  checkServiceability,
+  getCourierPolicies,
+  setCourierPolicy,
+  deleteCourierPolicy,
+  getShippingRules,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule,
+  generateLabels,
+  downloadLabel,
+  schedulePickups,
+  generateManifests,
+  getNdrCases,
+} = require('../controllers/shippingController/ShippingController');
+const { handleShiprocketWebhook } = require('../controllers/shippingController/ShiprocketWebhookController');
+const { verifyToken } = require('../middleware/VerifyToken');
+const checkAdminRole = require('../middleware/CheckAdminRole');
+
+// GET /api/shipping/serviceability?pincode=&itemId=&quantity= - delivery, EDD, COD and shipping charge (public)
+router.get('/serviceability', checkServiceability);
+
+// POST /api/shipping/tracking-webhook - Shiprocket shipment status updates (authenticated by X-Api-Key).
+// Shiprocket rejects webhook URLs containing "shiprocket", hence the generic path.
+router.post('/tracking-webhook', handleShiprocketWebhook);
+
+// Admin-only routes: courier policy per zone ("default", z_a ... z_e), applied before AWB assignment
+router.get('/admin/courier-policies', verifyToken, checkAdminRole, getCourierPolicies);
+router.put('/admin/courier-policies/:zone', verifyToken, checkAdminRole, setCourierPolicy); // { strategy, preferredCourierIds, fallbackStrategy }
+router.delete('/admin/courier-policies/:zone', verifyToken, checkAdminRole, deleteCourierPolicy);
+
+// Admin-only routes: shipping rules that price shipping at checkout (zone, weight slabs, cart value,
+// standard / express, category surcharges); the first active match by priority applies
+router.get('/admin/shipping-rules', verifyToken, checkAdminRole, getShippingRules);
+router.post('/admin/shipping-rules', verifyToken, checkAdminRole, createShippingRule);
+router.patch('/admin/shipping-rules/:id', verifyToken, checkAdminRole, updateShippingRule);
+router.delete('/admin/shipping-rules/:id', verifyToken, checkAdminRole, deleteShippingRule);
+
+// Admin-only routes: labels, pickups and manifests for orders with an AWB. Each takes { orderId } or
+// { orderIds: [...] } (up to 50) and reports which orders were processed, skipped or failed.
+// Pickups come before manifests: Shiprocket only manifests shipments with a scheduled pickup.
+router.post('/admin/labels', verifyToken, checkAdminRole, generateLabels);
+router.get('/admin/orders/:orderId/label', verifyToken, checkAdminRole, downloadLabel); // Redirects to the label PDF
+router.post('/admin/pickups', verifyToken, checkAdminRole, schedulePickups); // { ..., pickupDate: 'YYYY-MM-DD' }
+router.post('/admin/manifests', verifyToken, checkAdminRole, generateManifests);
+
+// Admin-only route: failed delivery attempts (NDR) raised from tracking updates. Support answers a case
+// through POST /api/orders/:id/ndr/:caseId/action, like the customer would.
+router.get('/admin/ndr', verifyToken, checkAdminRole, getNdrCases); // ?status=open|action_requested|resolved
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyWallet,
+  getMyWalletTransactions,
+  getUserWallet,
+  adjustUserWallet,
+} = require('../controllers/walletController/WalletController');
+const { verifyToken } = require('../middleware/VerifyToken');
+const checkAdminRole = require('../middleware/CheckAdminRole');
+
+// GET /api/wallet - balance and latest transactions of the logged-in user
+router.get('/', verifyToken, getMyWallet);
+
+// GET /api/wallet/transactions?page=&limit= - full wallet history of the logged-in user
+router.get('/transactions', verifyToken, getMyWalletTransactions);
+
+// Admin-only routes
+router.get('/admin/:userId', verifyToken, checkAdminRole, getUserWallet);
+router.post('/admin/:userId/adjust', verifyToken, checkAdminRole, adjustUserWallet); // { amount (+/-), reason, type }
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWarehouses,
+  createWarehouse,
+  updateWarehouse,
+  getWarehouseStock,
+  setWarehouseStock,
+} = require('../controllers/warehouseController/WarehouseController');
+const { verifyToken } = require('../middleware/VerifyToken');
+const checkAdminRole = require('../middleware/CheckAdminRole');
+
+// Admin-only routes: warehouses map onto Shiprocket pickup locations (pickup_location must match the name there)
+router.get('/admin', verifyToken, checkAdminRole, getWarehouses); // ?active=true
+router.post('/admin', verifyToken, checkAdminRole, createWarehouse); // { name, pickup_location, address, phone, email, priority }
+router.patch('/admin/:id', verifyToken, checkAdminRole, updateWarehouse);
+
+// Per-warehouse SKU stock; Item and ItemDetails stock are recomputed as the sum across warehouses
+router.get('/admin/:id/stock', verifyToken, checkAdminRole, getWarehouseStock);
+router.put('/admin/:id/stock', verifyToken, checkAdminRole, setWarehouseStock); // { entries: [{ itemId, sku, stock }] }
+
+module.exports = router;
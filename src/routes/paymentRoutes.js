@@ -7,16 +7,35 @@ const router = express.Router();
 // Import the payment controller containing business logic for handling payments
 const paymentController = require("../controllers/paymentController/paymentController");
 
+// Import the checkout pipeline controller (server-side pricing and order creation)
+const { confirmCheckout } = require("../controllers/paymentController/CheckoutController");
+
+// Import the Razorpay webhook receiver
+const { handleRazorpayWebhook } = require("../controllers/paymentController/RazorpayWebhookController");
+
 // Import middleware to verify JWT token for protected routes
 const { verifyToken } = require("../middleware/VerifyToken");
 
+// Import middleware replaying stored responses for retried requests (Idempotency-Key header)
+const { idempotency } = require("../middleware/Idempotency");
+
 // Route to create a payment order
-// Protected by verifyToken middleware to ensure only authenticated users can access it
-router.post("/create-order", verifyToken, paymentController.createOrder);
+// Kept for older app builds; runs the same checkout pipeline as POST /api/checkout/confirm
+router.post("/create-order", verifyToken, idempotency, confirmCheckout);
 
 // Route to verify payment after the transaction is completed
 // No token verification here — ensure this endpoint is secured appropriately (e.g., webhook verification)
-router.post("/verify-payment", paymentController.verifyPayment);
+router.post("/verify-payment", idempotency, paymentController.verifyPayment);
+
+// Route for Razorpay webhooks (payment.captured, payment.failed, order.paid, refund.processed)
+// Authenticated by the X-Razorpay-Signature header instead of a user token
+router.post("/webhook", handleRazorpayWebhook);
+
+// Route to pay an order through the in-process fake provider (PAYMENT_PROVIDER=fake only)
+// Returns the same fields the Razorpay checkout hands to the app for verify-payment
+if (process.env.PAYMENT_PROVIDER === "fake") {
+  router.post("/fake/pay", verifyToken, paymentController.simulateFakePayment);
+}
 
 // Export the router to be used in the main app file (e.g., app.js)
 module.exports = router;
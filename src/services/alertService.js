@@ -0,0 +1,58 @@
+// Import required dependencies
+const nodemailer = require("nodemailer"); // Library for sending emails
+
+// The same alert is sent at most once per window, so a stuck condition does not flood the inbox
+const ALERT_THROTTLE_MINUTES = Number(process.env.ALERT_THROTTLE_MINUTES || 30);
+
+const lastSentAt = new Map();
+let transporter = null;
+
+// Mail transport for operations alerts; null when SMTP or the recipient is not configured
+function getTransporter() {
+  if (!process.env.ALERT_EMAIL_TO || !process.env.SMTP_HOST) {
+    return null;
+  }
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Raises an operations alert: always logged, and emailed to ALERT_EMAIL_TO when SMTP is
+ * configured. Alerts with the same key are sent at most once per ALERT_THROTTLE_MINUTES.
+ * Never throws; a failed email is only logged.
+ * @param {Object} alert - Alert to send.
+ * @param {string} alert.key - Identifies the condition (e.g. "shiprocket-wallet") for throttling.
+ * @param {string} alert.subject - One-line summary.
+ * @param {string} alert.message - Details for whoever has to act on it.
+ * @returns {Promise<boolean>} - Whether the alert was sent (false when throttled).
+ */
+exports.sendAlert = async ({ key, subject, message }) => {
+  const now = Date.now();
+  if (lastSentAt.has(key) && now - lastSentAt.get(key) < ALERT_THROTTLE_MINUTES * 60 * 1000) {
+    return false;
+  }
+  lastSentAt.set(key, now);
+
+  console.error(`[ALERT] ${subject}: ${message}`);
+  const mailer = getTransporter();
+  if (mailer) {
+    try {
+      await mailer.sendMail({
+        from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+        to: process.env.ALERT_EMAIL_TO,
+        subject: `[Yoraa] ${subject}`,
+        text: message,
+      });
+    } catch (error) {
+      console.error("Failed to email alert:", error);
+    }
+  }
+  return true;
+};
@@ -0,0 +1,474 @@
+// Import required dependencies
+const mongoose = require("mongoose");
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const Item = require("../models/Item"); // Mongoose model for Item collection
+const ItemDetails = require("../models/ItemDetails"); // Mongoose model for ItemDetails collection
+const PromoCode = require("../models/PromoCodes"); // Mongoose model for PromoCode collection
+const CheckoutQuote = require("../models/CheckoutQuote"); // Mongoose model for CheckoutQuote collection
+const { getPaymentProvider } = require("./payment"); // Configured payment gateway
+const { getPaymentExpiry } = require("./orderExpiryService"); // Payment deadline for new orders
+const { checkCodEligibility } = require("./codService"); // COD rules
+const { calculateOrderTax } = require("./taxService"); // GST breakdown
+const { getActivePriceLists, getEffectivePrice } = require("./pricingService"); // Sale prices
+const { applyPaidOrderInventory, fulfilPaidOrder } = require("./orderFulfillmentService"); // Post-payment steps
+const { getWalletBalance, debitWallet, creditWallet } = require("./walletService"); // Store credit
+const { redeemGiftCard, creditGiftCard } = require("./giftCardService"); // Gift card balances
+const { reserveStock, releaseReservation } = require("./stockReservationService"); // Checkout stock holds
+const { runInTransaction } = require("../utils/transaction"); // MongoDB transactions
+const { calculateShippingCharge } = require("./shippingRuleService"); // Shipping charge rules
+const { getParcelForLines } = require("./packagingService"); // Parcel weight for shipping and courier checks
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// How long a quote can be confirmed for, in minutes
+const CHECKOUT_QUOTE_TTL_MINUTES = Number(process.env.CHECKOUT_QUOTE_TTL_MINUTES || 15);
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Creates an order that needs no online payment (COD, or fully paid with store credit)
+// together with its promo use and stock sale, in one transaction
+async function placeSettledOrder(orderFields) {
+  const orderId = await runInTransaction(async (session) => {
+    const [order] = await Order.create([orderFields], { session });
+    await applyPaidOrderInventory(order, { session });
+    return order._id;
+  });
+  return Order.findById(orderId).populate("items").populate("user");
+}
+
+/**
+ * Prices a cart from the catalogue: effective item prices (sales included), shipping and promo code.
+ * Client-supplied prices and totals are never used.
+ * @param {Object} params - Pricing inputs.
+ * @param {Array<Object>} params.cart - [{ itemId, sku, quantity }].
+ * @param {string} [params.promoCode] - Promo code to apply.
+ * @param {string} [params.pincode] - Delivery pincode, for zone shipping rules.
+ * @param {string} [params.state] - Delivery state, for zone shipping rules.
+ * @param {string} [params.serviceLevel] - "standard" (default) or "express" shipping.
+ * @returns {Promise<Object>} - { lines, items, subtotal, shippingCost, shipping, parcel, promoCode, promoDiscount, total }.
+ * @throws {Error} - With statusCode 400 if the cart, promo code or service level is invalid.
+ */
+exports.priceCart = async ({ cart, promoCode, pincode, state, serviceLevel = "standard" }) => {
+  // Validate cart data
+  if (!Array.isArray(cart) || cart.length === 0) {
+    throw httpError(400, "Cart is empty or invalid");
+  }
+
+  for (const cartItem of cart) {
+    if (!mongoose.Types.ObjectId.isValid(cartItem.itemId)) {
+      throw httpError(400, "Invalid item IDs");
+    }
+    const quantity = Number(cartItem.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, `Invalid quantity for SKU ${cartItem.sku}`);
+    }
+  }
+
+  // Check if all items exist
+  const itemIds = [...new Set(cart.map(cartItem => cartItem.itemId.toString()))];
+  const items = await Item.find({ _id: { $in: itemIds } });
+  if (items.length !== itemIds.length) {
+    throw httpError(400, "One or more items not found");
+  }
+
+  // Validate SKUs in ItemDetails
+  const itemDetails = await ItemDetails.find({ items: { $in: itemIds } });
+  for (const cartItem of cart) {
+    const detail = itemDetails.find(d => d.items.toString() === cartItem.itemId.toString());
+    if (!detail) {
+      throw httpError(400, `ItemDetails not found for item ${cartItem.itemId}`);
+    }
+    const skuExists = detail.colors.some(color =>
+      color.sizes.some(size => size.sku === cartItem.sku)
+    );
+    if (!skuExists) {
+      throw httpError(400, `Invalid SKU ${cartItem.sku} for item ${cartItem.itemId}`);
+    }
+  }
+
+  // Price every line from the catalogue, including any running sale
+  const priceLists = await getActivePriceLists();
+  const lines = cart.map(cartItem => {
+    const item = items.find(i => i._id.toString() === cartItem.itemId.toString());
+    const { price, listPrice, sale } = getEffectivePrice(item, priceLists);
+    return {
+      item_id: item._id,
+      sku: cartItem.sku,
+      quantity: Number(cartItem.quantity),
+      unit_price: price,
+      list_price: listPrice,
+      price_list: sale ? sale.id : undefined,
+      name: item.name,
+      promo_line: false,
+    };
+  });
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0));
+
+  // Validate the promo code; a BOGO line ships too, so it is added before shipping is priced
+  let promo = null;
+  let code = null;
+  if (promoCode) {
+    code = promoCode.toUpperCase();
+    promo = await PromoCode.findOne({ code, isActive: true });
+    if (!promo) {
+      throw httpError(400, "Invalid or inactive promo code");
+    }
+
+    const currentDate = new Date();
+    if (currentDate < promo.startDate || currentDate > promo.endDate) {
+      throw httpError(400, "Promo code has expired");
+    }
+
+    if (promo.maxUses > 0 && promo.currentUses >= promo.maxUses) {
+      throw httpError(400, "Promo code usage limit reached");
+    }
+
+    if (subtotal < promo.minOrderValue) {
+      throw httpError(400, `Cart total must be at least ₹${promo.minOrderValue}`);
+    }
+  }
+
+  let bogoDiscount = 0;
+  if (promo?.discountType === "bogo") {
+    // The cheapest line is duplicated for free
+    const cheapestLine = lines.reduce((min, line) => (min.unit_price <= line.unit_price ? min : line), lines[0]);
+    lines.push({ ...cheapestLine, promo_line: true });
+    bogoDiscount = cheapestLine.unit_price * cheapestLine.quantity;
+  }
+
+  const parcel = await getParcelForLines(lines);
+  const shippingInputs = { subtotal, weight: parcel.chargeableWeight, pincode, state, lines, items };
+  const shipping = await calculateShippingCharge({ ...shippingInputs, serviceLevel });
+  const shippingCost = shipping.charge;
+
+  // Apply the promo code
+  let promoDiscount = 0;
+  if (promo) {
+    if (promo.discountType === "percentage") {
+      promoDiscount = (subtotal * promo.discountValue) / 100;
+    } else if (promo.discountType === "fixed") {
+      promoDiscount = promo.discountValue;
+    } else if (promo.discountType === "free_shipping") {
+      // Covers standard shipping; an express upgrade is paid for
+      promoDiscount =
+        serviceLevel === "standard"
+          ? shippingCost
+          : (await calculateShippingCharge({ ...shippingInputs, serviceLevel: "standard" })).charge;
+    } else if (promo.discountType === "bogo") {
+      promoDiscount = bogoDiscount;
+    }
+
+    promoDiscount = roundAmount(Math.min(promoDiscount, subtotal + shippingCost));
+  }
+
+  return {
+    lines,
+    items,
+    subtotal,
+    shippingCost,
+    shipping,
+    parcel,
+    promoCode: code,
+    promoDiscount,
+    total: roundAmount(subtotal + shippingCost - promoDiscount),
+  };
+};
+
+/**
+ * Prices a cart and stores the result as a quote the customer can confirm.
+ * @param {Object} params - Quote inputs.
+ * @param {string} params.userId - Customer placing the order.
+ * @param {Array<Object>} params.cart - [{ itemId, sku, quantity }].
+ * @param {string} [params.promoCode] - Promo code to apply.
+ * @param {string} [params.pincode] - Delivery pincode; when given the quote reports COD availability
+ *   and zone shipping rules apply.
+ * @param {string} [params.state] - Delivery state, for zone shipping rules.
+ * @param {string} [params.serviceLevel] - "standard" (default) or "express" shipping.
+ * @returns {Promise<Object>} - { quote, cod }.
+ */
+exports.createQuote = async ({ userId, cart, promoCode, pincode, state, serviceLevel = "standard" }) => {
+  const pricing = await exports.priceCart({ cart, promoCode, pincode, state, serviceLevel });
+
+  const quote = await CheckoutQuote.create({
+    user: userId,
+    lines: pricing.lines,
+    subtotal: pricing.subtotal,
+    shipping_cost: pricing.shippingCost,
+    shipping_service_level: pricing.shipping.serviceLevel,
+    shipping_rule: pricing.shipping.rule?.id,
+    pincode,
+    state,
+    promoCode: pricing.promoCode,
+    promoDiscount: pricing.promoDiscount,
+    total: pricing.total,
+    expires_at: new Date(Date.now() + CHECKOUT_QUOTE_TTL_MINUTES * 60 * 1000),
+  });
+
+  let cod = null;
+  if (pincode) {
+    const eligibility = await checkCodEligibility({
+      items: pricing.items,
+      orderValue: pricing.total,
+      pincode,
+      weight: pricing.parcel.chargeableWeight,
+    });
+    cod = {
+      eligible: eligibility.eligible,
+      reasons: eligibility.reasons,
+      fee: eligibility.codFee,
+      total: roundAmount(pricing.total + eligibility.codFee),
+    };
+  }
+
+  return { quote, cod };
+};
+
+/**
+ * Turns a quote into an Order: a Razorpay order for prepaid checkout (for whatever
+ * the gift card and wallet do not cover), or a fulfilled COD / fully store-credit-paid order.
+ * The cart is re-priced first and the quote is rejected if anything changed since it was issued.
+ * @param {Object} params - Confirmation inputs.
+ * @param {string} params.quoteId - Quote to confirm.
+ * @param {string} params.userId - Customer confirming it (must own the quote).
+ * @param {Object} params.address - Delivery address (firstName, address, city, state, pinCode, ...).
+ * @param {string} [params.paymentMethod] - "Prepaid" (default) or "COD".
+ * @param {string} [params.giftCardCode] - Gift card to spend first (prepaid only); takes up to the order total.
+ * @param {number|boolean} [params.walletAmount] - Wallet balance to spend (prepaid only); true spends as much as possible.
+ * @returns {Promise<Object>} - { order, quote, razorpayOrder } when Razorpay payment is due, otherwise
+ *   { order, quote, fulfilment } (COD, or fully paid with gift card / wallet).
+ * @throws {Error} - With statusCode 400/404/409 when the quote cannot be confirmed.
+ */
+exports.confirmQuote = async ({
+  quoteId,
+  userId,
+  address,
+  paymentMethod = "Prepaid",
+  giftCardCode,
+  walletAmount: requestedWallet,
+}) => {
+  if (!["Prepaid", "COD"].includes(paymentMethod)) {
+    throw httpError(400, "paymentMethod must be Prepaid or COD");
+  }
+  const useWallet = requestedWallet === true || Number(requestedWallet) > 0;
+  if (useWallet && paymentMethod === "COD") {
+    throw httpError(400, "Wallet balance can only be used with prepaid checkout");
+  }
+  if (giftCardCode && paymentMethod === "COD") {
+    throw httpError(400, "Gift cards can only be used with prepaid checkout");
+  }
+  if (!address || !address.pinCode) {
+    throw httpError(400, "Delivery address with pinCode is required");
+  }
+  if (!mongoose.Types.ObjectId.isValid(quoteId)) {
+    throw httpError(400, "Invalid quote ID");
+  }
+
+  // Claim the quote so it can only be confirmed once
+  const quote = await CheckoutQuote.findOneAndUpdate(
+    { _id: quoteId, user: userId, status: "open", expires_at: { $gt: new Date() } },
+    { $set: { status: "confirming" } },
+    { new: true }
+  );
+  if (!quote) {
+    throw httpError(404, "Quote not found, expired or already used. Please request a new quote.");
+  }
+
+  try {
+    // Re-price the original cart (promo lines are added back by the promo itself)
+    const pricing = await exports.priceCart({
+      cart: quote.lines
+        .filter(line => !line.promo_line)
+        .map(line => ({ itemId: line.item_id.toString(), sku: line.sku, quantity: line.quantity })),
+      promoCode: quote.promoCode,
+      pincode: address.pinCode,
+      state: address.state,
+      serviceLevel: quote.shipping_service_level,
+    });
+    // Shipping is re-priced for the delivery address, which can differ from the quoted pincode
+    if (Math.abs(pricing.total - quote.total) > 0.01) {
+      throw httpError(409, "Prices have changed since the quote was issued. Please request a new quote.", {
+        details: { quotedTotal: quote.total, currentTotal: pricing.total },
+      });
+    }
+
+    let codFee = 0;
+    if (paymentMethod === "COD") {
+      const eligibility = await checkCodEligibility({
+        items: pricing.items,
+        orderValue: pricing.total,
+        pincode: address.pinCode,
+        weight: pricing.parcel.chargeableWeight,
+      });
+      if (!eligibility.eligible) {
+        throw httpError(400, "Cash on Delivery is not available for this order", {
+          details: { reasons: eligibility.reasons },
+        });
+      }
+      codFee = eligibility.codFee;
+    }
+
+    const tax = await calculateOrderTax({
+      lines: pricing.lines,
+      promoDiscount: pricing.promoDiscount,
+      shippingCost: pricing.shippingCost,
+      codFee,
+      destinationState: address.state,
+    });
+
+    const orderData = {
+      user: userId,
+      items: pricing.items.map(item => item._id),
+      item_quantities: pricing.lines.map((line, index) => ({
+        item_id: line.item_id,
+        sku: line.sku,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        list_price: line.list_price,
+        price_list: line.price_list,
+        tax: tax.lines[index],
+      })),
+      tax: tax.summary,
+      total_price: roundAmount(pricing.total + codFee),
+      shipping_cost: pricing.shippingCost,
+      shipping_service_level: pricing.shipping.serviceLevel,
+      shipping_rule: pricing.shipping.rule?.id,
+      address,
+      promoCode: pricing.promoCode,
+      promoDiscount: pricing.promoDiscount,
+      checkout_quote: quote._id,
+    };
+
+    let result;
+    if (paymentMethod === "COD") {
+      // No online payment to wait for: take stock right away (no order is created if it has run out)
+      const order = await placeSettledOrder({
+        ...orderData,
+        payment_method: "COD",
+        payment_status: "COD Pending",
+        cod_fee: codFee,
+      });
+
+      const fulfilment = await fulfilPaidOrder(order);
+      result = { order, fulfilment };
+    } else {
+      // Stock, gift card and wallet shares are taken up front (card before wallet, as it
+      // can expire) and given back if the order goes unpaid
+      const orderId = new mongoose.Types.ObjectId();
+      const paymentExpiresAt = getPaymentExpiry();
+      let stockReserved = false;
+      let giftCard = null;
+      let giftCardAmount = 0;
+      let walletAmount = 0;
+
+      try {
+        // Hold the SKUs for as long as the customer has to pay
+        await reserveStock({
+          orderId,
+          userId,
+          lines: orderData.item_quantities,
+          expiresAt: paymentExpiresAt,
+          pincode: address.pinCode,
+          allowSplit: true,
+        });
+        stockReserved = true;
+
+        if (giftCardCode) {
+          const redemption = await redeemGiftCard({
+            code: giftCardCode,
+            maxAmount: orderData.total_price,
+            userId,
+            order: orderId,
+          });
+          giftCard = redemption.giftCard;
+          giftCardAmount = redemption.amount;
+        }
+
+        if (useWallet) {
+          const balance = await getWalletBalance(userId);
+          const wanted = requestedWallet === true ? balance : Number(requestedWallet);
+          walletAmount = roundAmount(Math.min(wanted, balance, orderData.total_price - giftCardAmount));
+          if (walletAmount > 0) {
+            await debitWallet({ userId, amount: walletAmount, source: "checkout", order: orderId, reason: "Order payment" });
+          }
+        }
+
+        const storeCredit = {
+          ...(giftCard && { gift_card: giftCard._id, gift_card_code: giftCard.code }),
+          gift_card_amount: giftCardAmount,
+          wallet_amount: walletAmount,
+        };
+        const amountPayable = roundAmount(orderData.total_price - giftCardAmount - walletAmount);
+        if (amountPayable <= 0) {
+          // Fully paid with store credit: nothing to collect, settle the order now
+          const order = await placeSettledOrder({
+            ...orderData,
+            ...storeCredit,
+            _id: orderId,
+            payment_method: "Prepaid",
+            payment_status: "Paid",
+          });
+
+          const fulfilment = await fulfilPaidOrder(order);
+          result = { order, fulfilment };
+        } else {
+          const razorpayOrder = await getPaymentProvider().createOrder({
+            amount: Math.round(amountPayable * 100), // Convert to paise
+            currency: "INR",
+            receipt: `receipt_${Date.now()}`,
+            notes: { quote_id: quote._id.toString(), order_id: orderId.toString() },
+          });
+
+          const order = await Order.create({
+            ...orderData,
+            ...storeCredit,
+            _id: orderId,
+            payment_method: "Prepaid",
+            payment_status: "Pending",
+            payment_expires_at: paymentExpiresAt,
+            razorpay_order_id: razorpayOrder.id,
+          });
+          result = { order, razorpayOrder };
+        }
+      } catch (error) {
+        // Give the stock and store credit back unless an order now holds them
+        const orderCreated = await Order.exists({ _id: orderId });
+        if (stockReserved && !orderCreated) {
+          await releaseReservation(orderId, "Checkout failed");
+        }
+        if ((giftCardAmount > 0 || walletAmount > 0) && !orderCreated) {
+          if (giftCardAmount > 0) {
+            await creditGiftCard({
+              giftCardId: giftCard._id,
+              amount: giftCardAmount,
+              source: "redemption_reversal",
+              userId,
+              order: orderId,
+              reason: "Checkout failed",
+            });
+          }
+          if (walletAmount > 0) {
+            await creditWallet({
+              userId,
+              amount: walletAmount,
+              source: "checkout_reversal",
+              order: orderId,
+              reason: "Checkout failed",
+            });
+          }
+        }
+        throw error;
+      }
+    }
+
+    quote.status = "confirmed";
+    quote.order = result.order._id;
+    await quote.save();
+
+    return { ...result, quote };
+  } catch (error) {
+    // Leave the quote usable unless an order was created from it
+    if (quote.status === "confirming") {
+      await CheckoutQuote.updateOne({ _id: quote._id, status: "confirming" }, { $set: { status: "open" } });
+    }
+    throw error;
+  }
+};
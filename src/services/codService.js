@@ -0,0 +1,140 @@
+// Import required dependencies
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const { getServiceableCouriers } = require("./shippingService"); // Cached courier serviceability
+
+// COD limits and fee, configurable per environment
+const COD_MIN_ORDER_VALUE = Number(process.env.COD_MIN_ORDER_VALUE || 0);
+const COD_MAX_ORDER_VALUE = Number(process.env.COD_MAX_ORDER_VALUE || 10000);
+const COD_FEE = Number(process.env.COD_FEE || 0);
+
+/**
+ * Decides whether an order may be paid with Cash on Delivery.
+ * @param {Object} params - Eligibility inputs.
+ * @param {Array<Object>} params.items - Item documents in the cart (checked for isCodAvailable).
+ * @param {number} params.orderValue - Order total before the COD fee, in rupees.
+ * @param {string} params.pincode - Delivery pincode.
+ * @param {number} [params.weight] - Parcel weight in kg used for the serviceability check.
+ * @returns {Promise<Object>} - { eligible, reasons, codFee, couriers }.
+ */
+exports.checkCodEligibility = async ({ items, orderValue, pincode, weight = 0.5 }) => {
+  const reasons = [];
+
+  const blockedItems = items.filter((item) => item.isCodAvailable === false);
+  if (blockedItems.length > 0) {
+    reasons.push(`COD is not available for: ${blockedItems.map((item) => item.name).join(", ")}`);
+  }
+
+  if (orderValue < COD_MIN_ORDER_VALUE) {
+    reasons.push(`COD requires an order value of at least ₹${COD_MIN_ORDER_VALUE}`);
+  }
+  if (orderValue > COD_MAX_ORDER_VALUE) {
+    reasons.push(`COD is only available for orders up to ₹${COD_MAX_ORDER_VALUE}`);
+  }
+
+  let couriers = [];
+  if (!pincode) {
+    reasons.push("Delivery pincode is required for COD");
+  } else {
+    try {
+      const serviceable = await getServiceableCouriers({ pincode, weight });
+      couriers = serviceable.filter((courier) => Number(courier.cod) === 1);
+      if (couriers.length === 0) {
+        reasons.push(`COD is not available for pincode ${pincode}`);
+      }
+    } catch (error) {
+      console.error("COD serviceability check failed:", error);
+      reasons.push("Unable to confirm COD serviceability right now");
+    }
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    codFee: COD_FEE,
+    couriers,
+  };
+};
+
+/**
+ * Applies one line of a courier COD remittance report to its order.
+ * "collected" means the courier has the cash; "remitted" means it reached our account
+ * and the order becomes Paid, provided the amount matches what was to be collected.
+ * Lines for cancelled or undelivered orders are flagged for a manual check instead, and
+ * an order is only moved on from the payment status it was read with, so a line applied
+ * twice at once takes effect once.
+ * @param {Object} entry - Remittance line.
+ * @param {string} [entry.orderId] - Our Order ID.
+ * @param {string} [entry.awbCode] - AWB code, used when orderId is not given.
+ * @param {string} [entry.status] - "collected" or "remitted" (default).
+ * @param {number} [entry.amount] - Amount remitted, in rupees.
+ * @param {string} [entry.utr] - Bank UTR of the remittance.
+ * @param {string|Date} [entry.date] - When the cash was collected/remitted.
+ * @returns {Promise<Object>} - { orderId, result, message }; result is "collected", "remitted",
+ *   "skipped", "mismatch", "flagged" or "not_found".
+ */
+exports.reconcileCodRemittance = async ({ orderId, awbCode, status = "remitted", amount, utr, date, notes }) => {
+  const query = orderId ? { _id: orderId } : { $or: [{ "shipments.awb_code": awbCode }, { awb_code: awbCode }] };
+  const order = await Order.findOne({ ...query, payment_method: "COD" });
+  if (!order) {
+    return { orderId: orderId || null, awbCode, result: "not_found", message: "COD order not found" };
+  }
+
+  const eventDate = date ? new Date(date) : new Date();
+  const alreadyDone =
+    status === "collected" ? order.payment_status !== "COD Pending" : order.payment_status === "Paid";
+  if (alreadyDone) {
+    return {
+      orderId: order._id,
+      result: "skipped",
+      message: status === "collected" ? `Order is already ${order.payment_status}` : "Remittance already reconciled",
+    };
+  }
+
+  // Cash for an order we cancelled or never delivered needs a person to look at it
+  if (order.order_status === "Cancelled") {
+    return { orderId: order._id, result: "flagged", message: `Order is cancelled but the courier reported it ${status}` };
+  }
+  if (order.shipping_status !== "Delivered") {
+    return {
+      orderId: order._id,
+      result: "flagged",
+      message: `Order is ${order.shipping_status}, not Delivered, but the courier reported it ${status}`,
+    };
+  }
+
+  let update;
+  if (status === "collected") {
+    update = { $set: { payment_status: "COD Collected", "cod_remittance.collectedAt": eventDate } };
+  } else {
+    if (Math.abs(Number(amount) - order.total_price) > 0.01) {
+      return {
+        orderId: order._id,
+        result: "mismatch",
+        message: `Remitted amount ₹${amount} does not match collectable amount ₹${order.total_price}`,
+      };
+    }
+    update = {
+      $set: {
+        payment_status: "Paid",
+        cod_remittance: {
+          collectedAt: order.cod_remittance?.collectedAt || eventDate,
+          remittedAt: eventDate,
+          amount: Number(amount),
+          utr,
+          notes,
+        },
+      },
+    };
+  }
+
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, payment_status: order.payment_status, order_status: { $ne: "Cancelled" } },
+    update
+  );
+  if (modifiedCount === 0) {
+    return { orderId: order._id, result: "skipped", message: "Order changed while reconciling; run the line again" };
+  }
+  return status === "collected"
+    ? { orderId: order._id, result: "collected", message: "Cash collected by courier" }
+    : { orderId: order._id, result: "remitted", message: "Remittance reconciled" };
+};
@@ -0,0 +1,184 @@
+// Import required dependencies
+const CourierPolicy = require("../models/CourierPolicy"); // Mongoose model for CourierPolicy collection
+const { getServiceableCouriers } = require("./shippingService"); // Cached courier serviceability
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+const STRATEGIES = ["cheapest", "fastest", "highest_rated", "preferred"];
+const ZONES = ["default", "z_a", "z_b", "z_c", "z_d", "z_e"];
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// Freight Shiprocket quotes for the courier (freight_charge on live responses, rate on older ones)
+const getCourierRate = (courier) => toNumber(courier.freight_charge ?? courier.rate, Infinity);
+const getCourierDays = (courier) => toNumber(courier.estimated_delivery_days, Infinity);
+const getCourierRating = (courier) => toNumber(courier.rating, 0);
+
+// Orderings for each strategy; ties go to the cheaper courier
+const COMPARATORS = {
+  cheapest: (a, b) => getCourierRate(a) - getCourierRate(b) || getCourierDays(a) - getCourierDays(b),
+  fastest: (a, b) => getCourierDays(a) - getCourierDays(b) || getCourierRate(a) - getCourierRate(b),
+  highest_rated: (a, b) => getCourierRating(b) - getCourierRating(a) || getCourierRate(a) - getCourierRate(b),
+};
+
+const describeCourier = (courier) =>
+  `${courier.courier_name} (₹${getCourierRate(courier)}, ${courier.estimated_delivery_days ?? "?"} days, rated ${getCourierRating(courier)})`;
+
+function describePolicy(policy, zone) {
+  if (policy.zone === "express") {
+    return "Express order";
+  }
+  return `${policy.zone === zone ? `Zone ${zone}` : "Default"} policy`;
+}
+
+/**
+ * Lists the configured courier policies.
+ * @returns {Promise<Array<Object>>} - CourierPolicy documents, default first.
+ */
+exports.getCourierPolicies = async () => {
+  const policies = await CourierPolicy.find().lean();
+  return policies.sort((a, b) => ZONES.indexOf(a.zone) - ZONES.indexOf(b.zone));
+};
+
+/**
+ * Creates or replaces the policy for a zone.
+ * @param {string} zone - "default" or a Shiprocket zone (z_a ... z_e).
+ * @param {Object} fields - { strategy, preferredCourierIds, fallbackStrategy }.
+ * @param {string} adminId - Admin making the change.
+ * @returns {Promise<Object>} - The saved CourierPolicy.
+ * @throws {Error} - With statusCode 400 if the zone, strategy or courier list is invalid.
+ */
+exports.upsertCourierPolicy = async (zone, { strategy, preferredCourierIds = [], fallbackStrategy = "cheapest" }, adminId) => {
+  if (!ZONES.includes(zone)) {
+    throw httpError(400, `Zone must be one of: ${ZONES.join(", ")}`);
+  }
+  if (!STRATEGIES.includes(strategy)) {
+    throw httpError(400, `Strategy must be one of: ${STRATEGIES.join(", ")}`);
+  }
+  if (fallbackStrategy === "preferred" || !STRATEGIES.includes(fallbackStrategy)) {
+    throw httpError(400, "Fallback strategy must be cheapest, fastest or highest_rated");
+  }
+  const courierIds = (Array.isArray(preferredCourierIds) ? preferredCourierIds : [preferredCourierIds]).map(Number);
+  if (courierIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+    throw httpError(400, "preferredCourierIds must be Shiprocket courier IDs");
+  }
+  if (strategy === "preferred" && courierIds.length === 0) {
+    throw httpError(400, "The preferred strategy needs at least one courier ID");
+  }
+
+  return CourierPolicy.findOneAndUpdate(
+    { zone },
+    { $set: { strategy, preferredCourierIds: courierIds, fallbackStrategy, updatedBy: adminId } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Removes a zone's policy; the zone then follows the default policy.
+ * @param {string} zone - Zone to clear.
+ * @returns {Promise<boolean>} - Whether a policy was removed.
+ */
+exports.deleteCourierPolicy = async (zone) => {
+  const { deletedCount } = await CourierPolicy.deleteOne({ zone });
+  return deletedCount > 0;
+};
+
+/**
+ * Picks a courier from a serviceability result under a policy.
+ * @param {Array<Object>} couriers - Shiprocket available_courier_companies.
+ * @param {Object} policy - CourierPolicy (strategy, preferredCourierIds, fallbackStrategy).
+ * @returns {Object|null} - { courier, strategy, reason }, or null when no courier is available.
+ */
+exports.applyCourierPolicy = (couriers, policy) => {
+  if (couriers.length === 0) {
+    return null;
+  }
+
+  if (policy.strategy === "preferred") {
+    for (const [rank, courierId] of policy.preferredCourierIds.entries()) {
+      const courier = couriers.find((c) => Number(c.courier_company_id) === courierId);
+      if (courier) {
+        return {
+          courier,
+          strategy: "preferred",
+          reason: `Preferred courier #${rank + 1}: ${describeCourier(courier)}`,
+        };
+      }
+    }
+    const [courier] = [...couriers].sort(COMPARATORS[policy.fallbackStrategy]);
+    return {
+      courier,
+      strategy: policy.fallbackStrategy,
+      reason: `No preferred courier serves this route; ${policy.fallbackStrategy} of ${couriers.length}: ${describeCourier(courier)}`,
+    };
+  }
+
+  const [courier] = [...couriers].sort(COMPARATORS[policy.strategy]);
+  return {
+    courier,
+    strategy: policy.strategy,
+    reason: `${policy.strategy} of ${couriers.length} serviceable couriers: ${describeCourier(courier)}`,
+  };
+};
+
+/**
+ * Chooses the courier for a forward shipment using the policy of its zone (or the default one).
+ * Express orders always go with the fastest courier.
+ * @param {Object} params - { pickupPincode (defaults to SHIPROCKET_PICKUP_PINCODE), pincode (delivery), weight (kg),
+ *   cod, express }.
+ * @returns {Promise<Object>} - Selection record for a shipment's courier_selection: { zone, strategy,
+ *   courier_company_id, courier_name, rate, estimated_delivery_days, rating, reason, selected_at }.
+ *   courier_company_id is null when Shiprocket should auto-assign.
+ */
+exports.selectCourier = async ({ pickupPincode, pincode, weight, cod = false, express = false }) => {
+  const selectedAt = new Date();
+  const autoAssign = (zone, reason) => ({
+    zone,
+    strategy: "auto",
+    courier_company_id: null,
+    reason,
+    selected_at: selectedAt,
+  });
+
+  let couriers;
+  try {
+    couriers = await getServiceableCouriers({ pickupPincode, pincode, weight });
+  } catch (error) {
+    console.error("Courier serviceability lookup failed:", error);
+    return autoAssign(null, `Serviceability lookup failed (${error.message}); Shiprocket auto-assigned`);
+  }
+  const candidates = cod ? couriers.filter((courier) => Number(courier.cod) === 1) : couriers;
+  const zone = candidates[0]?.zone || null;
+
+  let policy;
+  if (express) {
+    policy = { zone: "express", strategy: "fastest" };
+  } else {
+    const policies = await CourierPolicy.find({ zone: { $in: [zone, "default"].filter(Boolean) } }).lean();
+    policy = policies.find((p) => p.zone === zone) || policies.find((p) => p.zone === "default");
+  }
+  if (!policy) {
+    return autoAssign(zone, "No courier policy configured; Shiprocket auto-assigned");
+  }
+
+  const selection = exports.applyCourierPolicy(candidates, policy);
+  if (!selection) {
+    return autoAssign(zone, `No ${cod ? "COD " : ""}courier listed for ${pincode}; Shiprocket auto-assigned`);
+  }
+
+  const { courier } = selection;
+  const rate = getCourierRate(courier);
+  return {
+    zone,
+    strategy: selection.strategy,
+    courier_company_id: Number(courier.courier_company_id),
+    courier_name: courier.courier_name,
+    rate: Number.isFinite(rate) ? rate : undefined,
+    estimated_delivery_days: courier.estimated_delivery_days != null ? Number(courier.estimated_delivery_days) : undefined,
+    rating: getCourierRating(courier),
+    reason: `${describePolicy(policy, zone)}, ${selection.reason}`,
+    selected_at: selectedAt,
+  };
+};
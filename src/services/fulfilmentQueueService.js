@@ -0,0 +1,236 @@
+// Import required dependencies
+const mongoose = require("mongoose");
+const FulfilmentJob = require("../models/FulfilmentJob"); // Mongoose model for FulfilmentJob collection
+const { sendAlert } = require("./alertService"); // Operations alerts
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// Retry schedule: the delay doubles after every failed attempt, up to the cap
+const FULFILMENT_MAX_ATTEMPTS = Number(process.env.FULFILMENT_MAX_ATTEMPTS || 8);
+const FULFILMENT_RETRY_BASE_MINUTES = Number(process.env.FULFILMENT_RETRY_BASE_MINUTES || 2);
+const FULFILMENT_RETRY_MAX_MINUTES = Number(process.env.FULFILMENT_RETRY_MAX_MINUTES || 240);
+// How long to wait for a wallet recharge before trying again
+const FULFILMENT_WALLET_RETRY_MINUTES = Number(process.env.FULFILMENT_WALLET_RETRY_MINUTES || 15);
+// How long a worker may hold a job before another one takes it over
+const FULFILMENT_JOB_LEASE_MINUTES = Number(process.env.FULFILMENT_JOB_LEASE_MINUTES || 10);
+
+// Failures kept on a job for admins to look at
+const MAX_FAILURES_KEPT = 20;
+
+const JOB_STATUSES = ["pending", "processing", "completed", "cancelled", "dead"];
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// Delay before the next try, after `attempts` failed attempts
+const getRetryDelayMinutes = (attempts) =>
+  Math.min(FULFILMENT_RETRY_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0), FULFILMENT_RETRY_MAX_MINUTES);
+
+// Whether a fulfilment error means the Shiprocket wallet is too low to ship
+const isWalletBlocked = (error) => error.statusCode === 402;
+
+// Where a failed attempt leaves the job: rescheduled, or dead once out of attempts
+function getFailureUpdate(attempts, error) {
+  const walletBlocked = isWalletBlocked(error);
+  const failedAttempts = walletBlocked ? attempts : attempts + 1;
+  const dead = failedAttempts >= FULFILMENT_MAX_ATTEMPTS;
+  return {
+    $set: {
+      status: dead ? "dead" : "pending",
+      attempts: failedAttempts,
+      next_run_at: walletBlocked
+        ? minutesFromNow(FULFILMENT_WALLET_RETRY_MINUTES)
+        : minutesFromNow(getRetryDelayMinutes(failedAttempts)),
+      last_error: error.message,
+      wallet_blocked: walletBlocked,
+      ...(dead && { dead_at: new Date() }),
+    },
+    $unset: { locked_until: "" },
+    $push: {
+      failures: {
+        $each: [{ at: new Date(), message: error.message, statusCode: error.statusCode }],
+        $slice: -MAX_FAILURES_KEPT,
+      },
+    },
+  };
+}
+
+async function alertDeadJob(job) {
+  await sendAlert({
+    key: `fulfilment-dead:${job.order}`,
+    subject: `Order ${job.order} could not be shipped`,
+    message:
+      `Shiprocket fulfilment failed ${job.attempts} times and was moved to the dead-letter list. ` +
+      `Last error: ${job.last_error}. Fix the cause and requeue job ${job._id}.`,
+  });
+}
+
+/**
+ * Alerts operations that a low Shiprocket wallet balance is holding orders back.
+ * @param {Object} params - { orderId, message }.
+ * @returns {Promise<void>}
+ */
+exports.alertWalletBlocked = async ({ orderId, message }) => {
+  await sendAlert({
+    key: "shiprocket-wallet",
+    subject: "Shiprocket wallet balance is blocking fulfilment",
+    message:
+      `${message}. Order ${orderId} (and any others paid meanwhile) will ship once the wallet is ` +
+      `recharged; the fulfilment queue retries every ${FULFILMENT_WALLET_RETRY_MINUTES} minutes.`,
+  });
+};
+
+/**
+ * Queues a retry for an order whose fulfilment just failed outside the queue (at payment, or
+ * an admin retry). A job that is already queued or running is left alone, and dead jobs stay
+ * on the dead-letter list until an admin requeues them.
+ * @param {string} orderId - Order ID.
+ * @param {Error} error - The failure (statusCode 402 when the Shiprocket wallet blocked it).
+ * @returns {Promise<Object>} - The FulfilmentJob.
+ */
+exports.enqueueFulfilment = async (orderId, error) => {
+  // An order fulfilled before that needs shipping again starts a fresh run
+  await FulfilmentJob.updateOne(
+    { order: orderId, status: { $in: ["completed", "cancelled"] } },
+    { $set: { status: "pending", attempts: 0 }, $unset: { completed_at: "" } }
+  );
+  try {
+    await FulfilmentJob.updateOne({ order: orderId }, { $setOnInsert: { order: orderId } }, { upsert: true });
+  } catch (upsertError) {
+    // Two failures for the same order raced to create the job; the other one did
+    if (upsertError.code !== 11000) {
+      throw upsertError;
+    }
+  }
+
+  const job = await FulfilmentJob.findOne({ order: orderId });
+  if (job.status !== "pending") {
+    return job;
+  }
+  const updated = await FulfilmentJob.findOneAndUpdate(
+    { _id: job._id, status: "pending" },
+    getFailureUpdate(job.attempts, error),
+    { new: true }
+  );
+  if (updated?.status === "dead") {
+    await alertDeadJob(updated);
+  }
+  return updated || job;
+};
+
+/**
+ * Takes the next due job for processing. Jobs left "processing" past their lease (a worker
+ * that stopped mid-run) are taken over.
+ * @returns {Promise<Object|null>} - The claimed FulfilmentJob, or null when nothing is due.
+ */
+exports.claimNextFulfilmentJob = async () => {
+  const now = new Date();
+  return FulfilmentJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", next_run_at: { $lte: now } },
+        { status: "processing", locked_until: { $lte: now } },
+      ],
+    },
+    { $set: { status: "processing", locked_until: minutesFromNow(FULFILMENT_JOB_LEASE_MINUTES) } },
+    { new: true, sort: { next_run_at: 1 } }
+  );
+};
+
+/**
+ * Records the outcome of a claimed job.
+ * @param {Object} job - FulfilmentJob returned by claimNextFulfilmentJob.
+ * @param {Object} outcome - { status: "completed" | "cancelled", reason } on success, or { error } when the attempt failed.
+ * @returns {Promise<Object|null>} - The updated job, or null if the job was taken over meanwhile.
+ */
+exports.finishFulfilmentJob = async (job, { status, reason, error }) => {
+  const update = error
+    ? getFailureUpdate(job.attempts, error)
+    : {
+        $set: {
+          status,
+          ...(status === "completed" && { completed_at: new Date() }),
+          ...(reason && { last_error: reason }),
+          wallet_blocked: false,
+        },
+        $unset: { locked_until: "" },
+      };
+  const updated = await FulfilmentJob.findOneAndUpdate(
+    { _id: job._id, status: "processing", locked_until: job.locked_until },
+    update,
+    { new: true }
+  );
+  if (updated?.status === "dead") {
+    await alertDeadJob(updated);
+  }
+  return updated;
+};
+
+/**
+ * Marks an order's job completed after it was fulfilled outside the queue (e.g. an admin retry).
+ * @param {string} orderId - Order ID.
+ * @returns {Promise<void>}
+ */
+exports.completeFulfilmentForOrder = async (orderId) => {
+  await FulfilmentJob.updateOne(
+    { order: orderId, status: { $in: ["pending", "dead"] } },
+    { $set: { status: "completed", completed_at: new Date(), wallet_blocked: false } }
+  );
+};
+
+/**
+ * Lists fulfilment jobs, newest failures first.
+ * @param {Object} [filters] - { status (default "dead"), page, limit }.
+ * @returns {Promise<Object>} - { jobs, total, page, limit }.
+ * @throws {Error} - With statusCode 400 for an unknown status.
+ */
+exports.listFulfilmentJobs = async ({ status = "dead", page = 1, limit = 20 } = {}) => {
+  if (!JOB_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of: ${JOB_STATUSES.join(", ")}`);
+  }
+  const pageNumber = Math.max(Number(page) || 1, 1);
+  const pageSize = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const [jobs, total] = await Promise.all([
+    FulfilmentJob.find({ status })
+      .sort({ updatedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("order", "total_price payment_method payment_status order_status fulfilment_error created_at")
+      .lean(),
+    FulfilmentJob.countDocuments({ status }),
+  ]);
+  return { jobs, total, page: pageNumber, limit: pageSize };
+};
+
+/**
+ * Puts a dead (or waiting) job back in the queue to run now, with a fresh set of attempts.
+ * @param {string} jobId - FulfilmentJob ID.
+ * @param {string} adminId - Admin requeueing it.
+ * @returns {Promise<Object>} - The requeued job.
+ * @throws {Error} - With statusCode 404 if the job does not exist, 409 if it is running or done.
+ */
+exports.requeueFulfilmentJob = async (jobId, adminId) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw httpError(400, "Invalid fulfilment job ID");
+  }
+  const job = await FulfilmentJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ["dead", "pending"] } },
+    {
+      $set: {
+        status: "pending",
+        attempts: 0,
+        next_run_at: new Date(),
+        requeued_by: adminId,
+        requeued_at: new Date(),
+      },
+      $unset: { dead_at: "" },
+    },
+    { new: true }
+  );
+  if (job) {
+    return job;
+  }
+  const existing = await FulfilmentJob.findById(jobId).select("status");
+  if (!existing) {
+    throw httpError(404, "Fulfilment job not found");
+  }
+  throw httpError(409, `Fulfilment job is ${existing.status} and cannot be requeued`);
+};
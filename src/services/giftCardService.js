@@ -0,0 +1,403 @@
+// Import required dependencies
+const crypto = require("crypto");
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const GiftCard = require("../models/GiftCard"); // Mongoose model for GiftCard collection
+const GiftCardTransaction = require("../models/GiftCardTransaction"); // Mongoose model for GiftCardTransaction collection
+const { getPaymentProvider } = require("./payment"); // Configured payment gateway
+const { creditWallet } = require("./walletService"); // Store credit
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// Gift card limits, configurable per environment
+const GIFT_CARD_MIN_AMOUNT = Number(process.env.GIFT_CARD_MIN_AMOUNT || 100);
+const GIFT_CARD_MAX_AMOUNT = Number(process.env.GIFT_CARD_MAX_AMOUNT || 10000);
+const GIFT_CARD_VALIDITY_DAYS = Number(process.env.GIFT_CARD_VALIDITY_DAYS || 365);
+
+// Characters used in codes; 0/O and 1/I are left out so codes can be read aloud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Random code such as "GC-7KQ2-M9XD-4HTP-WB3N"
+function generateCode() {
+  const groups = [];
+  for (let g = 0; g < 4; g += 1) {
+    let group = "";
+    for (let i = 0; i < 4; i += 1) {
+      group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(group);
+  }
+  return `GC-${groups.join("-")}`;
+}
+
+// Codes are matched case-insensitively and with or without dashes/spaces
+const normaliseCode = (code) => {
+  const compact = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const body = compact.length === 18 && compact.startsWith("GC") ? compact.slice(2) : compact;
+  return `GC-${body.match(/.{1,4}/g)?.join("-") || ""}`;
+};
+
+/**
+ * Last characters of a code, for showing a card without revealing it.
+ * @param {string} code - Gift card code.
+ * @returns {string} - e.g. "GC-****-****-****-WB3N".
+ */
+exports.maskGiftCardCode = (code) => `GC-****-****-****-${String(code).slice(-4)}`;
+
+// Whether a card can be spent right now
+const isUsable = (giftCard, now = new Date()) => giftCard.status === "active" && giftCard.expires_at > now;
+
+// Validates an amount against the configured limits
+function parseAmount(amount) {
+  const value = roundAmount(Number(amount));
+  if (Number.isNaN(value) || value < GIFT_CARD_MIN_AMOUNT || value > GIFT_CARD_MAX_AMOUNT) {
+    throw httpError(400, `Gift card amount must be between ₹${GIFT_CARD_MIN_AMOUNT} and ₹${GIFT_CARD_MAX_AMOUNT}`);
+  }
+  return value;
+}
+
+// Validates an optional expiry date, defaulting to GIFT_CARD_VALIDITY_DAYS from now
+function parseExpiry(expiresAt) {
+  if (!expiresAt) {
+    return new Date(Date.now() + GIFT_CARD_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  }
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) {
+    throw httpError(400, "expiresAt must be a date in the future");
+  }
+  return date;
+}
+
+// Creates a card with a fresh code, retrying on the rare code collision
+async function createWithUniqueCode(fields) {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    try {
+      return await GiftCard.create({ ...fields, code: generateCode() });
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.code) {
+        throw error;
+      }
+    }
+  }
+  throw httpError(500, "Could not generate a unique gift card code");
+}
+
+/**
+ * Issues an active gift card (admin).
+ * @param {Object} params - Card details.
+ * @param {number} params.amount - Balance in rupees.
+ * @param {string|Date} [params.expiresAt] - Expiry; defaults to GIFT_CARD_VALIDITY_DAYS from now.
+ * @param {string} [params.recipientName] - Who the card is for.
+ * @param {string} [params.recipientEmail] - Where to send it.
+ * @param {string} [params.message] - Personal message.
+ * @param {string} params.issuedBy - Admin user ID.
+ * @returns {Promise<Object>} - The GiftCard document.
+ * @throws {Error} - With statusCode 400 on an invalid amount or expiry.
+ */
+exports.issueGiftCard = async ({ amount, expiresAt, recipientName, recipientEmail, message, issuedBy }) => {
+  const value = parseAmount(amount);
+  const giftCard = await createWithUniqueCode({
+    initial_balance: value,
+    balance: value,
+    status: "active",
+    expires_at: parseExpiry(expiresAt),
+    recipient_name: recipientName,
+    recipient_email: recipientEmail,
+    message,
+    issuedBy,
+    activated_at: new Date(),
+  });
+
+  await GiftCardTransaction.create({
+    gift_card: giftCard._id,
+    type: "credit",
+    amount: value,
+    balance_after: value,
+    source: "issue",
+    reason: "Issued by admin",
+  });
+  return giftCard;
+};
+
+/**
+ * Starts a customer purchase: a card awaiting payment plus the Razorpay order to pay for it.
+ * @param {Object} params - Card details.
+ * @param {string} params.userId - Buyer.
+ * @param {number} params.amount - Balance in rupees (also the price).
+ * @param {string} [params.recipientName] - Who the card is for.
+ * @param {string} [params.recipientEmail] - Where to send it.
+ * @param {string} [params.message] - Personal message.
+ * @returns {Promise<Object>} - { giftCard, razorpayOrder }.
+ * @throws {Error} - With statusCode 400 on an invalid amount.
+ */
+exports.startGiftCardPurchase = async ({ userId, amount, recipientName, recipientEmail, message }) => {
+  const value = parseAmount(amount);
+  const razorpayOrder = await getPaymentProvider().createOrder({
+    amount: Math.round(value * 100), // Convert to paise
+    currency: "INR",
+    receipt: `giftcard_${Date.now()}`,
+    notes: { purpose: "gift_card", user_id: userId.toString() },
+  });
+
+  const giftCard = await createWithUniqueCode({
+    initial_balance: value,
+    balance: value,
+    status: "pending_payment",
+    expires_at: parseExpiry(),
+    recipient_name: recipientName,
+    recipient_email: recipientEmail,
+    message,
+    purchasedBy: userId,
+    razorpay_order_id: razorpayOrder.id,
+  });
+  return { giftCard, razorpayOrder };
+};
+
+/**
+ * Activates a purchased card once its payment is captured (verify endpoint or webhook).
+ * The validity period starts at activation.
+ * @param {string} razorpayOrderId - Razorpay order the card was bought with.
+ * @param {Object} [paymentFields] - { razorpay_payment_id }.
+ * @returns {Promise<Object>} - { giftCard, alreadyActive }; giftCard is null if no card matches.
+ */
+exports.activatePurchasedGiftCard = async (razorpayOrderId, { razorpay_payment_id } = {}) => {
+  const giftCard = await GiftCard.findOneAndUpdate(
+    { razorpay_order_id: razorpayOrderId, status: "pending_payment" },
+    {
+      $set: {
+        status: "active",
+        activated_at: new Date(),
+        expires_at: parseExpiry(),
+        ...(razorpay_payment_id && { razorpay_payment_id }),
+      },
+    },
+    { new: true }
+  );
+
+  if (!giftCard) {
+    const existing = await GiftCard.findOne({ razorpay_order_id: razorpayOrderId });
+    return { giftCard: existing, alreadyActive: Boolean(existing) };
+  }
+
+  await GiftCardTransaction.create({
+    gift_card: giftCard._id,
+    type: "credit",
+    amount: giftCard.initial_balance,
+    balance_after: giftCard.balance,
+    source: "issue",
+    user: giftCard.purchasedBy,
+    reason: "Purchased",
+  });
+  return { giftCard, alreadyActive: false };
+};
+
+/**
+ * Looks up a card by code for a balance check.
+ * @param {string} code - Gift card code as typed by the customer.
+ * @returns {Promise<Object>} - { code (masked), balance, expiresAt, status, usable }.
+ * @throws {Error} - With statusCode 404 if no card has this code.
+ */
+exports.checkGiftCardBalance = async (code) => {
+  const giftCard = await GiftCard.findOne({ code: normaliseCode(code) });
+  if (!giftCard || giftCard.status === "pending_payment") {
+    throw httpError(404, "Gift card not found");
+  }
+
+  const expired = giftCard.expires_at <= new Date();
+  return {
+    code: exports.maskGiftCardCode(giftCard.code),
+    balance: giftCard.balance,
+    expiresAt: giftCard.expires_at,
+    status: expired && giftCard.status === "active" ? "expired" : giftCard.status,
+    usable: isUsable(giftCard) && giftCard.balance > 0,
+  };
+};
+
+/**
+ * Spends part of a card's balance on an order.
+ * @param {Object} params - Redemption details.
+ * @param {string} params.code - Gift card code.
+ * @param {number} params.maxAmount - Most that may be taken (the amount still due on the order).
+ * @param {string} params.userId - Customer redeeming it.
+ * @param {string} params.order - Order ID the balance is spent on.
+ * @returns {Promise<Object>} - { giftCard, amount } with the amount actually taken.
+ * @throws {Error} - With statusCode 400/404 if the card cannot be used.
+ */
+exports.redeemGiftCard = async ({ code, maxAmount, userId, order }) => {
+  const normalised = normaliseCode(code);
+  const current = await GiftCard.findOne({ code: normalised });
+  if (!current || current.status === "pending_payment") {
+    throw httpError(404, "Gift card not found");
+  }
+  if (current.status === "disabled") {
+    throw httpError(400, "This gift card has been disabled");
+  }
+  if (current.expires_at <= new Date()) {
+    throw httpError(400, "This gift card has expired");
+  }
+  if (!(current.balance > 0)) {
+    throw httpError(400, "This gift card has no balance left");
+  }
+
+  const amount = roundAmount(Math.min(current.balance, maxAmount));
+  // Conditional update so two checkouts can never spend the same balance
+  const giftCard = await GiftCard.findOneAndUpdate(
+    { _id: current._id, status: "active", expires_at: { $gt: new Date() }, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true }
+  );
+  if (!giftCard) {
+    throw httpError(409, "Gift card balance changed, please try again");
+  }
+
+  await GiftCardTransaction.create({
+    gift_card: giftCard._id,
+    type: "debit",
+    amount,
+    balance_after: roundAmount(giftCard.balance),
+    source: "redemption",
+    order,
+    user: userId,
+  });
+  return { giftCard, amount };
+};
+
+/**
+ * Puts money back on a card. A card that has expired or been disabled cannot take it,
+ * so the amount goes to the customer's wallet instead.
+ * @param {Object} params - Credit details.
+ * @param {string} params.giftCardId - Card to credit.
+ * @param {number} params.amount - Amount in rupees (> 0).
+ * @param {string} params.source - "redemption_reversal" or "refund".
+ * @param {string} params.userId - Customer whose wallet is the fallback.
+ * @param {string} [params.order] - Related order ID.
+ * @param {string} [params.refund] - Related refund ID.
+ * @param {string} [params.reason] - Ledger note.
+ * @returns {Promise<Object>} - { destination: "gift_card" | "wallet", transaction }.
+ */
+exports.creditGiftCard = async ({ giftCardId, amount, source, userId, order, refund, reason }) => {
+  const value = roundAmount(Number(amount));
+  const giftCard = await GiftCard.findOneAndUpdate(
+    { _id: giftCardId, status: "active", expires_at: { $gt: new Date() } },
+    { $inc: { balance: value } },
+    { new: true }
+  );
+
+  if (!giftCard) {
+    const transaction = await creditWallet({
+      userId,
+      amount: value,
+      source: source === "refund" ? "refund" : "checkout_reversal",
+      order,
+      refund,
+      reason: `${reason || "Gift card credit"} (gift card no longer usable)`,
+    });
+    return { destination: "wallet", transaction };
+  }
+
+  const transaction = await GiftCardTransaction.create({
+    gift_card: giftCard._id,
+    type: "credit",
+    amount: value,
+    balance_after: roundAmount(giftCard.balance),
+    source,
+    order,
+    refund,
+    user: userId,
+    reason,
+  });
+  return { destination: "gift_card", transaction };
+};
+
+/**
+ * Gives back the gift card balance held by an order that will not be paid (cancelled or expired).
+ * Runs at most once per order.
+ * @param {Object} order - Order document.
+ * @param {string} [reason] - Ledger note.
+ * @returns {Promise<Object|null>} - Result of creditGiftCard, or null if nothing was held.
+ */
+exports.releaseOrderGiftCardHold = async (order, reason = "Order not paid") => {
+  if (!(order.gift_card_amount > 0)) {
+    return null;
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, gift_card_amount: { $gt: 0 }, gift_card_released_at: null, payment_status: { $ne: "Paid" } },
+    { $set: { gift_card_released_at: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+  order.gift_card_released_at = claimed.gift_card_released_at;
+
+  return exports.creditGiftCard({
+    giftCardId: order.gift_card,
+    amount: order.gift_card_amount,
+    source: "redemption_reversal",
+    userId: order.user?._id || order.user,
+    order: order._id,
+    reason,
+  });
+};
+
+/**
+ * Takes the gift card share of an order again after it was released, e.g. when a late
+ * payment revives an expired order.
+ * @param {Object} order - Order document.
+ * @param {Object} [options] - { session } when part of a transaction.
+ * @returns {Promise<Object|null>} - { giftCard, amount }, or null if nothing was released.
+ * @throws {Error} - With statusCode 400 when the card can no longer cover its share.
+ */
+exports.recaptureOrderGiftCardHold = async (order, { session } = {}) => {
+  if (!(order.gift_card_amount > 0) || !order.gift_card_released_at) {
+    return null;
+  }
+
+  const giftCard = await GiftCard.findOneAndUpdate(
+    {
+      _id: order.gift_card,
+      status: "active",
+      expires_at: { $gt: new Date() },
+      balance: { $gte: order.gift_card_amount },
+    },
+    { $inc: { balance: -order.gift_card_amount } },
+    { new: true, session }
+  );
+  if (!giftCard) {
+    throw httpError(400, "Gift card used for this order no longer has enough balance");
+  }
+
+  await GiftCardTransaction.create(
+    [
+      {
+        gift_card: giftCard._id,
+        type: "debit",
+        amount: order.gift_card_amount,
+        balance_after: roundAmount(giftCard.balance),
+        source: "redemption",
+        order: order._id,
+        user: order.user?._id || order.user,
+        reason: "Gift card share of order taken again",
+      },
+    ],
+    { session }
+  );
+  order.gift_card_released_at = null;
+  await Order.updateOne({ _id: order._id }, { $set: { gift_card_released_at: null } }, { session });
+  return { giftCard, amount: order.gift_card_amount };
+};
+
+/**
+ * A card with its ledger, newest first.
+ * @param {string} giftCardId - Gift card ID.
+ * @returns {Promise<Object|null>} - { giftCard, transactions }, or null if not found.
+ */
+exports.getGiftCardWithHistory = async (giftCardId) => {
+  const giftCard = await GiftCard.findById(giftCardId);
+  if (!giftCard) {
+    return null;
+  }
+  const transactions = await GiftCardTransaction.find({ gift_card: giftCard._id }).sort({ createdAt: -1 });
+  return { giftCard, transactions };
+};
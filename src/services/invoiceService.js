@@ -0,0 +1,274 @@
+// Import required dependencies
+const Invoice = require("../models/Invoice"); // Mongoose model for Invoice collection
+const Counter = require("../models/Counter"); // Mongoose model for Counter collection
+const { runInTransaction } = require("../utils/transaction"); // MongoDB transactions
+const { calculateOrderTax, splitInclusiveAmount, SHIPPER_STATE } = require("./taxService"); // GST calculations
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// Seller details printed on every document, configurable per environment
+const SELLER = {
+  name: process.env.SELLER_LEGAL_NAME || "Yoraa",
+  gstin: process.env.SELLER_GSTIN || "",
+  address: process.env.SELLER_ADDRESS || "",
+  state: SHIPPER_STATE,
+};
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || "INV";
+const CREDIT_NOTE_NUMBER_PREFIX = process.env.CREDIT_NOTE_NUMBER_PREFIX || "CN";
+
+// Payment states in which goods are supplied and an invoice can be issued
+const INVOICEABLE_PAYMENT_STATUSES = ["Paid", "COD Pending", "COD Collected"];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Indian financial year (April-March) of a date, in IST, e.g. "2026-27"
+const getFinancialYear = (date) => {
+  const india = new Date(date.getTime() + 330 * 60 * 1000);
+  const startYear = india.getUTCMonth() >= 3 ? india.getUTCFullYear() : india.getUTCFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+// Next number in a series; each prefix restarts every financial year as GST requires
+async function nextDocumentNumber(prefix, date, session) {
+  const financialYear = getFinancialYear(date);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${prefix}/${financialYear}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return `${prefix}/${financialYear}/${String(counter.seq).padStart(6, "0")}`;
+}
+
+// Creates the document matching filter unless one exists. Returns whichever is stored.
+async function claimDocument(filter, fields) {
+  try {
+    return await Invoice.findOneAndUpdate(filter, { $setOnInsert: fields }, { upsert: true, new: true });
+  } catch (error) {
+    // Two requests inserted it at once; the other one won
+    if (error.code === 11000) {
+      return Invoice.findOne(filter);
+    }
+    throw error;
+  }
+}
+
+// Gives a claimed document the next number of its series. Numbers are only drawn for a
+// document that exists and has none, in the same transaction that stores it, so GST
+// serials have no gaps. A document whose numbering was interrupted gets its number on
+// the next request.
+async function assignDocumentNumber(document, prefix) {
+  if (document.number) {
+    return document;
+  }
+  return runInTransaction(async (session) => {
+    const current = await Invoice.findById(document._id).session(session || null);
+    if (current.number) {
+      return current;
+    }
+    const number = await nextDocumentNumber(prefix, current.issued_at, session);
+    const numbered = await Invoice.findOneAndUpdate(
+      { _id: current._id, number: { $exists: false } },
+      { $set: { number } },
+      { new: true, session }
+    );
+    // Only without transaction support can another request have numbered it meanwhile
+    return numbered || Invoice.findById(current._id).session(session || null);
+  });
+}
+
+// Sums the GST columns of document lines into its totals
+function summariseLines(lines) {
+  const totals = { taxable_value: 0, cgst: 0, sgst: 0, igst: 0, total: 0 };
+  for (const line of lines) {
+    totals.taxable_value += line.taxable_value;
+    totals.cgst += line.cgst;
+    totals.sgst += line.sgst;
+    totals.igst += line.igst;
+    totals.total += line.amount;
+  }
+  for (const key of Object.keys(totals)) {
+    totals[key] = roundAmount(totals[key]);
+  }
+  totals.total_tax = roundAmount(totals.cgst + totals.sgst + totals.igst);
+  return totals;
+}
+
+// GST breakdown stored at checkout, or worked out now for orders placed before tax was recorded
+async function getOrderTax(order) {
+  if (order.tax?.supply_type && order.item_quantities.every((line) => line.tax?.gst_rate !== undefined)) {
+    return { lines: order.item_quantities.map((line) => line.tax), summary: order.tax };
+  }
+
+  const itemPrices = new Map((order.items || []).map((item) => [item._id.toString(), item.price]));
+  const subtotal = order.item_quantities.reduce(
+    (sum, line) =>
+      sum + (line.unit_price ?? itemPrices.get((line.item_id?._id || line.item_id).toString()) ?? 0) * line.quantity,
+    0
+  );
+  return calculateOrderTax({
+    lines: order.item_quantities,
+    promoDiscount: order.promoDiscount || 0,
+    shippingCost: Math.max(order.total_price - (order.cod_fee || 0) - (subtotal - (order.promoDiscount || 0)), 0),
+    codFee: order.cod_fee || 0,
+    destinationState: order.address?.state,
+  });
+}
+
+/**
+ * Returns the order's tax invoice, issuing it on first request.
+ * @param {Object} order - Order document with items and user populated.
+ * @returns {Promise<Object>} - The Invoice document.
+ * @throws {Error} - With statusCode 400 if the order is not paid (or placed as COD) yet.
+ */
+exports.getOrCreateInvoice = async (order) => {
+  const existing = await Invoice.findOne({ order: order._id, type: "invoice" });
+  if (existing) {
+    return assignDocumentNumber(existing, INVOICE_NUMBER_PREFIX);
+  }
+
+  if (!INVOICEABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+    throw httpError(400, "An invoice is available once the order has been paid");
+  }
+
+  const tax = await getOrderTax(order);
+  const lines = order.item_quantities.map((line, index) => {
+    const itemId = (line.item_id?._id || line.item_id).toString();
+    const item = (order.items || []).find((i) => i._id.toString() === itemId);
+    const unitPrice = line.unit_price ?? item?.price ?? 0;
+    const lineTax = tax.lines[index];
+    return {
+      description: item?.name || "Item",
+      sku: line.sku,
+      hsn_code: lineTax.hsn_code,
+      quantity: line.quantity,
+      unit_price: unitPrice,
+      discount: roundAmount(unitPrice * line.quantity - lineTax.amount),
+      amount: lineTax.amount,
+      gst_rate: lineTax.gst_rate,
+      taxable_value: lineTax.taxable_value,
+      cgst: lineTax.cgst,
+      sgst: lineTax.sgst,
+      igst: lineTax.igst,
+    };
+  });
+
+  const shipping = tax.summary.shipping;
+  if (shipping?.amount > 0) {
+    const charged = roundAmount((order.shipping_cost || 0) + (order.cod_fee || 0));
+    lines.push({
+      description: order.cod_fee ? "Shipping and COD charges" : "Shipping charges",
+      hsn_code: shipping.sac_code,
+      quantity: 1,
+      unit_price: Math.max(charged, shipping.amount),
+      discount: roundAmount(Math.max(charged - shipping.amount, 0)),
+      amount: shipping.amount,
+      gst_rate: shipping.gst_rate,
+      taxable_value: shipping.taxable_value,
+      cgst: shipping.cgst,
+      sgst: shipping.sgst,
+      igst: shipping.igst,
+    });
+  }
+
+  const totals = summariseLines(lines);
+  const invoice = await claimDocument(
+    { order: order._id, type: "invoice" },
+    {
+      user: order.user?._id || order.user,
+      seller: SELLER,
+      buyer: {
+        name: [order.address?.firstName, order.address?.lastName].filter(Boolean).join(" "),
+        address: [order.address?.address, order.address?.city].filter(Boolean).join(", "),
+        state: order.address?.state,
+        pinCode: order.address?.pinCode,
+        phone: order.address?.phoneNumber,
+        email: order.user?.email,
+      },
+      supply_type: tax.summary.supply_type,
+      place_of_supply: tax.summary.place_of_supply,
+      lines,
+      subtotal: roundAmount(lines.slice(0, order.item_quantities.length).reduce((sum, line) => sum + line.unit_price * line.quantity, 0)),
+      promo_code: order.promoCode,
+      promo_discount: roundAmount(lines.reduce((sum, line) => sum + line.discount, 0)),
+      shipping_charge: shipping?.amount > 0 ? lines[lines.length - 1].unit_price : 0,
+      ...totals,
+      issued_at: new Date(),
+    }
+  );
+  return assignDocumentNumber(invoice, INVOICE_NUMBER_PREFIX);
+};
+
+/**
+ * Issues the credit note for a refund against the order's invoice. Refunded lines are
+ * credited at their invoiced GST rate; any refund above the goods value is credited
+ * against shipping.
+ * @param {Object} params - Credit note inputs.
+ * @param {Object} params.order - Order document with items and user populated.
+ * @param {Object} params.refund - Refund document (not Failed).
+ * @returns {Promise<Object>} - The Invoice document of type credit_note.
+ */
+exports.issueCreditNote = async ({ order, refund }) => {
+  const existing = await Invoice.findOne({ refund: refund._id, type: "credit_note" });
+  if (existing) {
+    return assignDocumentNumber(existing, CREDIT_NOTE_NUMBER_PREFIX);
+  }
+
+  const invoice = await exports.getOrCreateInvoice(order);
+  const interState = invoice.supply_type === "inter_state";
+
+  const goodsValue = refund.lines.reduce((sum, line) => sum + line.amount, 0);
+  const scale = goodsValue > refund.amount ? refund.amount / goodsValue : 1;
+
+  const lines = refund.lines.map((refundLine) => {
+    const index = order.item_quantities.findIndex((line) => line._id.toString() === refundLine.line_id.toString());
+    const invoiceLine = invoice.lines[index] || {};
+    const amount = roundAmount(refundLine.amount * scale);
+    return {
+      description: invoiceLine.description || "Item",
+      sku: refundLine.sku,
+      hsn_code: invoiceLine.hsn_code,
+      quantity: refundLine.quantity,
+      unit_price: invoiceLine.unit_price,
+      discount: roundAmount((invoiceLine.unit_price || 0) * refundLine.quantity - amount),
+      amount,
+      gst_rate: invoiceLine.gst_rate,
+      ...splitInclusiveAmount(amount, invoiceLine.gst_rate || 0, interState),
+    };
+  });
+
+  const remainder = roundAmount(refund.amount - goodsValue * scale);
+  if (remainder > 0) {
+    const serviceLine = invoice.lines[order.item_quantities.length];
+    const gstRate = serviceLine?.gst_rate ?? 0;
+    lines.push({
+      description: serviceLine?.description || "Charges refunded",
+      hsn_code: serviceLine?.hsn_code,
+      quantity: 1,
+      unit_price: remainder,
+      discount: 0,
+      amount: remainder,
+      gst_rate: gstRate,
+      ...splitInclusiveAmount(remainder, gstRate, interState),
+    });
+  }
+
+  const creditNote = await claimDocument(
+    { refund: refund._id, type: "credit_note" },
+    {
+      order: order._id,
+      user: invoice.user,
+      original_invoice: invoice._id,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      supply_type: invoice.supply_type,
+      place_of_supply: invoice.place_of_supply,
+      lines,
+      subtotal: roundAmount(lines.reduce((sum, line) => sum + (line.unit_price || 0) * line.quantity, 0)),
+      promo_code: invoice.promo_code,
+      promo_discount: roundAmount(lines.reduce((sum, line) => sum + line.discount, 0)),
+      shipping_charge: remainder > 0 ? remainder : 0,
+      ...summariseLines(lines),
+      issued_at: new Date(),
+    }
+  );
+  return assignDocumentNumber(creditNote, CREDIT_NOTE_NUMBER_PREFIX);
+};
@@ -0,0 +1,229 @@
+// Import required dependencies
+const mongoose = require("mongoose");
+const NdrCase = require("../models/NdrCase"); // Mongoose model for NdrCase collection
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const { getShiprocketClient } = require("./shiprocket"); // Shiprocket API client
+const { ensureShipments } = require("./shipmentService"); // Split shipments
+const { sendAlert } = require("./alertService"); // Operations alerts
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+const NDR_ACTIONS = ["reattempt", "update_address", "update_phone", "cancel"];
+
+// Tracking statuses that settle an NDR case, and how
+const NDR_OUTCOMES = {
+  Delivered: "delivered",
+  "RTO Initiated": "rto",
+  "RTO Delivered": "rto",
+  Cancelled: "cancelled",
+};
+
+const todayInIndia = () => new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 10);
+
+// Checks an action's fields and builds the Shiprocket NDR request for it
+function buildShiprocketAction({ action, address1, address2, phone, preferredDate, comments }) {
+  if (!NDR_ACTIONS.includes(action)) {
+    throw httpError(400, `action must be one of: ${NDR_ACTIONS.join(", ")}`);
+  }
+  if (preferredDate !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(preferredDate) || preferredDate < todayInIndia())) {
+    throw httpError(400, "preferredDate must be a date (YYYY-MM-DD) from today onwards");
+  }
+  if (action === "update_address" && !String(address1 || "").trim()) {
+    throw httpError(400, "address1 is required to update the address");
+  }
+  if (action === "update_phone" && !/^\d{10}$/.test(String(phone || ""))) {
+    throw httpError(400, "phone must be a 10-digit mobile number");
+  }
+
+  if (action === "cancel") {
+    return { action: "return", comments: comments || "Customer cancelled after failed delivery" };
+  }
+  return {
+    action: "re-attempt",
+    comments: comments || "Customer requested re-attempt",
+    deferredDate: preferredDate,
+    ...(action === "update_address" && { address1: address1.trim(), address2: String(address2 || "").trim() }),
+    ...(action === "update_phone" && { phone }),
+  };
+}
+
+/**
+ * Records what a forward-shipment tracking update means for NDR: an "Undelivered" update
+ * opens (or reopens) the AWB's case and alerts support; delivery, RTO or cancellation
+ * resolves it. Other updates and AWBs that are not an order's forward shipment are ignored.
+ * @param {Object} update - Tracking update.
+ * @param {string} update.awbCode - AWB the event is for.
+ * @param {string} update.status - Our shipping status (see shipmentTrackingService.mapShiprocketStatus).
+ * @param {string} [update.reason] - Why the courier could not deliver (e.g. "Customer not available").
+ * @param {string} [update.location] - Where the attempt was made.
+ * @param {Date} [update.occurredAt] - When the courier recorded the event.
+ * @returns {Promise<Object|null>} - The NdrCase touched, or null.
+ */
+exports.recordNdrTrackingUpdate = async ({ awbCode, status, reason, location, occurredAt = new Date() }) => {
+  if (NDR_OUTCOMES[status]) {
+    return NdrCase.findOneAndUpdate(
+      { awb_code: awbCode, status: { $ne: "resolved" } },
+      { $set: { status: "resolved", outcome: NDR_OUTCOMES[status], resolved_at: occurredAt } },
+      { new: true }
+    );
+  }
+  if (status !== "Undelivered") {
+    return null;
+  }
+
+  const order = await Order.findOne({ $or: [{ "shipments.awb_code": awbCode }, { awb_code: awbCode }] });
+  if (!order) {
+    return null;
+  }
+  await ensureShipments(order);
+  const shipment = order.shipments.find((s) => s.awb_code === awbCode);
+  if (!shipment) {
+    return null;
+  }
+
+  const openCase = (upsert) =>
+    NdrCase.findOneAndUpdate(
+      { awb_code: awbCode, status: { $ne: "resolved" } },
+      {
+        $setOnInsert: {
+          order: order._id,
+          shipment: shipment._id,
+          user: order.user,
+          awb_code: awbCode,
+          courier_name: shipment.courier_name,
+        },
+        $set: { status: "open" },
+        $push: { attempts: { reason, location, occurred_at: occurredAt } },
+      },
+      { upsert, new: true }
+    );
+  let ndrCase;
+  try {
+    ndrCase = await openCase(true);
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    // Either another event created the case first, or it is already resolved (a late
+    // event for a delivered or returned parcel), which stays closed
+    ndrCase = await openCase(false);
+    if (!ndrCase) {
+      return null;
+    }
+  }
+
+  await sendAlert({
+    key: `ndr:${awbCode}:${ndrCase.attempts.length}`,
+    subject: `Delivery attempt ${ndrCase.attempts.length} failed for order ${order._id}`,
+    message:
+      `AWB ${awbCode} (${shipment.courier_name || "courier"}) could not be delivered` +
+      `${reason ? `: ${reason}` : ""}${location ? ` at ${location}` : ""}. ` +
+      `Customer phone: ${order.address?.phoneNumber || "unknown"}. ` +
+      `NDR case ${ndrCase._id} is waiting for an action.`,
+  });
+  return ndrCase;
+};
+
+/**
+ * Lists NDR cases for support, most recently updated first.
+ * @param {Object} [filters] - { status (default "open"), page, limit }.
+ * @returns {Promise<Object>} - { cases, total, page, limit }.
+ * @throws {Error} - With statusCode 400 for an unknown status.
+ */
+exports.listNdrCases = async ({ status = "open", page = 1, limit = 20 } = {}) => {
+  if (!["open", "action_requested", "resolved"].includes(status)) {
+    throw httpError(400, "status must be one of: open, action_requested, resolved");
+  }
+  const pageNumber = Math.max(Number(page) || 1, 1);
+  const pageSize = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const [cases, total] = await Promise.all([
+    NdrCase.find({ status })
+      .sort({ updatedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("order", "address total_price payment_method order_status shipping_status")
+      .lean(),
+    NdrCase.countDocuments({ status }),
+  ]);
+  return { cases, total, page: pageNumber, limit: pageSize };
+};
+
+/**
+ * NDR cases of one order, newest first.
+ * @param {string} orderId - Order ID.
+ * @returns {Promise<Array<Object>>} - NdrCase documents.
+ */
+exports.getOrderNdrCases = async (orderId) => NdrCase.find({ order: orderId }).sort({ createdAt: -1 }).lean();
+
+/**
+ * Answers an open NDR case: re-attempt delivery (optionally on a preferred date), re-attempt
+ * at a corrected address or phone number, or cancel (the courier returns the parcel). The
+ * action is sent to Shiprocket's NDR API; a new address or phone is also saved on the order.
+ * @param {Object} params - Action request.
+ * @param {string} params.orderId - Order the case must belong to.
+ * @param {string} params.caseId - NdrCase ID.
+ * @param {string} params.action - "reattempt", "update_address", "update_phone" or "cancel".
+ * @param {string} [params.address1] - New address line 1 (update_address).
+ * @param {string} [params.address2] - New address line 2 (update_address).
+ * @param {string} [params.phone] - New 10-digit phone number (update_phone).
+ * @param {string} [params.preferredDate] - "YYYY-MM-DD" for the re-attempt.
+ * @param {string} [params.comments] - Note for the courier.
+ * @param {string} params.userId - Customer or support user acting on the case.
+ * @returns {Promise<Object>} - The updated NdrCase.
+ * @throws {Error} - With statusCode 400 for invalid fields, 404 if the case is not on the order,
+ *   409 if it is not waiting for an action, or the Shiprocket error if the courier rejected it.
+ */
+exports.requestNdrAction = async ({ orderId, caseId, userId, ...fields }) => {
+  if (!mongoose.Types.ObjectId.isValid(caseId)) {
+    throw httpError(400, "Invalid NDR case ID");
+  }
+  const shiprocketAction = buildShiprocketAction(fields);
+
+  // Claim the case first so two answers cannot both reach the courier
+  const ndrCase = await NdrCase.findOneAndUpdate(
+    { _id: caseId, order: orderId, status: "open" },
+    { $set: { status: "action_requested" } },
+    { new: true }
+  );
+  if (!ndrCase) {
+    const existing = await NdrCase.findOne({ _id: caseId, order: orderId }).select("status");
+    if (!existing) {
+      throw httpError(404, "NDR case not found");
+    }
+    throw httpError(409, `NDR case is ${existing.status.replace("_", " ")} and cannot take an action`);
+  }
+
+  try {
+    await getShiprocketClient().ndrAction(ndrCase.awb_code, shiprocketAction);
+  } catch (error) {
+    await NdrCase.updateOne({ _id: ndrCase._id, status: "action_requested" }, { $set: { status: "open" } });
+    console.error("Shiprocket NDR action failed:", error.response || error);
+    throw error;
+  }
+
+  if (fields.action === "update_address") {
+    await Order.updateOne(
+      { _id: orderId },
+      { $set: { "address.address": [shiprocketAction.address1, shiprocketAction.address2].filter(Boolean).join(", ") } }
+    );
+  }
+  if (fields.action === "update_phone") {
+    await Order.updateOne({ _id: orderId }, { $set: { "address.phoneNumber": fields.phone } });
+  }
+
+  return NdrCase.findByIdAndUpdate(
+    ndrCase._id,
+    {
+      $push: {
+        actions: {
+          type: fields.action,
+          comments: shiprocketAction.comments,
+          phone: shiprocketAction.phone,
+          address: shiprocketAction.address1 && { address1: shiprocketAction.address1, address2: shiprocketAction.address2 },
+          preferred_date: fields.preferredDate,
+          requested_by: userId,
+        },
+      },
+    },
+    { new: true }
+  );
+};
@@ -0,0 +1,63 @@
+// Import required dependencies
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const { releaseOrderWalletHold } = require("./walletService"); // Store credit
+const { releaseOrderGiftCardHold } = require("./giftCardService"); // Gift card balances
+const { releaseReservation } = require("./stockReservationService"); // Checkout stock holds
+
+// How long a checkout may stay unpaid before it expires, in minutes
+const PENDING_ORDER_EXPIRY_MINUTES = Number(process.env.PENDING_ORDER_EXPIRY_MINUTES || 30);
+
+/**
+ * Deadline for paying an order created (or retried) now.
+ * @returns {Date} - Time after which the unpaid order is expired by the sweep job.
+ */
+exports.getPaymentExpiry = () => new Date(Date.now() + PENDING_ORDER_EXPIRY_MINUTES * 60 * 1000);
+
+/**
+ * Expires every prepaid order whose payment window has passed.
+ * Each order is moved with a conditional update, so an order paid while the sweep
+ * runs is never expired.
+ * @param {Date} [now] - Reference time (defaults to the current time).
+ * @returns {Promise<number>} - Number of orders expired.
+ */
+exports.expirePendingOrders = async (now = new Date()) => {
+  const legacyCutoff = new Date(now.getTime() - PENDING_ORDER_EXPIRY_MINUTES * 60 * 1000);
+  const candidates = await Order.find(
+    {
+      payment_method: { $ne: "COD" },
+      payment_status: { $in: ["Pending", "Failed"] },
+      order_status: "Pending",
+      $or: [
+        { payment_expires_at: { $lte: now } },
+        // Orders created before payment_expires_at existed
+        { payment_expires_at: { $exists: false }, created_at: { $lte: legacyCutoff } },
+      ],
+    },
+    "_id"
+  );
+
+  let expired = 0;
+  for (const { _id } of candidates) {
+    const order = await Order.findOneAndUpdate(
+      { _id, payment_status: { $in: ["Pending", "Failed"] }, order_status: "Pending" },
+      { $set: { payment_status: "Expired", order_status: "Cancelled" } },
+      { new: true }
+    );
+    if (!order) {
+      continue;
+    }
+
+    // Put back what the unpaid order was holding: its stock and any gift card / wallet
+    // share (promo usage is only counted once payment succeeds)
+    try {
+      await releaseReservation(order._id, "Order payment window expired");
+      await releaseOrderGiftCardHold(order, "Order payment window expired");
+      await releaseOrderWalletHold(order, "Order payment window expired");
+    } catch (error) {
+      console.error(`Failed to release holds of expired order ${order._id}:`, error);
+    }
+    expired += 1;
+  }
+
+  return expired;
+};
@@ -0,0 +1,590 @@
+// Import required dependencies
+const mongoose = require("mongoose");
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const StockReservation = require("../models/StockReservation"); // Mongoose model for StockReservation collection
+const PromoCode = require("../models/PromoCodes"); // Mongoose model for PromoCode collection
+const { createRefund } = require("./refundService"); // Refund ledger
+const { recaptureOrderWalletHold } = require("./walletService"); // Store credit
+const { recaptureOrderGiftCardHold } = require("./giftCardService"); // Gift card balances
+const { getLineHsnCode } = require("./taxService"); // HSN codes for Shiprocket line items
+const { reserveStock, convertReservation } = require("./stockReservationService"); // Checkout stock holds
+const { runInTransaction } = require("../utils/transaction"); // MongoDB transactions
+const { getShiprocketClient } = require("./shiprocket"); // Shiprocket API client
+const { selectCourier } = require("./courierSelectionService"); // Admin courier policy
+const { getParcelForLines } = require("./packagingService"); // Box size and parcel weight
+const { ensureShipments, getUnshippedLines, refreshShipments } = require("./shipmentService"); // Split shipments
+const {
+  enqueueFulfilment,
+  finishFulfilmentJob,
+  completeFulfilmentForOrder,
+  alertWalletBlocked,
+} = require("./fulfilmentQueueService"); // Retries of failed fulfilment
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// Shiprocket needs this much in the wallet to assign AWBs, in rupees
+const SHIPROCKET_MIN_WALLET_BALANCE = Number(process.env.SHIPROCKET_MIN_WALLET_BALANCE || 100);
+
+const lineKey = (line) => `${(line.item_id?._id || line.item_id).toString()}:${line.sku}`;
+
+async function generateAWBWithCourier(shipmentId, courierId) {
+  try {
+    const awbData = await getShiprocketClient().assignAwb({ shipmentId, courierId });
+    return {
+      success: true,
+      message: "AWB generated successfully",
+      awbData,
+    };
+  } catch (error) {
+    console.error("Failed to generate AWB:", error.response || error);
+    return { success: false, message: "AWB generation failed", error: error.message, statusCode: error.statusCode };
+  }
+}
+
+async function checkShiprocketWalletBalance() {
+  try {
+    const balance = await getShiprocketClient().getWalletBalance();
+    if (balance < SHIPROCKET_MIN_WALLET_BALANCE) {
+      return {
+        success: false,
+        message: "Insufficient Shiprocket wallet balance",
+        error: `Available balance is Rs ${balance}. Minimum required balance is Rs ${SHIPROCKET_MIN_WALLET_BALANCE}.`,
+        balance,
+      };
+    }
+    return { success: true, balance };
+  } catch (error) {
+    console.error("Error checking Shiprocket wallet balance:", error);
+    return { success: false, message: "Error checking Shiprocket wallet balance", error: error.message };
+  }
+}
+
+/**
+ * Atomically moves an order from an unpaid state to "Paid".
+ * Only the first caller wins the transition, so the app's verify call and the
+ * Razorpay webhook can race without decrementing stock twice.
+ * @param {string} razorpayOrderId - Razorpay order ID stored on the Order.
+ * @param {Object} paymentFields - Extra fields to set (e.g. razorpay_payment_id, razorpay_signature).
+ * @param {Object} [options] - { session } when part of a transaction.
+ * @returns {Promise<{order: Object|null, alreadyPaid: boolean}>} - The order and whether it had already been paid.
+ */
+exports.markOrderPaid = async (razorpayOrderId, paymentFields = {}, { session } = {}) => {
+  // Earlier attempts of a retried order can still be paid late
+  const matchesOrder = {
+    $or: [{ razorpay_order_id: razorpayOrderId }, { "payment_attempts.razorpay_order_id": razorpayOrderId }],
+  };
+
+  // Pipeline update so an order expired by the sweep job is revived when its payment lands late
+  const order = await Order.findOneAndUpdate(
+    { ...matchesOrder, payment_status: { $in: ["Pending", "Failed", "Expired"] } },
+    [
+      {
+        $set: {
+          ...paymentFields,
+          razorpay_order_id: razorpayOrderId,
+          order_status: { $cond: [{ $eq: ["$payment_status", "Expired"] }, "Pending", "$order_status"] },
+          payment_status: "Paid",
+        },
+      },
+    ],
+    { new: true, session }
+  ).populate("items").populate("user");
+
+  if (order) {
+    return { order, alreadyPaid: false };
+  }
+
+  const existing = await Order.findOne(matchesOrder)
+    .session(session || null)
+    .populate("items")
+    .populate("user");
+  return { order: existing, alreadyPaid: Boolean(existing) };
+};
+
+/**
+ * Applies the inventory side effects of a paid order: promo usage, and the stock held
+ * at checkout becomes a sale.
+ * @param {Object} order - Populated Order document that has just been marked as paid.
+ * @param {Object} [options] - { session } when part of a transaction.
+ * @throws {Error} - With statusCode 409 if an item, SKU or enough stock cannot be found.
+ */
+exports.applyPaidOrderInventory = async (order, { session } = {}) => {
+  // Increment promo code usage if applied
+  if (order.promoCode) {
+    const promo = await PromoCode.findOneAndUpdate(
+      { code: order.promoCode, isActive: true },
+      { $inc: { currentUses: 1 } },
+      { new: true, session }
+    );
+    if (!promo) {
+      console.warn(`Promo code ${order.promoCode} not found or inactive during payment verification`);
+    }
+  }
+
+  // Stock held at checkout becomes a sale. Orders without a hold (COD, legacy orders,
+  // or a hold that lapsed before a late payment) take their stock now.
+  if (!(await convertReservation(order._id, { session }))) {
+    await reserveStock({
+      orderId: order._id,
+      userId: order.user?._id || order.user,
+      lines: order.item_quantities,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      pincode: order.address?.pinCode,
+      allowSplit: order.payment_method !== "COD",
+      session,
+    });
+    await convertReservation(order._id, { session });
+  }
+};
+
+// Units of each warehouse's reservation still to be shipped, as a pool later shipments draw from
+async function getWarehousePool(order) {
+  const reservation = await StockReservation.findOne({ order: order._id }).populate("lines.warehouse");
+  const pool = (reservation?.lines || []).map((line) => ({
+    key: lineKey(line),
+    warehouse: line.warehouse || null,
+    remaining: line.quantity,
+  }));
+  for (const shipment of order.shipments.filter((s) => s.shipping_status !== "Cancelled")) {
+    for (const line of shipment.lines) {
+      let quantity = line.quantity;
+      for (const entry of pool) {
+        if (entry.key === lineKey(line) && String(entry.warehouse?._id || null) === String(shipment.warehouse || null)) {
+          const used = Math.min(quantity, entry.remaining);
+          entry.remaining -= used;
+          quantity -= used;
+        }
+      }
+    }
+  }
+  return pool;
+}
+
+// Splits lines into one group per warehouse their stock was held at. Lines not held at a
+// warehouse go with the first group (they ship from wherever the order goes).
+async function groupLinesByWarehouse(order, lines) {
+  const pool = await getWarehousePool(order);
+  const groups = new Map();
+  const addToGroup = (warehouse, line, quantity) => {
+    const id = String(warehouse?._id || "default");
+    if (!groups.has(id)) {
+      groups.set(id, { warehouse, lines: [] });
+    }
+    const group = groups.get(id);
+    const existing = group.lines.find((l) => lineKey(l) === lineKey(line));
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      group.lines.push({ item_id: line.item_id, sku: line.sku, quantity });
+    }
+  };
+
+  for (const line of lines) {
+    let quantity = line.quantity;
+    for (const entry of pool.filter((e) => e.key === lineKey(line) && e.remaining > 0 && e.warehouse)) {
+      const used = Math.min(quantity, entry.remaining);
+      entry.remaining -= used;
+      quantity -= used;
+      addToGroup(entry.warehouse, line, used);
+      if (quantity === 0) {
+        break;
+      }
+    }
+    if (quantity > 0) {
+      addToGroup(null, line, quantity);
+    }
+  }
+
+  const unallocated = groups.get("default");
+  const warehouseGroups = [...groups.values()].filter((group) => group.warehouse);
+  if (unallocated && warehouseGroups.length > 0) {
+    unallocated.lines.forEach((line) => {
+      const target = warehouseGroups[0].lines.find((l) => lineKey(l) === lineKey(line));
+      if (target) {
+        target.quantity += line.quantity;
+      } else {
+        warehouseGroups[0].lines.push(line);
+      }
+    });
+    return warehouseGroups;
+  }
+  return [...groups.values()];
+}
+
+// Value of some order lines, as their share of what the customer paid (after promo, before COD fee)
+function getShipmentValue(order, lines) {
+  const unitPrice = (line) => order.item_quantities.find((l) => lineKey(l) === lineKey(line))?.unit_price || 0;
+  const orderValue = order.item_quantities.reduce((sum, line) => sum + (line.unit_price || 0) * line.quantity, 0);
+  const paid = order.total_price - (order.cod_fee || 0);
+  if (orderValue <= 0) {
+    return paid;
+  }
+  const value = lines.reduce((sum, line) => sum + unitPrice(line) * line.quantity, 0);
+  return Math.round((paid * value * 100) / orderValue) / 100;
+}
+
+// Assigns the AWB of a shipment already created in Shiprocket and stores it on the shipment
+async function assignShipmentAwb(order, shipment) {
+  const awbResponse = await generateAWBWithCourier(
+    shipment.shiprocket_shipment_id,
+    shipment.courier_selection?.courier_company_id
+  );
+  if (!awbResponse.success) {
+    console.error("AWB generation failed:", awbResponse.error);
+    return {
+      shipmentId: shipment._id,
+      shiprocketOrderId: shipment.shiprocket_orderId,
+      awbCode: null,
+      error: awbResponse.error,
+      walletBlocked: awbResponse.statusCode === 402,
+    };
+  }
+
+  const awbData = awbResponse.awbData;
+  if (!awbData || !awbData.awb_code) {
+    console.error("Invalid AWB data structure:", awbData);
+    throw new Error("Failed to retrieve AWB code");
+  }
+  const trackingUrl = `https://shiprocket.co/tracking/${awbData.awb_code}`;
+  await Order.updateOne(
+    { _id: order._id, "shipments._id": shipment._id },
+    {
+      $set: {
+        "shipments.$.awb_code": awbData.awb_code,
+        "shipments.$.shiprocket_shipment_id": awbData.shipment_id,
+        "shipments.$.tracking_url": trackingUrl,
+        "shipments.$.courier_company_id": awbData.courier_company_id,
+        "shipments.$.courier_name": awbData.courier_name,
+        "shipments.$.freight_charges": awbData.freight_charges,
+        "shipments.$.applied_weight": awbData.applied_weight,
+        "shipments.$.routing_code": awbData.routing_code,
+        "shipments.$.invoice_no": awbData.invoice_no,
+        "shipments.$.shipped_by": awbData.shipped_by,
+      },
+    }
+  );
+  return {
+    shipmentId: shipment._id,
+    shiprocketOrderId: shipment.shiprocket_orderId,
+    awbCode: awbData.awb_code,
+    trackingUrl,
+  };
+}
+
+// Creates the Shiprocket order for one group of lines and records it as a shipment of the order
+async function createShipment(order, { warehouse, lines }, channelOrderId) {
+  const parcel = await getParcelForLines(lines);
+
+  const shiprocketData = await getShiprocketClient().createAdhocOrder({
+    order_id: channelOrderId,
+    order_date: new Date().toISOString(),
+    pickup_location: warehouse?.pickup_location || process.env.SHIPROCKET_PICKUP_LOCATION || "warehouse",
+    billing_customer_name: order.address.firstName || "Guest",
+    billing_last_name: order.address.lastName || "N/A",
+    billing_address: order.address.address,
+    billing_city: order.address.city,
+    billing_pincode: order.address.pinCode,
+    billing_state: order.address.state,
+    billing_country: order.address.country || "India",
+    billing_email: order.user?.email || "customer@example.com",
+    billing_phone: order.user?.phNo || "9999999999",
+    shipping_is_billing: true,
+    payment_method: order.payment_method === "COD" ? "COD" : "Prepaid",
+    // For COD (always one shipment) the courier collects sub_total + transaction_charges, i.e. the full order total
+    sub_total: getShipmentValue(order, lines),
+    transaction_charges: order.payment_method === "COD" ? order.cod_fee || 0 : 0,
+    length: parcel.length,
+    breadth: parcel.breadth,
+    height: parcel.height,
+    weight: parcel.weight,
+    order_items: lines.map((line) => {
+      const entry = order.item_quantities.find((l) => lineKey(l) === lineKey(line));
+      const item = order.items.find((i) => i._id.toString() === line.item_id.toString());
+      return {
+        name: item ? item.name : "Unknown Item",
+        sku: line.sku,
+        units: line.quantity,
+        selling_price: entry?.unit_price ?? (item ? item.price : 0),
+        hsn: getLineHsnCode(entry || line, item),
+        ...(entry?.tax?.gst_rate !== undefined && { tax: entry.tax.gst_rate }),
+      };
+    }),
+  });
+
+  const courierSelection = await selectCourier({
+    pickupPincode: warehouse?.address.pincode,
+    pincode: order.address.pinCode,
+    weight: parcel.chargeableWeight,
+    cod: order.payment_method === "COD",
+    express: order.shipping_service_level === "express",
+  });
+  const shipment = {
+    _id: new mongoose.Types.ObjectId(),
+    lines,
+    warehouse: warehouse?._id || null,
+    shiprocket_orderId: shiprocketData.order_id,
+    shiprocket_shipment_id: shiprocketData.shipment_id,
+    courier_selection: courierSelection,
+    parcel: {
+      box: parcel.box,
+      length: parcel.length,
+      breadth: parcel.breadth,
+      height: parcel.height,
+      weight: parcel.weight,
+      volumetric_weight: parcel.volumetricWeight,
+      chargeable_weight: parcel.chargeableWeight,
+    },
+  };
+  await Order.updateOne({ _id: order._id }, { $push: { shipments: shipment } });
+  return assignShipmentAwb(order, shipment);
+}
+
+// Matches requested [{ sku, quantity }] against the units still to ship
+function resolveRequestedLines(order, requested) {
+  if (order.payment_method === "COD") {
+    throw httpError(400, "COD orders ship in a single shipment");
+  }
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw httpError(400, "lines must be a non-empty array of { sku, quantity }");
+  }
+  const quantities = new Map();
+  for (const line of requested) {
+    quantities.set(line.sku, (quantities.get(line.sku) || 0) + Number(line.quantity));
+  }
+  const unshipped = getUnshippedLines(order);
+  return [...quantities].map(([sku, quantity]) => {
+    const match = unshipped.find((l) => l.sku === sku);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > (match?.quantity || 0)) {
+      throw httpError(400, `SKU ${sku} has ${match?.quantity || 0} unit(s) left to ship`);
+    }
+    return { item_id: match.item_id, sku, quantity };
+  });
+}
+
+/**
+ * Ships a paid order through Shiprocket: one shipment (Shiprocket order + AWB) per warehouse
+ * its stock was held at. Only units not yet in a shipment are shipped, and shipments whose
+ * AWB assignment failed earlier are retried, so calling it again completes a partial run.
+ * @param {Object} order - Populated Order document (items and user).
+ * @param {Object} [options] - { lines: [{ sku, quantity }] } to ship only some units now (not for COD).
+ * @returns {Promise<Object>} - { success, message, shiprocketOrderId, awbCode (first shipment),
+ *   shipments: [{ shipmentId, shiprocketOrderId, awbCode, trackingUrl }] }. success is false if any
+ *   shipment is still without an AWB.
+ * @throws {Error} - If Shiprocket authentication or order creation fails; with statusCode 400 for
+ *   invalid lines.
+ */
+exports.fulfilOrderWithShiprocket = async (order, { lines } = {}) => {
+  await ensureShipments(order);
+  const toShip = lines ? resolveRequestedLines(order, lines) : getUnshippedLines(order);
+
+  const results = [];
+  try {
+    // Shipments created earlier whose AWB assignment failed get another try first
+    const awaitingAwb = order.shipments.filter(
+      (shipment) => shipment.shiprocket_shipment_id && !shipment.awb_code && shipment.shipping_status !== "Cancelled"
+    );
+    for (const shipment of awaitingAwb) {
+      results.push(await assignShipmentAwb(order, shipment));
+    }
+
+    // The first shipment keeps the plain order ID as its Shiprocket channel order ID
+    let shipmentNumber = order.shipments.length;
+    for (const group of toShip.length > 0 ? await groupLinesByWarehouse(order, toShip) : []) {
+      shipmentNumber += 1;
+      const channelOrderId = shipmentNumber === 1 ? order._id.toString() : `${order._id}-${shipmentNumber}`;
+      results.push(await createShipment(order, group, channelOrderId));
+    }
+  } finally {
+    await refreshShipments(order);
+  }
+
+  const success = results.every((result) => result.awbCode);
+  const [first] = results;
+  return {
+    success,
+    message: success
+      ? `Payment verified, ${results.length} Shiprocket shipment(s) created & AWB generated!`
+      : "Payment verified and Shiprocket order created, but AWB generation failed",
+    shiprocketOrderId: first?.shiprocketOrderId,
+    awbCode: first?.awbCode || "AWB generation failed",
+    shipments: results,
+  };
+};
+
+/**
+ * Records a captured payment. In one transaction the order becomes Paid, any gift card /
+ * wallet share released while it sat unpaid is taken again, its promo use is counted and
+ * its stock becomes a sale; if any of that fails nothing is applied. When the order cannot
+ * be honoured (stock or store credit gone) the payment is recorded, the order cancelled
+ * and what was collected refunded before the error is rethrown.
+ * Shiprocket is not involved; call fulfilPaidOrder once this returns.
+ * @param {string} razorpayOrderId - Razorpay order ID stored on the Order.
+ * @param {Object} paymentFields - Extra fields to set (e.g. razorpay_payment_id, razorpay_signature).
+ * @returns {Promise<{order: Object|null, alreadyPaid: boolean}>} - As markOrderPaid.
+ * @throws {Error} - With statusCode 400/409 when the order was cancelled and refunded; any
+ *   other error means nothing was applied and the call can be retried.
+ */
+exports.settlePaidOrder = async (razorpayOrderId, paymentFields = {}) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      const marked = await exports.markOrderPaid(razorpayOrderId, paymentFields, { session });
+      if (marked.order && !marked.alreadyPaid) {
+        // A late payment revived an expired order whose gift card / wallet share was given back
+        await recaptureOrderGiftCardHold(marked.order, { session });
+        await recaptureOrderWalletHold(marked.order, { session });
+        await exports.applyPaidOrderInventory(marked.order, { session });
+      }
+      return marked;
+    });
+    // Detach the document from the finished session so it can be saved later
+    result.order?.$session(null);
+    return result;
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+
+    // The money was taken but the order cannot be honoured
+    console.error("Paid order cannot be fulfilled:", error);
+    const { order, alreadyPaid } = await exports.markOrderPaid(razorpayOrderId, paymentFields);
+    if (!order || alreadyPaid) {
+      throw error;
+    }
+    order.order_status = "Cancelled";
+    await Order.updateOne({ _id: order._id }, { $set: { order_status: "Cancelled" } });
+
+    // Refund the payment; store credit still released was never taken again
+    const notCollected =
+      (order.gift_card_released_at ? order.gift_card_amount : 0) +
+      (order.wallet_released_at ? order.wallet_amount : 0);
+    const refundable = order.total_price - notCollected - (order.amount_refunded || 0);
+    if (refundable > 0) {
+      try {
+        const refund = await createRefund({
+          order,
+          amount: refundable,
+          type: error.message.includes("Insufficient stock") ? "stock_shortage" : "cancellation",
+          reason: error.message,
+        });
+        console.log("Refund initiated for unfulfillable paid order:", refund);
+      } catch (refundError) {
+        console.error("Refund failed:", refundError);
+      }
+    }
+    throw error;
+  }
+};
+
+// Records a failed attempt on the order, alerting when the Shiprocket wallet is what blocked it
+async function recordFulfilmentFailure(order, error) {
+  console.error(`Shiprocket fulfilment failed for order ${order._id}:`, error);
+  order.fulfilment_error = error.message;
+  order.fulfilment_failed_at = new Date();
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { fulfilment_error: order.fulfilment_error, fulfilment_failed_at: order.fulfilment_failed_at } }
+  );
+  if (error.statusCode === 402) {
+    await alertWalletBlocked({ orderId: order._id, message: error.message });
+  }
+}
+
+async function clearFulfilmentFailure(order) {
+  if (order.fulfilment_error) {
+    order.fulfilment_error = null;
+    await Order.updateOne({ _id: order._id }, { $set: { fulfilment_error: null } });
+  }
+}
+
+/**
+ * One fulfilment attempt: checks the Shiprocket wallet can pay for the AWBs, then ships the
+ * order. Unlike fulfilPaidOrder it records nothing and queues nothing.
+ * @param {Object} order - Populated Order document (items and user).
+ * @param {Object} [options] - Passed to fulfilOrderWithShiprocket.
+ * @returns {Promise<Object>} - The fulfilOrderWithShiprocket result (always successful).
+ * @throws {Error} - With statusCode 402 when the wallet balance blocks shipping, or the
+ *   Shiprocket error (502 when a shipment is left without an AWB).
+ */
+exports.attemptFulfilment = async (order, options = {}) => {
+  const wallet = await checkShiprocketWalletBalance();
+  // Only a known low balance blocks; if the check itself failed, let Shiprocket decide
+  if (!wallet.success && wallet.balance !== undefined) {
+    throw httpError(402, `${wallet.message}. ${wallet.error}`);
+  }
+
+  const fulfilment = await exports.fulfilOrderWithShiprocket(order, options);
+  if (!fulfilment.success) {
+    const failed = fulfilment.shipments.filter((shipment) => !shipment.awbCode);
+    throw httpError(
+      failed.some((shipment) => shipment.walletBlocked) ? 402 : 502,
+      `${fulfilment.message}: ${failed.map((shipment) => shipment.error).join("; ")}`
+    );
+  }
+  return fulfilment;
+};
+
+/**
+ * Creates the Shiprocket shipment for an order whose payment (or COD placement) is already
+ * committed. A Shiprocket failure is recorded on the order and queued for retry (see
+ * fulfilmentQueueService), and never undoes the payment or stock changes. A partial dispatch
+ * that fails is not queued; the admin retries it.
+ * @param {Object} order - Populated Order document (items and user).
+ * @param {Object} [options] - Passed to fulfilOrderWithShiprocket ({ lines } for a partial dispatch).
+ * @returns {Promise<Object>} - The Shiprocket fulfilment result, or { success: false, message, error, queued }.
+ * @throws {Error} - With statusCode 400 for invalid lines (nothing is recorded on the order).
+ */
+exports.fulfilPaidOrder = async (order, options = {}) => {
+  // Invalid lines are the caller's mistake, not a Shiprocket failure to record on the order
+  if (options.lines) {
+    await ensureShipments(order);
+    resolveRequestedLines(order, options.lines);
+  }
+  try {
+    const fulfilment = await exports.attemptFulfilment(order, options);
+    await clearFulfilmentFailure(order);
+    await completeFulfilmentForOrder(order._id);
+    return fulfilment;
+  } catch (error) {
+    await recordFulfilmentFailure(order, error);
+    const queued = !options.lines;
+    if (queued) {
+      await enqueueFulfilment(order._id, error);
+    }
+    return {
+      success: false,
+      message:
+        error.statusCode === 402
+          ? "Order confirmed; it will ship once the Shiprocket wallet is recharged"
+          : "Order confirmed, but the Shiprocket order could not be created yet",
+      error: error.message,
+      queued,
+    };
+  }
+};
+
+/**
+ * Runs a job claimed from the fulfilment queue: ships the order if it still needs shipping
+ * and records the outcome on the job and the order.
+ * @param {Object} job - FulfilmentJob from claimNextFulfilmentJob.
+ * @returns {Promise<Object|null>} - The updated job (null if it was taken over meanwhile).
+ */
+exports.processFulfilmentJob = async (job) => {
+  const order = await Order.findById(job.order).populate("items").populate("user");
+  if (!order) {
+    return finishFulfilmentJob(job, { status: "cancelled", reason: "Order no longer exists" });
+  }
+  if (!["Paid", "COD Pending"].includes(order.payment_status) || order.order_status === "Cancelled") {
+    return finishFulfilmentJob(job, {
+      status: "cancelled",
+      reason: `Order is ${order.order_status} with payment ${order.payment_status}`,
+    });
+  }
+
+  try {
+    await exports.attemptFulfilment(order);
+  } catch (error) {
+    await recordFulfilmentFailure(order, error);
+    return finishFulfilmentJob(job, { error });
+  }
+  await clearFulfilmentFailure(order);
+  return finishFulfilmentJob(job, { status: "completed" });
+};
@@ -0,0 +1,135 @@
+// Import required dependencies
+const ItemDetails = require("../models/ItemDetails"); // Mongoose model for ItemDetails collection
+
+// Couriers bill the greater of dead weight and L x B x H (cm) / divisor; Shiprocket uses 5000
+const VOLUMETRIC_DIVISOR = Number(process.env.VOLUMETRIC_DIVISOR || 5000);
+
+// Used for items without dimensions in ItemDetails (cm / kg)
+const DEFAULT_UNIT_DIMENSIONS = { length: 10, breadth: 10, height: 10, weight: 0.5 };
+
+// Items never fill a box completely; leave room for folding and padding
+const BOX_FILL_RATIO = 0.85;
+
+// Boxes we pack into, in cm and kg; override with PACKAGING_BOXES (a JSON array of the same shape)
+const DEFAULT_PACKAGING_BOXES = [
+  { name: "S", length: 25, breadth: 20, height: 5, tareWeight: 0.05, maxWeight: 2 },
+  { name: "M", length: 35, breadth: 25, height: 10, tareWeight: 0.1, maxWeight: 5 },
+  { name: "L", length: 45, breadth: 35, height: 15, tareWeight: 0.2, maxWeight: 10 },
+  { name: "XL", length: 60, breadth: 40, height: 30, tareWeight: 0.35, maxWeight: 20 },
+];
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const positive = (value) => (Number(value) > 0 ? Number(value) : null);
+
+// Box edges sorted longest first, so a unit fits if each of its sorted edges fits
+const sortedEdges = ({ length, breadth, height }) => [length, breadth, height].sort((a, b) => b - a);
+
+function loadPackagingBoxes() {
+  if (!process.env.PACKAGING_BOXES) {
+    return DEFAULT_PACKAGING_BOXES;
+  }
+  try {
+    const boxes = JSON.parse(process.env.PACKAGING_BOXES);
+    const valid =
+      Array.isArray(boxes) &&
+      boxes.length > 0 &&
+      boxes.every((box) => box.name && positive(box.length) && positive(box.breadth) && positive(box.height));
+    if (!valid) {
+      throw new Error("every box needs a name, length, breadth and height");
+    }
+    return boxes;
+  } catch (error) {
+    console.error(`Invalid PACKAGING_BOXES (${error.message}); using the default boxes`);
+    return DEFAULT_PACKAGING_BOXES;
+  }
+}
+
+// Smallest first, so the first box that fits is the one to use
+const PACKAGING_BOXES = loadPackagingBoxes()
+  .map((box) => ({ ...box, volume: box.length * box.breadth * box.height }))
+  .sort((a, b) => a.volume - b.volume);
+
+/**
+ * Works out the parcel for a set of units: the smallest configured box they fit in, or a
+ * stacked parcel when no box is big enough, with its dead, volumetric and chargeable weight.
+ * @param {Array<Object>} units - [{ dimensions: { length, breadth (or width), height, weight }, quantity }].
+ *   Dimensions are per unit in cm and kg; missing values fall back to a 10 cm / 0.5 kg unit.
+ * @returns {Object} - { box, length, breadth, height, weight, volumetricWeight, chargeableWeight }.
+ */
+exports.calculateParcel = (units) => {
+  const pieces = units
+    .filter((unit) => Number(unit.quantity) > 0)
+    .map((unit) => {
+      const dimensions = unit.dimensions || {};
+      return {
+        length: positive(dimensions.length) || DEFAULT_UNIT_DIMENSIONS.length,
+        breadth: positive(dimensions.breadth) || positive(dimensions.width) || DEFAULT_UNIT_DIMENSIONS.breadth,
+        height: positive(dimensions.height) || DEFAULT_UNIT_DIMENSIONS.height,
+        weight: positive(dimensions.weight) || DEFAULT_UNIT_DIMENSIONS.weight,
+        quantity: Number(unit.quantity),
+      };
+    });
+  if (pieces.length === 0) {
+    pieces.push({ ...DEFAULT_UNIT_DIMENSIONS, quantity: 1 });
+  }
+
+  const itemsVolume = pieces.reduce((sum, piece) => sum + piece.length * piece.breadth * piece.height * piece.quantity, 0);
+  const itemsWeight = pieces.reduce((sum, piece) => sum + piece.weight * piece.quantity, 0);
+
+  const box = PACKAGING_BOXES.find((candidate) => {
+    const boxEdges = sortedEdges(candidate);
+    const everyUnitFits = pieces.every((piece) => sortedEdges(piece).every((edge, i) => edge <= boxEdges[i]));
+    const withinWeight = !candidate.maxWeight || itemsWeight + (candidate.tareWeight || 0) <= candidate.maxWeight;
+    return everyUnitFits && withinWeight && itemsVolume <= candidate.volume * BOX_FILL_RATIO;
+  });
+
+  let parcel;
+  if (box) {
+    parcel = {
+      box: box.name,
+      length: box.length,
+      breadth: box.breadth,
+      height: box.height,
+      weight: itemsWeight + (box.tareWeight || 0),
+    };
+  } else {
+    // Too big for any box: lay units flat on their largest face and stack them
+    const edges = pieces.map((piece) => ({ edges: sortedEdges(piece), quantity: piece.quantity }));
+    parcel = {
+      box: null,
+      length: Math.max(...edges.map((piece) => piece.edges[0])),
+      breadth: Math.max(...edges.map((piece) => piece.edges[1])),
+      height: edges.reduce((sum, piece) => sum + piece.edges[2] * piece.quantity, 0),
+      weight: itemsWeight,
+    };
+  }
+
+  const volumetricWeight = (parcel.length * parcel.breadth * parcel.height) / VOLUMETRIC_DIVISOR;
+  return {
+    box: parcel.box,
+    length: roundTo(parcel.length, 1),
+    breadth: roundTo(parcel.breadth, 1),
+    height: roundTo(parcel.height, 1),
+    weight: roundTo(parcel.weight, 3),
+    volumetricWeight: roundTo(volumetricWeight, 3),
+    chargeableWeight: roundTo(Math.max(parcel.weight, volumetricWeight), 3),
+  };
+};
+
+/**
+ * Parcel for order or cart lines, using each item's dimensions from ItemDetails.
+ * @param {Array<Object>} lines - [{ item_id (ID or populated Item), quantity }].
+ * @returns {Promise<Object>} - See calculateParcel.
+ */
+exports.getParcelForLines = async (lines) => {
+  const itemIds = [...new Set(lines.map((line) => (line.item_id?._id || line.item_id).toString()))];
+  const details = await ItemDetails.find({ items: { $in: itemIds } }).select("items dimensions").lean();
+  const dimensionsByItem = new Map(details.map((detail) => [detail.items.toString(), detail.dimensions]));
+
+  return exports.calculateParcel(
+    lines.map((line) => ({
+      dimensions: dimensionsByItem.get((line.item_id?._id || line.item_id).toString()),
+      quantity: line.quantity,
+    }))
+  );
+};
@@ -0,0 +1,165 @@
+// Import required dependencies
+const crypto = require("crypto"); // For HMAC signatures
+const { httpError } = require("../../utils/httpError"); // Errors carrying an HTTP status
+
+// Build an error shaped like the ones thrown by the Razorpay SDK
+const gatewayError = (statusCode, description) =>
+  httpError(statusCode, description, { error: { code: "BAD_REQUEST_ERROR", description } });
+
+/**
+ * Creates a deterministic, in-process payment provider for local development.
+ * IDs are sequential and signatures use a fixed secret, so checkout, cancel and
+ * return flows can run end to end without any network access.
+ * @param {Object} [config] - Provider configuration.
+ * @param {string} [config.secret] - Secret used for payment and webhook signatures.
+ * @returns {Object} - Payment provider with the same interface as the Razorpay provider,
+ *   plus simulatePayment and signWebhookPayload helpers.
+ */
+exports.createFakeProvider = ({ secret = "fake_secret" } = {}) => {
+  const orders = new Map();
+  const payments = new Map();
+  let sequence = 0;
+
+  const nextId = (prefix) => `${prefix}_fake_${String(++sequence).padStart(6, "0")}`;
+  const sign = (value) => crypto.createHmac("sha256", secret).update(value).digest("hex");
+
+  const getPayment = (paymentId) => {
+    const payment = payments.get(paymentId);
+    if (!payment) {
+      throw gatewayError(404, `Payment ${paymentId} does not exist`);
+    }
+    return payment;
+  };
+
+  return {
+    name: "fake",
+    keyId: "rzp_test_fake",
+
+    createOrder: async ({ amount, currency = "INR", receipt, notes = {} }) => {
+      if (!Number.isInteger(amount) || amount < 100) {
+        throw gatewayError(400, "Order amount must be an integer of at least 100 paise");
+      }
+      const order = {
+        id: nextId("order"),
+        entity: "order",
+        amount,
+        amount_paid: 0,
+        amount_due: amount,
+        currency,
+        receipt,
+        notes,
+        status: "created",
+        attempts: 0,
+        created_at: Math.floor(Date.now() / 1000),
+      };
+      orders.set(order.id, order);
+      return { ...order };
+    },
+
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+      sign(`${orderId}|${paymentId}`) === signature,
+
+    verifyWebhookSignature: (rawBody, signature) =>
+      Boolean(rawBody) && sign(rawBody) === signature,
+
+    capturePayment: async (paymentId, amount) => {
+      const payment = getPayment(paymentId);
+      if (payment.status !== "authorized") {
+        throw gatewayError(400, "This payment has already been captured");
+      }
+      if (amount !== payment.amount) {
+        throw gatewayError(400, "Capture amount must be equal to the amount authorized");
+      }
+      payment.status = "captured";
+      payment.captured = true;
+      return { ...payment };
+    },
+
+    refundPayment: async (paymentId, { amount, notes = {} } = {}) => {
+      const payment = getPayment(paymentId);
+      if (payment.status !== "captured" && payment.status !== "refunded") {
+        throw gatewayError(400, "Only captured payments can be refunded");
+      }
+      const refundable = payment.amount - payment.amount_refunded;
+      const refundAmount = amount === undefined ? refundable : amount;
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw gatewayError(400, "The refund amount provided is greater than amount captured");
+      }
+      payment.amount_refunded += refundAmount;
+      payment.refund_status = payment.amount_refunded === payment.amount ? "full" : "partial";
+      if (payment.refund_status === "full") {
+        payment.status = "refunded";
+      }
+      return {
+        id: nextId("rfnd"),
+        entity: "refund",
+        amount: refundAmount,
+        currency: payment.currency,
+        payment_id: paymentId,
+        notes,
+        status: "processed",
+        created_at: Math.floor(Date.now() / 1000),
+      };
+    },
+
+    fetchPayment: async (paymentId) => ({ ...getPayment(paymentId) }),
+
+    fetchOrder: async (orderId) => {
+      const order = orders.get(orderId);
+      if (!order) {
+        throw gatewayError(404, `Order ${orderId} does not exist`);
+      }
+      return { ...order };
+    },
+
+    /**
+     * Pays a fake order the way the Razorpay checkout would, returning the
+     * fields the app posts to verify-payment.
+     * @param {string} orderId - Fake order ID returned by createOrder.
+     * @param {Object} [options] - { fail: true } to simulate a declined payment, { capture: false } to leave it authorized.
+     * @returns {Promise<Object>} - { razorpay_order_id, razorpay_payment_id, razorpay_signature, status }.
+     */
+    simulatePayment: async (orderId, { fail = false, capture = true } = {}) => {
+      const order = orders.get(orderId);
+      if (!order) {
+        throw gatewayError(404, `Order ${orderId} does not exist`);
+      }
+      if (order.status === "paid") {
+        throw gatewayError(400, "Order has already been paid");
+      }
+
+      order.attempts += 1;
+      const status = fail ? "failed" : capture ? "captured" : "authorized";
+      const payment = {
+        id: nextId("pay"),
+        entity: "payment",
+        amount: order.amount,
+        currency: order.currency,
+        order_id: orderId,
+        status,
+        captured: status === "captured",
+        amount_refunded: 0,
+        refund_status: null,
+        method: "upi",
+        created_at: Math.floor(Date.now() / 1000),
+      };
+      payments.set(payment.id, payment);
+
+      if (!fail) {
+        order.status = "paid";
+        order.amount_paid = order.amount;
+        order.amount_due = 0;
+      }
+
+      return {
+        razorpay_order_id: orderId,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: sign(`${orderId}|${payment.id}`),
+        status,
+      };
+    },
+
+    // Signs a webhook body with the fake secret so local webhook calls pass verification
+    signWebhookPayload: (rawBody) => sign(rawBody),
+  };
+};
@@ -0,0 +1,41 @@
+// Import provider factories
+const { createRazorpayProvider } = require("./razorpayProvider");
+const { createFakeProvider } = require("./fakeProvider");
+
+let provider = null;
+
+/**
+ * Returns the configured payment provider (created once per process).
+ * PAYMENT_PROVIDER=fake selects the in-process fake; anything else uses Razorpay with
+ * RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET.
+ * @returns {Object} - Payment provider implementing createOrder, verifyPaymentSignature,
+ *   verifyWebhookSignature, capturePayment, refundPayment, fetchPayment and fetchOrder.
+ * @throws {Error} - If the Razorpay credentials are not set.
+ */
+exports.getPaymentProvider = () => {
+  if (provider) {
+    return provider;
+  }
+
+  if (process.env.PAYMENT_PROVIDER === "fake") {
+    provider = createFakeProvider({ secret: process.env.FAKE_PAYMENT_SECRET });
+  } else {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+      throw new Error("Razorpay credentials are not configured (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET)");
+    }
+    provider = createRazorpayProvider({
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    });
+  }
+  return provider;
+};
+
+/**
+ * Overrides the active provider (e.g. to inject a fake in scripts).
+ * @param {Object|null} override - Provider instance, or null to fall back to configuration.
+ */
+exports.setPaymentProvider = (override) => {
+  provider = override;
+};
@@ -0,0 +1,62 @@
+// Import required dependencies
+const Razorpay = require("razorpay"); // Razorpay Node.js SDK
+const crypto = require("crypto"); // For HMAC signature checks
+
+// Compare two hex signatures without leaking timing information
+function safeEqual(expected, received) {
+  const expectedBuffer = Buffer.from(String(expected));
+  const receivedBuffer = Buffer.from(String(received || ""));
+  return (
+    expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+  );
+}
+
+/**
+ * Creates the Razorpay implementation of the payment provider interface.
+ * @param {Object} config - Provider configuration.
+ * @param {string} config.keyId - Razorpay Key ID.
+ * @param {string} config.keySecret - Razorpay Key Secret (also signs checkout callbacks).
+ * @param {string} [config.webhookSecret] - Secret configured for the Razorpay webhook.
+ * @returns {Object} - Payment provider with createOrder, verifyPaymentSignature, verifyWebhookSignature,
+ *   capturePayment, refundPayment, fetchPayment and fetchOrder.
+ */
+exports.createRazorpayProvider = ({ keyId, keySecret, webhookSecret }) => {
+  const client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+  return {
+    name: "razorpay",
+    keyId,
+
+    // amount is in paise
+    createOrder: ({ amount, currency = "INR", receipt, notes }) =>
+      client.orders.create({ amount, currency, receipt, notes, payment_capture: 1 }),
+
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) => {
+      const expected = crypto
+        .createHmac("sha256", keySecret)
+        .update(`${orderId}|${paymentId}`)
+        .digest("hex");
+      return safeEqual(expected, signature);
+    },
+
+    verifyWebhookSignature: (rawBody, signature) => {
+      if (!webhookSecret || !rawBody) {
+        return false;
+      }
+      const expected = crypto.createHmac("sha256", webhookSecret).update(rawBody).digest("hex");
+      return safeEqual(expected, signature);
+    },
+
+    capturePayment: (paymentId, amount, currency = "INR") =>
+      client.payments.capture(paymentId, amount, currency),
+
+    // amount is in paise; omit it to refund the full captured amount
+    refundPayment: (paymentId, { amount, notes, speed = "optimum" } = {}) =>
+      client.payments.refund(paymentId, { amount, notes, speed }),
+
+    fetchPayment: (paymentId) => client.payments.fetch(paymentId),
+
+    fetchOrder: (orderId) => client.orders.fetch(orderId),
+  };
+};
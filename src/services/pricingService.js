@@ -0,0 +1,107 @@
+// Import required dependencies
+const PriceList = require("../models/PriceList"); // Mongoose model for PriceList collection
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toIdString = (value) => (value?._id || value)?.toString();
+
+/**
+ * Price lists running at a given moment.
+ * @param {Date} [now] - Point in time (defaults to now).
+ * @returns {Promise<Array<Object>>} - Active PriceList documents (lean).
+ */
+exports.getActivePriceLists = async (now = new Date()) =>
+  PriceList.find({ isActive: true, startDate: { $lte: now }, endDate: { $gt: now } }).lean();
+
+/**
+ * Whether a price list targets an item (directly, by subcategory or by filter).
+ * @param {Object} priceList - PriceList document.
+ * @param {Object} item - Item document (subCategoryId may be populated).
+ * @returns {boolean}
+ */
+exports.priceListMatchesItem = (priceList, item) => {
+  const itemId = toIdString(item);
+  const subCategoryId = toIdString(item.subCategoryId);
+  const targets = priceList.targets || {};
+
+  if ((targets.items || []).some((id) => toIdString(id) === itemId)) {
+    return true;
+  }
+  if ((targets.subCategories || []).some((id) => toIdString(id) === subCategoryId)) {
+    return true;
+  }
+  // Filter keys and values compare case-insensitively, as getItemsByFilter does
+  return (targets.filters || []).some((target) =>
+    (item.filters || []).some(
+      (filter) =>
+        filter.key?.toLowerCase() === target.key.toLowerCase() &&
+        filter.value?.toLowerCase() === target.value.toLowerCase()
+    )
+  );
+};
+
+/**
+ * Price of an item under one price list.
+ * @param {Object} priceList - PriceList document.
+ * @param {number} price - The item's list price.
+ * @returns {number} - Sale price in rupees (never below zero or above the list price).
+ */
+exports.applyPriceList = (priceList, price) => {
+  let salePrice = price;
+  if (priceList.adjustmentType === "percentage") {
+    salePrice = price * (1 - priceList.adjustmentValue / 100);
+  } else if (priceList.adjustmentType === "fixed") {
+    salePrice = price - priceList.adjustmentValue;
+  } else if (priceList.adjustmentType === "fixed_price") {
+    salePrice = priceList.adjustmentValue;
+  }
+  return roundAmount(Math.min(Math.max(salePrice, 0), price));
+};
+
+/**
+ * Effective price of an item: its discountPrice when set, lowered further by the
+ * highest-priority active price list that targets it.
+ * @param {Object} item - Item document.
+ * @param {Array<Object>} priceLists - Active price lists (see getActivePriceLists).
+ * @returns {Object} - { price, listPrice, sale } where sale is { id, name, endDate } or null.
+ */
+exports.getEffectivePrice = (item, priceLists) => {
+  const listPrice = item.price;
+  const basePrice = item.discountPrice > 0 && item.discountPrice < listPrice ? item.discountPrice : listPrice;
+
+  let best = null;
+  for (const priceList of priceLists) {
+    if (!exports.priceListMatchesItem(priceList, item)) {
+      continue;
+    }
+    const salePrice = exports.applyPriceList(priceList, listPrice);
+    const priority = priceList.priority || 0;
+    if (!best || priority > best.priority || (priority === best.priority && salePrice < best.price)) {
+      best = { priceList, price: salePrice, priority };
+    }
+  }
+
+  if (!best || best.price >= basePrice) {
+    return { price: basePrice, listPrice, sale: null };
+  }
+  return {
+    price: best.price,
+    listPrice,
+    sale: { id: best.priceList._id, name: best.priceList.name, endDate: best.priceList.endDate },
+  };
+};
+
+/**
+ * Adds effectivePrice and activeSale to items for API responses.
+ * @param {Array<Object>} items - Item documents.
+ * @param {Date} [now] - Point in time (defaults to now).
+ * @returns {Promise<Array<Object>>} - Plain item objects with effectivePrice and activeSale.
+ */
+exports.withEffectivePrices = async (items, now = new Date()) => {
+  const priceLists = await exports.getActivePriceLists(now);
+  return items.map((item) => {
+    const { price, sale } = exports.getEffectivePrice(item, priceLists);
+    const plain = typeof item.toObject === "function" ? item.toObject() : item;
+    return { ...plain, effectivePrice: price, activeSale: sale };
+  });
+};
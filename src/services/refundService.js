@@ -0,0 +1,272 @@
+// Import required dependencies
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const Item = require("../models/Item"); // Mongoose model for Item collection
+const Refund = require("../models/Refund"); // Mongoose model for Refund collection
+const { getPaymentProvider } = require("./payment"); // Configured payment gateway
+const { creditWallet } = require("./walletService"); // Store credit
+const { creditGiftCard } = require("./giftCardService"); // Gift card balances
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Amount actually captured for an order, i.e. the ceiling for all refunds.
+ * @param {Object} order - Order document.
+ * @returns {number} - Captured amount in rupees.
+ */
+exports.getCapturedAmount = (order) =>
+  ["Paid", "COD Collected"].includes(order.payment_status) ? order.total_price : 0;
+
+/**
+ * Works out what each order line is worth after its share of the promo discount.
+ * @param {Object} order - Order document.
+ * @returns {Promise<Map<string, number>>} - Map of item_quantities _id to net unit price.
+ */
+async function getNetUnitPrices(order) {
+  const missingPrices = order.item_quantities
+    .filter((line) => line.unit_price === undefined || line.unit_price === null)
+    .map((line) => line.item_id?._id || line.item_id);
+  const items = missingPrices.length > 0 ? await Item.find({ _id: { $in: missingPrices } }, "price") : [];
+  const itemPrices = new Map(items.map((item) => [item._id.toString(), item.price]));
+
+  const unitPrices = new Map();
+  let subtotal = 0;
+  for (const line of order.item_quantities) {
+    const itemId = (line.item_id?._id || line.item_id).toString();
+    const unitPrice = line.unit_price ?? itemPrices.get(itemId) ?? 0;
+    unitPrices.set(line._id.toString(), unitPrice);
+    subtotal += unitPrice * line.quantity;
+  }
+
+  const discountRatio = subtotal > 0 ? Math.min((order.promoDiscount || 0) / subtotal, 1) : 0;
+  for (const [lineId, unitPrice] of unitPrices) {
+    unitPrices.set(lineId, unitPrice * (1 - discountRatio));
+  }
+  return unitPrices;
+}
+
+/**
+ * Quantities already refunded per order line, counting every refund that has not failed.
+ * @param {string} orderId - Order ID.
+ * @returns {Promise<Map<string, number>>} - Map of item_quantities _id to refunded quantity.
+ */
+exports.getRefundedQuantities = async (orderId) => {
+  const refunds = await Refund.find({ order: orderId, status: { $ne: "Failed" } }, "lines");
+  const refunded = new Map();
+  for (const refund of refunds) {
+    for (const line of refund.lines) {
+      const key = line.line_id.toString();
+      refunded.set(key, (refunded.get(key) || 0) + line.quantity);
+    }
+  }
+  return refunded;
+};
+
+/**
+ * Expands a refund request into priced order lines.
+ * @param {Object} order - Order document.
+ * @param {Array<Object>|undefined} requestedLines - [{ lineId, quantity }]; undefined takes every line not yet
+ *   refunded, an empty array takes none (amount-only refund).
+ * @returns {Promise<Array<Object>>} - Refund lines with line_id, item_id, sku, quantity and amount.
+ * @throws {Error} - With statusCode 400 if a line is unknown or over-refunded.
+ */
+exports.resolveRefundLines = async (order, requestedLines) => {
+  const refunded = await exports.getRefundedQuantities(order._id);
+  const unitPrices = await getNetUnitPrices(order);
+
+  const requests = requestedLines !== undefined
+    ? requestedLines
+    : order.item_quantities.map((line) => ({
+        lineId: line._id.toString(),
+        quantity: line.quantity - (refunded.get(line._id.toString()) || 0),
+      })).filter((line) => line.quantity > 0);
+
+  return requests.map(({ lineId, quantity }) => {
+    const line = order.item_quantities.id(lineId);
+    if (!line) {
+      throw httpError(400, `Order line ${lineId} not found`);
+    }
+    const qty = Number(quantity ?? line.quantity);
+    const remaining = line.quantity - (refunded.get(line._id.toString()) || 0);
+    if (!Number.isInteger(qty) || qty < 1 || qty > remaining) {
+      throw httpError(400, `Cannot refund ${quantity} of SKU ${line.sku}; ${remaining} left to refund`);
+    }
+    return {
+      line_id: line._id,
+      item_id: line.item_id?._id || line.item_id,
+      sku: line.sku,
+      quantity: qty,
+      amount: roundAmount(unitPrices.get(line._id.toString()) * qty),
+    };
+  });
+};
+
+// Length of the overlap between the ranges [fromA, toA) and [fromB, toB)
+const overlap = (fromA, toA, fromB, toB) => Math.max(Math.min(toA, toB) - Math.max(fromA, fromB), 0);
+
+/**
+ * Records a refund in the ledger and sends it to the payment gateway and/or wallet.
+ * The order's amount_refunded is reserved atomically first, so concurrent refunds
+ * can never add up to more than the captured amount. Refunds use up the Razorpay
+ * (or cash) share of the order first, then go back to the gift card and finally to
+ * the wallet the order was partly paid with.
+ * @param {Object} params - Refund request.
+ * @param {Object} params.order - Order document.
+ * @param {Array<Object>} [params.lines] - [{ lineId, quantity }]; omit to refund every remaining line,
+ *   pass [] for an amount-only refund.
+ * @param {number} [params.amount] - Explicit amount in rupees (defaults to the value of the lines).
+ * @param {string} params.type - "cancellation", "return", "stock_shortage" or "manual".
+ * @param {string} [params.reason] - Why the refund was issued.
+ * @param {string} [params.initiatedBy] - User ID of whoever requested it.
+ * @param {string} [params.destination] - "source" (default: back to how it was paid) or "wallet".
+ * @returns {Promise<Object>} - The saved Refund document.
+ * @throws {Error} - With statusCode 400 when the refund is not allowed, or the gateway error.
+ */
+exports.createRefund = async ({ order, lines, amount, type, reason, initiatedBy, destination = "source" }) => {
+  const captured = exports.getCapturedAmount(order);
+  if (captured <= 0) {
+    throw httpError(400, "Order has no captured payment to refund");
+  }
+
+  const refundLines = await exports.resolveRefundLines(order, lines);
+  const refundAmount = roundAmount(
+    amount !== undefined ? Number(amount) : refundLines.reduce((sum, line) => sum + line.amount, 0)
+  );
+  if (!(refundAmount > 0)) {
+    throw httpError(400, "Refund amount must be greater than zero");
+  }
+
+  // Reserve the amount on the order; fails if it would exceed the captured total
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $add: [{ $ifNull: ["$amount_refunded", 0] }, refundAmount] }, captured + 0.001] },
+    },
+    { $inc: { amount_refunded: refundAmount } },
+    { new: true }
+  );
+  if (!reserved) {
+    const alreadyRefunded = order.amount_refunded || 0;
+    throw httpError(
+      400,
+      `Refund of ₹${refundAmount} exceeds the refundable balance of ₹${roundAmount(captured - alreadyRefunded)}`
+    );
+  }
+
+  // Split between the tenders: this refund covers [refundedBefore, refundedBefore + refundAmount)
+  // of the captured total, laid out as gateway share, then gift card share, then wallet share
+  let giftCardAmount = 0;
+  let walletAmount = 0;
+  if (destination === "wallet") {
+    walletAmount = refundAmount;
+  } else {
+    const refundedBefore = reserved.amount_refunded - refundAmount;
+    const refundedAfter = reserved.amount_refunded;
+    const giftCardFrom = captured - (order.gift_card_amount || 0) - (order.wallet_amount || 0);
+    const walletFrom = giftCardFrom + (order.gift_card_amount || 0);
+    giftCardAmount = roundAmount(overlap(refundedBefore, refundedAfter, giftCardFrom, walletFrom));
+    walletAmount = roundAmount(overlap(refundedBefore, refundedAfter, walletFrom, Infinity));
+  }
+  const gatewayAmount = roundAmount(refundAmount - giftCardAmount - walletAmount);
+
+  let method = "manual";
+  if (gatewayAmount <= 0) {
+    method = walletAmount > 0 ? "wallet" : "gift_card";
+  } else if (order.razorpay_payment_id) {
+    method = "razorpay";
+  }
+
+  const refund = await Refund.create({
+    order: order._id,
+    user: order.user?._id || order.user,
+    lines: refundLines,
+    amount: refundAmount,
+    reason,
+    type,
+    method,
+    gift_card_amount: giftCardAmount,
+    wallet_amount: walletAmount,
+    razorpay_payment_id: order.razorpay_payment_id,
+    status: "Pending",
+    initiatedBy,
+  });
+
+  if (method === "razorpay") {
+    try {
+      const gatewayRefund = await getPaymentProvider().refundPayment(order.razorpay_payment_id, {
+        amount: Math.round(gatewayAmount * 100),
+        notes: { refund_id: refund._id.toString(), order_id: order._id.toString() },
+      });
+      refund.razorpay_refund_id = gatewayRefund.id;
+      refund.status = gatewayRefund.status === "processed" ? "Processed" : "Initiated";
+      if (refund.status === "Processed") {
+        refund.processedAt = new Date();
+      }
+      await refund.save();
+    } catch (error) {
+      // Release the reservation so the amount can be refunded again later
+      refund.status = "Failed";
+      refund.failure_reason = error.error?.description || error.message;
+      await refund.save();
+      await Order.updateOne({ _id: order._id }, { $inc: { amount_refunded: -refundAmount } });
+      throw error;
+    }
+  }
+
+  if (giftCardAmount > 0) {
+    const credit = await creditGiftCard({
+      giftCardId: order.gift_card,
+      amount: giftCardAmount,
+      source: "refund",
+      userId: order.user?._id || order.user,
+      order: order._id,
+      refund: refund._id,
+      reason: reason || `Refund for order ${order._id}`,
+    });
+    if (credit.destination === "wallet") {
+      // The card expired or was disabled, so its share went to the wallet
+      refund.gift_card_amount = 0;
+      refund.wallet_amount = roundAmount(walletAmount + giftCardAmount);
+      if (method === "gift_card") {
+        refund.method = "wallet";
+      }
+    }
+  }
+
+  if (walletAmount > 0) {
+    await creditWallet({
+      userId: order.user?._id || order.user,
+      amount: walletAmount,
+      source: "refund",
+      order: order._id,
+      refund: refund._id,
+      reason: reason || `Refund for order ${order._id}`,
+    });
+  }
+
+  if (gatewayAmount <= 0) {
+    refund.status = "Processed";
+    refund.processedAt = new Date();
+  }
+  if (refund.isModified()) {
+    await refund.save();
+  }
+
+  order.amount_refunded = reserved.amount_refunded;
+  order.refund_status = reserved.amount_refunded >= captured - 0.001 ? "Refunded" : "Partially Refunded";
+  await Order.updateOne({ _id: order._id }, { $set: { refund_status: order.refund_status } });
+
+  return refund;
+};
+
+/**
+ * Marks a gateway refund as processed (from the refund.processed webhook).
+ * @param {string} razorpayRefundId - Razorpay refund ID.
+ * @returns {Promise<Object|null>} - The updated Refund document, or null if it is not in the ledger.
+ */
+exports.markRefundProcessed = async (razorpayRefundId) =>
+  Refund.findOneAndUpdate(
+    { razorpay_refund_id: razorpayRefundId, status: { $ne: "Processed" } },
+    { $set: { status: "Processed", processedAt: new Date() } },
+    { new: true }
+  );
@@ -0,0 +1,229 @@
+// Import required dependencies
+const mongoose = require("mongoose");
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const { getShiprocketClient } = require("./shiprocket"); // Shiprocket API client
+const { ensureShipments } = require("./shipmentService"); // Split shipments
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// Most orders one request may cover
+const MAX_BATCH_SIZE = 50;
+
+// Shiprocket reports pickup times as "YYYY-MM-DD HH:mm:ss" in IST
+function parsePickupDate(value) {
+  const date = new Date(`${String(value || "").trim().replace(" ", "T")}+05:30`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const todayInIndia = () => new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 10);
+
+function groupShipments(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry.shipment);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+  return [...groups.values()];
+}
+
+const describe = ({ order, shipment }) => ({ orderId: order._id.toString(), shipmentId: shipment._id.toString() });
+
+// Sets fields on each listed shipment of its order
+async function updateShipments(entries, fields) {
+  await Promise.all(
+    entries.map(({ order, shipment }) => {
+      const set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`shipments.$.${key}`, value]));
+      return Order.updateOne({ _id: order._id, "shipments._id": shipment._id }, { $set: set });
+    })
+  );
+}
+
+// Loads the shipments (with an AWB) of a batch of orders, setting aside orders with none to work on
+async function loadShipments(orderIds) {
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    throw httpError(400, "orderIds must be a non-empty array");
+  }
+  const ids = [...new Set(orderIds.map(String))];
+  if (ids.length > MAX_BATCH_SIZE) {
+    throw httpError(400, `At most ${MAX_BATCH_SIZE} orders can be processed at once`);
+  }
+  const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    throw httpError(400, `Invalid order IDs: ${invalid.join(", ")}`);
+  }
+
+  const found = await Order.find({ _id: { $in: ids } });
+  const byId = new Map(found.map((order) => [order._id.toString(), order]));
+  const shipments = [];
+  const skipped = [];
+  for (const id of ids) {
+    const order = byId.get(id);
+    if (!order) {
+      skipped.push({ orderId: id, reason: "Order not found" });
+      continue;
+    }
+    if (order.order_status === "Cancelled") {
+      skipped.push({ orderId: id, reason: "Order is cancelled" });
+      continue;
+    }
+    await ensureShipments(order);
+    const ready = order.shipments.filter(
+      (shipment) => shipment.awb_code && shipment.shiprocket_shipment_id && shipment.shipping_status !== "Cancelled"
+    );
+    if (ready.length === 0) {
+      skipped.push({ orderId: id, reason: "Order has no AWB yet" });
+    }
+    ready.forEach((shipment) => shipments.push({ order, shipment }));
+  }
+  return { shipments, skipped };
+}
+
+/**
+ * Generates shipping labels for the shipments of one or more orders. Shiprocket returns a
+ * single PDF for the batch; its URL is stored on every shipment it covers.
+ * @param {Array<string>} orderIds - Order IDs (at most 50).
+ * @returns {Promise<Object>} - { labelUrl, processed: [{ orderId, shipmentId, labelUrl }],
+ *   skipped: [{ orderId, reason }], failed: [{ orderId, shipmentId, reason }] }.
+ * @throws {Error} - With statusCode 400 for an invalid batch, or the Shiprocket error if the call fails.
+ */
+exports.generateLabels = async (orderIds) => {
+  const { shipments, skipped } = await loadShipments(orderIds);
+  if (shipments.length === 0) {
+    return { labelUrl: null, processed: [], skipped, failed: [] };
+  }
+
+  const { labelUrl, notCreated } = await getShiprocketClient().generateLabel(
+    shipments.map(({ shipment }) => shipment.shiprocket_shipment_id)
+  );
+  const notCreatedIds = new Set(notCreated.map(String));
+  const labelled = shipments.filter(({ shipment }) => !notCreatedIds.has(String(shipment.shiprocket_shipment_id)));
+  const failed = shipments
+    .filter(({ shipment }) => notCreatedIds.has(String(shipment.shiprocket_shipment_id)))
+    .map((entry) => ({ ...describe(entry), reason: "Shiprocket did not create a label" }));
+
+  await updateShipments(labelled, { label_url: labelUrl, label_generated_at: new Date() });
+  return {
+    labelUrl,
+    processed: labelled.map((entry) => ({ ...describe(entry), labelUrl })),
+    skipped,
+    failed,
+  };
+};
+
+/**
+ * Label for a single order, generating one if any of its shipments has none yet. A label
+ * PDF covers every shipment of the order.
+ * @param {string} orderId - Order ID.
+ * @returns {Promise<string>} - Label PDF URL.
+ * @throws {Error} - With statusCode 404 if the order does not exist, 409 if it cannot have a label yet.
+ */
+exports.getOrderLabelUrl = async (orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw httpError(400, "Invalid order ID");
+  }
+  const order = await Order.findById(orderId).select("shipments");
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+  const labelUrls = new Set(
+    order.shipments
+      .filter((shipment) => shipment.awb_code && shipment.shipping_status !== "Cancelled")
+      .map((shipment) => shipment.label_url)
+  );
+  // Reuse the label only if one PDF already covers all of the order's parcels
+  if (labelUrls.size === 1 && !labelUrls.has(undefined)) {
+    return [...labelUrls][0];
+  }
+
+  const { processed, skipped, failed } = await exports.generateLabels([orderId]);
+  if (processed.length === 0) {
+    throw httpError(409, (skipped[0] || failed[0]).reason);
+  }
+  return processed[0].labelUrl;
+};
+
+/**
+ * Schedules courier pickups for the shipments of one or more orders. Shipments are grouped
+ * by the warehouse they ship from, since each pickup location gets its own pickup and token.
+ * @param {Array<string>} orderIds - Order IDs (at most 50).
+ * @param {Object} [options] - { pickupDate: "YYYY-MM-DD" (today or later; defaults to the next slot) }.
+ * @returns {Promise<Object>} - { processed: [{ orderId, shipmentId, pickupToken, scheduledFor }], skipped, failed }.
+ * @throws {Error} - With statusCode 400 for an invalid batch or pickup date.
+ */
+exports.schedulePickups = async (orderIds, { pickupDate } = {}) => {
+  if (pickupDate !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(pickupDate) || pickupDate < todayInIndia())) {
+    throw httpError(400, "pickupDate must be a date (YYYY-MM-DD) from today onwards");
+  }
+  const { shipments: candidates, skipped } = await loadShipments(orderIds);
+  const shipments = [];
+  for (const entry of candidates) {
+    if (entry.shipment.pickup?.token_number) {
+      skipped.push({ ...describe(entry), reason: `Pickup already scheduled (${entry.shipment.pickup.token_number})` });
+    } else {
+      shipments.push(entry);
+    }
+  }
+
+  const processed = [];
+  const failed = [];
+  for (const group of groupShipments(shipments, (shipment) => String(shipment.warehouse || "default"))) {
+    try {
+      const response = await getShiprocketClient().generatePickup({
+        shipmentIds: group.map(({ shipment }) => shipment.shiprocket_shipment_id),
+        pickupDate,
+      });
+      const pickup = {
+        token_number: response.pickup_token_number != null ? String(response.pickup_token_number) : undefined,
+        scheduled_for: parsePickupDate(response.pickup_scheduled_date),
+        requested_at: new Date(),
+      };
+      await updateShipments(group, { pickup });
+      group.forEach((entry) =>
+        processed.push({ ...describe(entry), pickupToken: pickup.token_number, scheduledFor: pickup.scheduled_for })
+      );
+    } catch (error) {
+      console.error("Shiprocket pickup scheduling failed:", error.response || error);
+      group.forEach((entry) => failed.push({ ...describe(entry), reason: error.message }));
+    }
+  }
+  return { processed, skipped, failed };
+};
+
+/**
+ * Generates courier manifests for the shipments of one or more orders whose pickup is
+ * scheduled. A manifest is the handover sheet for one courier at one pickup location, so
+ * shipments are grouped that way.
+ * @param {Array<string>} orderIds - Order IDs (at most 50).
+ * @returns {Promise<Object>} - { processed: [{ orderId, shipmentId, manifestUrl }], skipped, failed }.
+ * @throws {Error} - With statusCode 400 for an invalid batch.
+ */
+exports.generateManifests = async (orderIds) => {
+  const { shipments: candidates, skipped } = await loadShipments(orderIds);
+  const shipments = [];
+  for (const entry of candidates) {
+    if (entry.shipment.pickup?.token_number) {
+      shipments.push(entry);
+    } else {
+      skipped.push({ ...describe(entry), reason: "Schedule a pickup before generating the manifest" });
+    }
+  }
+
+  const processed = [];
+  const failed = [];
+  const groups = groupShipments(shipments, (shipment) => `${shipment.warehouse || "default"}:${shipment.courier_company_id}`);
+  for (const group of groups) {
+    try {
+      const manifestUrl = await getShiprocketClient().generateManifest(
+        group.map(({ shipment }) => shipment.shiprocket_shipment_id)
+      );
+      await updateShipments(group, { manifest_url: manifestUrl, manifest_generated_at: new Date() });
+      group.forEach((entry) => processed.push({ ...describe(entry), manifestUrl }));
+    } catch (error) {
+      console.error("Shiprocket manifest generation failed:", error.response || error);
+      group.forEach((entry) => failed.push({ ...describe(entry), reason: error.message }));
+    }
+  }
+  return { processed, skipped, failed };
+};
@@ -0,0 +1,216 @@
+// Import required dependencies
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const Warehouse = require("../models/Warehouse"); // Mongoose model for Warehouse collection
+
+// How far along a shipment is, for rolling shipments up to the order
+const ROLL_UP_RANK = {
+  Pending: 0,
+  Shipped: 1,
+  "In Transit": 2,
+  "Out For Delivery": 3,
+  Undelivered: 3,
+  "RTO Initiated": 4,
+  Delivered: 5,
+  "RTO Delivered": 5,
+};
+
+// Among shipments equally far along, the status that says most about the order
+const ROLL_UP_TIE_BREAK = ["Undelivered", "Out For Delivery", "Delivered", "RTO Delivered"];
+
+const lineKey = (line) => `${(line.item_id?._id || line.item_id).toString()}:${line.sku}`;
+
+/**
+ * Order units not yet in a (non-cancelled) shipment.
+ * @param {Object} order - Order with item_quantities and shipments.
+ * @returns {Array<Object>} - [{ item_id, sku, quantity }].
+ */
+exports.getUnshippedLines = (order) => {
+  const shipped = new Map();
+  for (const shipment of order.shipments || []) {
+    if (shipment.shipping_status === "Cancelled") {
+      continue;
+    }
+    for (const line of shipment.lines) {
+      shipped.set(lineKey(line), (shipped.get(lineKey(line)) || 0) + line.quantity);
+    }
+  }
+
+  const unshipped = [];
+  for (const line of order.item_quantities) {
+    const alreadyShipped = shipped.get(lineKey(line)) || 0;
+    const quantity = line.quantity - Math.min(alreadyShipped, line.quantity);
+    shipped.set(lineKey(line), alreadyShipped - (line.quantity - quantity));
+    if (quantity > 0) {
+      unshipped.push({ item_id: line.item_id?._id || line.item_id, sku: line.sku, quantity });
+    }
+  }
+  return unshipped;
+};
+
+/**
+ * Where returned units should go back to: the ship-from address of the shipment that carried
+ * them (the one carrying most of them, when they came in several parcels), or else the address
+ * of that shipment's warehouse.
+ * @param {Object} order - Order with shipments.
+ * @param {Array<Object>} lines - Returned lines: [{ item_id, sku, quantity }].
+ * @returns {Promise<Object|null>} - Address in shipped_by form (shipper_company_name, shipper_address_1, ...),
+ *   or null when the carrying shipment has neither (shipped from the default pickup location).
+ */
+exports.getReturnAddressForLines = async (order, lines) => {
+  const returned = new Map(lines.map((line) => [lineKey(line), line.quantity]));
+  let carrier = null;
+  let carriedUnits = 0;
+  for (const shipment of order.shipments || []) {
+    if (shipment.shipping_status === "Cancelled") {
+      continue;
+    }
+    const units = shipment.lines.reduce(
+      (sum, line) => sum + Math.min(line.quantity, returned.get(lineKey(line)) || 0),
+      0
+    );
+    if (units > carriedUnits) {
+      carrier = shipment;
+      carriedUnits = units;
+    }
+  }
+  if (!carrier) {
+    return null;
+  }
+
+  if (carrier.shipped_by?.shipper_address_1) {
+    return carrier.shipped_by.toObject?.() || carrier.shipped_by;
+  }
+  const warehouse = carrier.warehouse && (await Warehouse.findById(carrier.warehouse).lean());
+  if (!warehouse) {
+    return null;
+  }
+  return {
+    shipper_company_name: warehouse.name,
+    shipper_address_1: warehouse.address.line1,
+    shipper_address_2: warehouse.address.line2,
+    shipper_city: warehouse.address.city,
+    shipper_state: warehouse.address.state,
+    shipper_country: warehouse.address.country,
+    shipper_postcode: warehouse.address.pincode,
+    shipper_phone: warehouse.phone,
+    shipper_email: warehouse.email,
+  };
+};
+
+/**
+ * Works out the order-level shipping state from its shipments: the order is as far along as
+ * its least advanced shipment (units not shipped yet count as Pending), and counts as shipped
+ * once any parcel has left.
+ * @param {Object} order - Order with item_quantities and shipments.
+ * @returns {Object|null} - { shipping_status, delivered_at, shipped }, or null for an order without shipments.
+ */
+exports.rollUpShipments = (order) => {
+  if (!order.shipments || order.shipments.length === 0) {
+    return null;
+  }
+  const active = order.shipments.filter((shipment) => shipment.shipping_status !== "Cancelled");
+  if (active.length === 0) {
+    return { shipping_status: "Cancelled", delivered_at: null, shipped: false };
+  }
+
+  const statuses = active.map((shipment) => shipment.shipping_status || "Pending");
+  if (exports.getUnshippedLines(order).length > 0) {
+    statuses.push("Pending");
+  }
+  const lowestRank = Math.min(...statuses.map((status) => ROLL_UP_RANK[status]));
+  const candidates = statuses.filter((status) => ROLL_UP_RANK[status] === lowestRank);
+  const shippingStatus = ROLL_UP_TIE_BREAK.find((status) => candidates.includes(status)) || candidates[0];
+
+  const deliveredAt = active
+    .filter((shipment) => shipment.delivered_at)
+    .reduce((latest, shipment) => (!latest || shipment.delivered_at > latest ? shipment.delivered_at : latest), null);
+  return {
+    shipping_status: shippingStatus,
+    delivered_at: shippingStatus === "Delivered" ? deliveredAt : null,
+    shipped: active.some((shipment) => ROLL_UP_RANK[shipment.shipping_status] > 0),
+  };
+};
+
+/**
+ * Writes the roll-up of an order's shipments to shipping_status, delivered_at and order_status.
+ * Only applied while the order is still at the shipment_revision it was computed from, so a
+ * roll-up never overwrites one based on a newer shipment status. Cancelled orders keep their
+ * order_status.
+ * @param {Object} order - Order as returned by the shipment update (shipments, item_quantities, shipment_revision).
+ * @returns {Promise<boolean>} - Whether the roll-up was written.
+ */
+exports.applyShipmentRollUp = async (order) => {
+  const rollUp = exports.rollUpShipments(order);
+  if (!rollUp) {
+    return false;
+  }
+
+  const set = {
+    shipping_status: rollUp.shipping_status,
+    shipping_status_updated_at: new Date(),
+    ...(rollUp.delivered_at && { delivered_at: rollUp.delivered_at }),
+  };
+  const orderStatus = rollUp.shipping_status === "Delivered" ? "Delivered" : rollUp.shipped ? "Shipped" : null;
+  if (orderStatus) {
+    set.order_status = { $cond: [{ $eq: ["$order_status", "Cancelled"] }, "$order_status", orderStatus] };
+  }
+
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, shipment_revision: order.shipment_revision || 0 },
+    [{ $set: set }]
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Moves an order fulfilled before split shipments into the shipments list, so every order
+ * can be handled per shipment. Orders that already have shipments, or were never sent to
+ * Shiprocket, are left as they are. The legacy fields are kept for older app builds.
+ * @param {Object} order - Order document.
+ * @returns {Promise<Object>} - The same order, with shipments reloaded if it was migrated.
+ */
+exports.ensureShipments = async (order) => {
+  if (order.shipments.length > 0 || !order.shiprocket_orderId) {
+    return order;
+  }
+
+  const shipment = {
+    lines: order.item_quantities.map((line) => ({
+      item_id: line.item_id?._id || line.item_id,
+      sku: line.sku,
+      quantity: line.quantity,
+    })),
+    shiprocket_orderId: order.shiprocket_orderId,
+    shiprocket_shipment_id: order.shiprocket_shipment_id,
+    awb_code: order.awb_code,
+    tracking_url: order.tracking_url,
+    courier_company_id: order.courier_company_id,
+    courier_name: order.courier_name,
+    freight_charges: order.freight_charges,
+    applied_weight: order.applied_weight,
+    routing_code: order.routing_code,
+    invoice_no: order.invoice_no,
+    shipped_by: order.shipped_by?.toObject?.() || order.shipped_by,
+    shipping_status: order.shipping_status,
+    shipping_status_updated_at: order.shipping_status_updated_at,
+    delivered_at: order.delivered_at,
+  };
+  await Order.updateOne({ _id: order._id, "shipments.0": { $exists: false } }, { $push: { shipments: shipment } });
+  await exports.refreshShipments(order);
+  return order;
+};
+
+/**
+ * Reloads an order document's shipments after they were changed with atomic updates,
+ * without marking them modified (a later save() must not write them back).
+ * @param {Object} order - Order document.
+ * @returns {Promise<Object>} - The same order.
+ */
+exports.refreshShipments = async (order) => {
+  const fresh = await Order.findById(order._id).select("shipments shipment_revision").lean();
+  order.set("shipments", fresh?.shipments || []);
+  order.set("shipment_revision", fresh?.shipment_revision || 0);
+  order.unmarkModified("shipments");
+  order.unmarkModified("shipment_revision");
+  return order;
+};
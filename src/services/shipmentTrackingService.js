@@ -0,0 +1,188 @@
+// Import required dependencies
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const { applyShipmentRollUp } = require("./shipmentService"); // Order-level status from its shipments
+
+// Shiprocket status labels (current_status / shipment_status) mapped onto Order.shipping_status
+const SHIPROCKET_STATUS_LABELS = {
+  "PICKED UP": "Shipped",
+  SHIPPED: "Shipped",
+  "HANDOVER TO COURIER": "Shipped",
+  "IN TRANSIT": "In Transit",
+  "REACHED AT DESTINATION HUB": "In Transit",
+  MISROUTED: "In Transit",
+  DELAYED: "In Transit",
+  "OUT FOR DELIVERY": "Out For Delivery",
+  UNDELIVERED: "Undelivered",
+  DELIVERED: "Delivered",
+  "RTO INITIATED": "RTO Initiated",
+  "RTO ACKNOWLEDGED": "RTO Initiated",
+  "RTO IN INTRANSIT": "RTO Initiated",
+  "RTO NDR": "RTO Initiated",
+  "RTO OFD": "RTO Initiated",
+  "RTO DELIVERED": "RTO Delivered",
+  CANCELED: "Cancelled",
+  CANCELLED: "Cancelled",
+  "CANCELLED BEFORE DISPATCHED": "Cancelled",
+};
+
+// Shiprocket shipment status IDs, used when the label is missing or unfamiliar
+const SHIPROCKET_STATUS_IDS = {
+  6: "Shipped",
+  7: "Delivered",
+  8: "Cancelled",
+  9: "RTO Initiated",
+  10: "RTO Delivered",
+  14: "RTO Initiated",
+  17: "Out For Delivery",
+  18: "In Transit",
+  21: "Undelivered",
+  22: "In Transit",
+  38: "In Transit",
+  40: "RTO Initiated",
+  41: "RTO Initiated",
+  42: "Shipped",
+  45: "Cancelled",
+  46: "RTO Initiated",
+  51: "Shipped",
+};
+
+// How far along a shipment is; updates never move a shipment backwards
+const STATUS_RANK = {
+  Pending: 0,
+  Shipped: 1,
+  "In Transit": 2,
+  "Out For Delivery": 3,
+  Undelivered: 3,
+  "RTO Initiated": 4,
+};
+const FINAL_STATUSES = ["Delivered", "RTO Delivered", "Cancelled"];
+
+// Each AWB on an order is one leg; these are the fields the webhook keeps current for it.
+// Forward parcels live in order.shipments (see applyToShipment); "forward" is the single AWB
+// of orders fulfilled before split shipments that were never migrated.
+const SHIPMENT_LEGS = {
+  forward: {
+    awbField: "awb_code",
+    statusField: "shipping_status",
+    deliveredField: "delivered_at",
+  },
+  return: {
+    awbField: "refund.returnAwbCode",
+    statusField: "refund.returnShippingStatus",
+    deliveredField: "refund.returnDeliveredAt",
+  },
+  exchange_return: {
+    awbField: "exchange.returnAwbCode",
+    statusField: "exchange.returnShippingStatus",
+    deliveredField: "exchange.returnDeliveredAt",
+  },
+  exchange_forward: {
+    awbField: "exchange.forwardAwbCode",
+    statusField: "exchange.forwardShippingStatus",
+    deliveredField: "exchange.forwardDeliveredAt",
+  },
+};
+
+// What order_status becomes when the forward shipment reaches a shipping status
+const ORDER_STATUS_FOR_SHIPPING = {
+  Shipped: "Shipped",
+  "In Transit": "Shipped",
+  "Out For Delivery": "Shipped",
+  Undelivered: "Shipped",
+  "RTO Initiated": "Shipped",
+  Delivered: "Delivered",
+};
+
+/**
+ * Maps a Shiprocket tracking status onto our shipping_status values.
+ * @param {Object} params - { label, statusId } from the webhook (current_status, current_status_id).
+ * @returns {string|null} - Our status, or null for events we do not track (e.g. pickup scheduled).
+ */
+exports.mapShiprocketStatus = ({ label, statusId }) => {
+  const normalised = String(label || "").trim().toUpperCase().replace(/\s+/g, " ");
+  return SHIPROCKET_STATUS_LABELS[normalised] || SHIPROCKET_STATUS_IDS[Number(statusId)] || null;
+};
+
+// Statuses a leg may be in for `next` to be applied
+function getAllowedPreviousStatuses(next) {
+  const open = Object.keys(STATUS_RANK);
+  if (FINAL_STATUSES.includes(next)) {
+    return [...open, null];
+  }
+  return [...open.filter((status) => STATUS_RANK[status] <= STATUS_RANK[next] && status !== next), null];
+}
+
+// Applies a status to the order shipment carrying the AWB, then rolls the order up from its shipments
+async function applyToShipment(orderId, { awbCode, status, occurredAt }) {
+  const set = {
+    "shipments.$[s].shipping_status": status,
+    "shipments.$[s].shipping_status_updated_at": occurredAt,
+    ...(status === "Delivered" && { "shipments.$[s].delivered_at": occurredAt }),
+  };
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      shipments: { $elemMatch: { awb_code: awbCode, shipping_status: { $in: getAllowedPreviousStatuses(status) } } },
+    },
+    { $set: set, $inc: { shipment_revision: 1 } },
+    { new: true, arrayFilters: [{ "s.awb_code": awbCode }] }
+  );
+  if (updated) {
+    await applyShipmentRollUp(updated);
+  }
+  return updated;
+}
+
+/**
+ * Applies a courier status to whichever shipment of an order carries the AWB: one of the
+ * order's shipments (rolled up to the order), its return pickup, or either leg of an exchange.
+ * Updates are conditional, so out-of-order or repeated events never move a shipment backwards
+ * or out of a final state.
+ * @param {Object} params - Tracking update.
+ * @param {string} params.awbCode - AWB the event is for.
+ * @param {string} params.status - Our shipping status (see mapShiprocketStatus).
+ * @param {Date} [params.occurredAt] - When the courier recorded the event.
+ * @returns {Promise<Object>} - { order, leg, applied }; order is null when no order has the AWB.
+ */
+exports.applyShipmentStatus = async ({ awbCode, status, occurredAt = new Date() }) => {
+  const shipmentOrder = await Order.findOne({ "shipments.awb_code": awbCode }).select("_id");
+  if (shipmentOrder) {
+    const updated = await applyToShipment(shipmentOrder._id, { awbCode, status, occurredAt });
+    return { order: updated || shipmentOrder, leg: "forward", applied: Boolean(updated) };
+  }
+
+  const order = await Order.findOne({
+    $or: Object.values(SHIPMENT_LEGS).map((leg) => ({ [leg.awbField]: awbCode })),
+  }).select(Object.values(SHIPMENT_LEGS).map((leg) => leg.awbField).join(" "));
+  if (!order) {
+    return { order: null, leg: null, applied: false };
+  }
+
+  const [legName, leg] = Object.entries(SHIPMENT_LEGS).find(([, entry]) => order.get(entry.awbField) === awbCode);
+
+  const set = {
+    [leg.statusField]: status,
+    ...(status === "Delivered" && { [leg.deliveredField]: occurredAt }),
+  };
+  if (legName === "forward") {
+    set.shipping_status_updated_at = occurredAt;
+    // A cancelled order stays cancelled even if its parcel keeps moving
+    if (ORDER_STATUS_FOR_SHIPPING[status]) {
+      set.order_status = {
+        $cond: [{ $eq: ["$order_status", "Cancelled"] }, "$order_status", ORDER_STATUS_FOR_SHIPPING[status]],
+      };
+    }
+  }
+  if (legName === "exchange_forward" && status === "Delivered") {
+    set["exchange.status"] = "Completed";
+  }
+
+  // Pipeline update so order_status can depend on its current value
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, [leg.statusField]: { $in: getAllowedPreviousStatuses(status) } },
+    [{ $set: set }],
+    { new: true }
+  );
+
+  return { order: updated || order, leg: legName, applied: Boolean(updated) };
+};
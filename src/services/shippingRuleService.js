@@ -0,0 +1,205 @@
+// Import required dependencies
+const mongoose = require("mongoose");
+const ShippingRule = require("../models/ShippingRule"); // Mongoose model for ShippingRule collection
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// Charged when no standard rule matches, configurable per environment
+const SHIPPING_FLAT_CHARGE = Number(process.env.SHIPPING_FLAT_CHARGE || 50);
+const FREE_SHIPPING_THRESHOLD = Number(process.env.FREE_SHIPPING_THRESHOLD || 500);
+
+const SERVICE_LEVELS = ["standard", "express"];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const normaliseState = (state) => String(state || "").trim().toLowerCase();
+
+// Checks what the schema cannot: ranges and slabs that make sense together
+function validateRuleFields(rule) {
+  for (const range of rule.zone?.pincodeRanges || []) {
+    if (Number(range.from) > Number(range.to)) {
+      throw httpError(400, `Pincode range ${range.from}-${range.to} starts after it ends`);
+    }
+  }
+  if (rule.maxCartValue != null && Number(rule.maxCartValue) < Number(rule.minCartValue || 0)) {
+    throw httpError(400, "maxCartValue must not be below minCartValue");
+  }
+  const slabWeights = (rule.weightSlabs || []).map((slab) => Number(slab.upToKg));
+  if (new Set(slabWeights).size !== slabWeights.length) {
+    throw httpError(400, "Weight slabs must have different upToKg values");
+  }
+}
+
+// Rule documents are saved with slabs in weight order so pricing can take the first that fits
+function sortSlabs(fields) {
+  if (Array.isArray(fields.weightSlabs)) {
+    fields.weightSlabs = [...fields.weightSlabs].sort((a, b) => Number(a.upToKg) - Number(b.upToKg));
+  }
+  return fields;
+}
+
+function matchesZone(rule, { pincode, state }) {
+  const states = rule.zone?.states || [];
+  const ranges = rule.zone?.pincodeRanges || [];
+  if (states.length === 0 && ranges.length === 0) {
+    return true;
+  }
+  const pin = Number(pincode);
+  return (
+    (Boolean(state) && states.some((s) => normaliseState(s) === normaliseState(state))) ||
+    (Number.isInteger(pin) && ranges.some((range) => pin >= range.from && pin <= range.to))
+  );
+}
+
+const matchesCartValue = (rule, subtotal) =>
+  subtotal >= (rule.minCartValue || 0) && (rule.maxCartValue == null || subtotal <= rule.maxCartValue);
+
+function getWeightCharge(rule, weight) {
+  if (!rule.weightSlabs || rule.weightSlabs.length === 0) {
+    return rule.baseCharge || 0;
+  }
+  const slab = rule.weightSlabs.find((s) => weight <= s.upToKg);
+  if (slab) {
+    return slab.charge;
+  }
+  const last = rule.weightSlabs[rule.weightSlabs.length - 1];
+  return last.charge + Math.ceil(weight - last.upToKg) * (rule.extraChargePerKg || 0);
+}
+
+function getCategorySurcharge(rule, lines, items) {
+  if (!rule.categorySurcharges || rule.categorySurcharges.length === 0) {
+    return 0;
+  }
+  const categoryByItem = new Map(items.map((item) => [item._id.toString(), item.categoryId?.toString()]));
+  return rule.categorySurcharges.reduce((sum, surcharge) => {
+    const units = lines
+      .filter((line) => categoryByItem.get((line.item_id?._id || line.item_id).toString()) === surcharge.category.toString())
+      .reduce((count, line) => count + line.quantity, 0);
+    if (units === 0) {
+      return sum;
+    }
+    return sum + (surcharge.perUnit ? surcharge.amount * units : surcharge.amount);
+  }, 0);
+}
+
+/**
+ * Lists shipping rules in the order they are tried.
+ * @returns {Promise<Array<Object>>} - ShippingRule documents.
+ */
+exports.listShippingRules = async () => ShippingRule.find().sort({ serviceLevel: 1, priority: 1, createdAt: 1 }).lean();
+
+/**
+ * Creates a shipping rule.
+ * @param {Object} fields - ShippingRule fields (see the model).
+ * @param {string} adminId - Admin making the change.
+ * @returns {Promise<Object>} - The new ShippingRule.
+ * @throws {Error} - With statusCode 400 for invalid fields.
+ */
+exports.createShippingRule = async (fields, adminId) => {
+  validateRuleFields(fields);
+  try {
+    return await ShippingRule.create({ ...sortSlabs({ ...fields }), updatedBy: adminId });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      throw httpError(400, error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Updates a shipping rule.
+ * @param {string} ruleId - ShippingRule ID.
+ * @param {Object} fields - Fields to change.
+ * @param {string} adminId - Admin making the change.
+ * @returns {Promise<Object>} - The updated ShippingRule.
+ * @throws {Error} - With statusCode 400 for invalid fields, 404 if the rule does not exist.
+ */
+exports.updateShippingRule = async (ruleId, fields, adminId) => {
+  if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+    throw httpError(400, "Invalid shipping rule ID");
+  }
+  const rule = await ShippingRule.findById(ruleId);
+  if (!rule) {
+    throw httpError(404, "Shipping rule not found");
+  }
+  rule.set({ ...sortSlabs({ ...fields }), updatedBy: adminId });
+  validateRuleFields(rule);
+  try {
+    return await rule.save();
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      throw httpError(400, error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Deletes a shipping rule.
+ * @param {string} ruleId - ShippingRule ID.
+ * @returns {Promise<boolean>} - Whether a rule was removed.
+ */
+exports.deleteShippingRule = async (ruleId) => {
+  if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+    throw httpError(400, "Invalid shipping rule ID");
+  }
+  const { deletedCount } = await ShippingRule.deleteOne({ _id: ruleId });
+  return deletedCount > 0;
+};
+
+/**
+ * Shipping charged to the customer for a cart, from the first matching shipping rule.
+ * @param {Object} params - Pricing inputs.
+ * @param {number} params.subtotal - Cart value in rupees, after sale prices and before promo codes.
+ * @param {number} [params.weight] - Chargeable parcel weight in kg.
+ * @param {string} [params.pincode] - Delivery pincode; zone rules only match when it or the state is known.
+ * @param {string} [params.state] - Delivery state.
+ * @param {Array<Object>} [params.lines] - [{ item_id, quantity }] for category surcharges.
+ * @param {Array<Object>} [params.items] - Item documents of those lines (categoryId).
+ * @param {string} [params.serviceLevel] - "standard" (default) or "express".
+ * @returns {Promise<Object>} - { charge, serviceLevel, rule: { id, name } or null for the default,
+ *   weightCharge, surcharge, freeShippingAbove }.
+ * @throws {Error} - With statusCode 400 for an unknown service level, or express when no rule offers it.
+ */
+exports.calculateShippingCharge = async ({
+  subtotal,
+  weight = 0.5,
+  pincode,
+  state,
+  lines = [],
+  items = [],
+  serviceLevel = "standard",
+}) => {
+  if (!SERVICE_LEVELS.includes(serviceLevel)) {
+    throw httpError(400, `Shipping service level must be one of: ${SERVICE_LEVELS.join(", ")}`);
+  }
+
+  const rules = await ShippingRule.find({ isActive: true, serviceLevel }).sort({ priority: 1, createdAt: 1 }).lean();
+  const rule = rules.find((r) => matchesZone(r, { pincode, state }) && matchesCartValue(r, subtotal));
+
+  if (!rule) {
+    if (serviceLevel === "express") {
+      throw httpError(400, "Express delivery is not available for this order");
+    }
+    const charge = subtotal > FREE_SHIPPING_THRESHOLD ? 0 : SHIPPING_FLAT_CHARGE;
+    return {
+      charge,
+      serviceLevel,
+      rule: null,
+      weightCharge: charge,
+      surcharge: 0,
+      freeShippingAbove: FREE_SHIPPING_THRESHOLD,
+    };
+  }
+
+  const isFree = rule.freeShippingAbove != null && subtotal > rule.freeShippingAbove;
+  const weightCharge = isFree ? 0 : getWeightCharge(rule, weight);
+  const surcharge = getCategorySurcharge(rule, lines, items);
+  return {
+    charge: roundAmount(weightCharge + surcharge),
+    serviceLevel,
+    rule: { id: rule._id, name: rule.name },
+    weightCharge: roundAmount(weightCharge),
+    surcharge: roundAmount(surcharge),
+    freeShippingAbove: rule.freeShippingAbove ?? null,
+  };
+};
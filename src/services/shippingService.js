@@ -0,0 +1,164 @@
+// Import required dependencies
+const mongoose = require("mongoose");
+const Item = require("../models/Item"); // Mongoose model for Item collection
+const ItemDetails = require("../models/ItemDetails"); // Mongoose model for ItemDetails collection
+const { getShiprocketClient } = require("./shiprocket"); // Shiprocket API client
+const { getActivePriceLists, getEffectivePrice } = require("./pricingService"); // Sale prices
+const { calculateParcel } = require("./packagingService"); // Box size and parcel weight
+const { calculateShippingCharge } = require("./shippingRuleService"); // Shipping charge rules
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// Serviceability settings, configurable per environment
+const SHIPROCKET_PICKUP_PINCODE = process.env.SHIPROCKET_PICKUP_PINCODE || "110001";
+const DEFAULT_PARCEL_WEIGHT = 0.5; // kg, used when an item has no weight on file
+const DISPATCH_DAYS = Number(process.env.DISPATCH_DAYS || 1); // Days between order and handover to the courier
+const SERVICEABILITY_CACHE_TTL_SECONDS = Number(process.env.SERVICEABILITY_CACHE_TTL_SECONDS || 600);
+const SERVICEABILITY_CACHE_MAX_ENTRIES = 5000;
+
+// pickup:delivery:weight -> { couriers, expiresAt }
+const serviceabilityCache = new Map();
+
+// Courier rates go up in half-kilo slabs, so weights in the same slab share a cache entry
+const toWeightSlab = (weight) => Math.max(Math.ceil(weight * 2) / 2, DEFAULT_PARCEL_WEIGHT);
+
+function pruneServiceabilityCache(now) {
+  for (const [key, entry] of serviceabilityCache) {
+    if (entry.expiresAt <= now) {
+      serviceabilityCache.delete(key);
+    }
+  }
+  // Still full of live entries: drop the oldest (Map keeps insertion order)
+  while (serviceabilityCache.size >= SERVICEABILITY_CACHE_MAX_ENTRIES) {
+    serviceabilityCache.delete(serviceabilityCache.keys().next().value);
+  }
+}
+
+/**
+ * Couriers that deliver from a pickup pincode to a pincode, cached for a few minutes
+ * per route and weight slab. Each courier carries a cod flag, so one lookup answers
+ * both prepaid and COD questions.
+ * @param {Object} params - { pickupPincode (defaults to SHIPROCKET_PICKUP_PINCODE), pincode, weight (kg) }.
+ * @returns {Promise<Array<Object>>} - Shiprocket available_courier_companies; empty when not serviceable.
+ * @throws {Error} - If Shiprocket cannot be reached (errors are not cached).
+ */
+exports.getServiceableCouriers = async ({
+  pickupPincode = SHIPROCKET_PICKUP_PINCODE,
+  pincode,
+  weight = DEFAULT_PARCEL_WEIGHT,
+}) => {
+  const slab = toWeightSlab(weight);
+  const key = `${pickupPincode}:${pincode}:${slab}`;
+  const now = Date.now();
+
+  const cached = serviceabilityCache.get(key);
+  if (cached && cached.expiresAt > now) {
+    return cached.couriers;
+  }
+
+  const couriers = await getShiprocketClient().checkServiceability({
+    pickupPincode,
+    deliveryPincode: pincode,
+    weight: slab,
+  });
+
+  if (serviceabilityCache.size >= SERVICEABILITY_CACHE_MAX_ENTRIES) {
+    pruneServiceabilityCache(now);
+  }
+  serviceabilityCache.set(key, { couriers, expiresAt: now + SERVICEABILITY_CACHE_TTL_SECONDS * 1000 });
+  return couriers;
+};
+
+/**
+ * Whether we deliver to a pincode, when, whether COD is possible and what shipping costs,
+ * optionally for a specific item (its packed weight, COD setting and price).
+ * @param {Object} params - Lookup inputs.
+ * @param {string} params.pincode - 6-digit delivery pincode.
+ * @param {string} [params.itemId] - Item to check.
+ * @param {number} [params.quantity] - Units of the item (default 1).
+ * @returns {Promise<Object>} - { pincode, deliverable, estimatedDeliveryDate, deliveryDays, codAvailable,
+ *   shippingCharge, expressShippingCharge (null when express is not offered), freeShippingAbove }.
+ * @throws {Error} - With statusCode 400 for a bad pincode / item ID, 404 for an unknown item,
+ *   503 if Shiprocket cannot be reached.
+ */
+exports.checkPincodeServiceability = async ({ pincode, itemId, quantity = 1 }) => {
+  if (!/^[1-9]\d{5}$/.test(String(pincode || ""))) {
+    throw httpError(400, "A valid 6-digit pincode is required");
+  }
+  const units = Number(quantity);
+  if (!Number.isInteger(units) || units < 1) {
+    throw httpError(400, "Quantity must be a positive integer");
+  }
+
+  let weight = DEFAULT_PARCEL_WEIGHT;
+  let itemCodAvailable = true;
+  let subtotal = 0;
+  let item = null;
+  if (itemId) {
+    if (!mongoose.Types.ObjectId.isValid(itemId)) {
+      throw httpError(400, "Invalid item ID");
+    }
+    let details;
+    [item, details] = await Promise.all([
+      Item.findById(itemId),
+      ItemDetails.findOne({ items: itemId }).select("dimensions"),
+    ]);
+    if (!item) {
+      throw httpError(404, "Item not found");
+    }
+    weight = calculateParcel([{ dimensions: details?.dimensions, quantity: units }]).chargeableWeight;
+    itemCodAvailable = item.isCodAvailable !== false;
+    subtotal = getEffectivePrice(item, await getActivePriceLists()).price * units;
+  }
+
+  let couriers;
+  try {
+    couriers = await exports.getServiceableCouriers({ pincode: String(pincode), weight });
+  } catch (error) {
+    console.error("Shiprocket serviceability lookup failed:", error);
+    throw httpError(503, "Unable to check delivery to this pincode right now");
+  }
+  const deliverable = couriers.length > 0;
+
+  let shipping = null;
+  let expressShipping = null;
+  if (deliverable) {
+    const shippingInputs = {
+      subtotal,
+      weight,
+      pincode: String(pincode),
+      lines: item ? [{ item_id: item._id, quantity: units }] : [],
+      items: item ? [item] : [],
+    };
+    shipping = await calculateShippingCharge(shippingInputs);
+    try {
+      expressShipping = await calculateShippingCharge({ ...shippingInputs, serviceLevel: "express" });
+    } catch (error) {
+      // 400: no express rule covers this pincode
+      if (error.statusCode !== 400) {
+        throw error;
+      }
+    }
+  }
+
+  let deliveryDays = null;
+  let estimatedDeliveryDate = null;
+  const transitDays = couriers
+    .map((courier) => Number(courier.estimated_delivery_days))
+    .filter((days) => Number.isFinite(days) && days > 0);
+  if (transitDays.length > 0) {
+    deliveryDays = { min: Math.min(...transitDays) + DISPATCH_DAYS, max: Math.max(...transitDays) + DISPATCH_DAYS };
+    // Promise the slower end so the date holds whichever courier is assigned
+    estimatedDeliveryDate = new Date(Date.now() + deliveryDays.max * 24 * 60 * 60 * 1000);
+  }
+
+  return {
+    pincode: String(pincode),
+    deliverable,
+    estimatedDeliveryDate,
+    deliveryDays,
+    codAvailable: deliverable && itemCodAvailable && couriers.some((courier) => Number(courier.cod) === 1),
+    shippingCharge: shipping ? shipping.charge : null,
+    expressShippingCharge: expressShipping ? expressShipping.charge : null,
+    freeShippingAbove: shipping ? shipping.freeShippingAbove : null,
+  };
+};
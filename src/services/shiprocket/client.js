@@ -0,0 +1,331 @@
+const { httpError } = require("../../utils/httpError"); // Errors carrying an HTTP status
+
+// Shiprocket tokens are valid for 10 days; refresh a day early to be safe
+const DEFAULT_TOKEN_TTL_MS = 9 * 24 * 60 * 60 * 1000;
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 60 * 1000;
+
+// Build an error carrying the HTTP status and Shiprocket's response body
+const shiprocketError = (statusCode, message, body) => httpError(statusCode, message, { response: body });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Shiprocket tokens are JWTs; use their exp claim when it can be read
+function getTokenExpiry(token, now) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+    if (payload.exp) {
+      return payload.exp * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+    }
+  } catch (error) {
+    // Not a JWT (e.g. the mock server); fall back to the documented lifetime
+  }
+  return now + DEFAULT_TOKEN_TTL_MS;
+}
+
+/**
+ * Creates a Shiprocket API client. The login token is cached until it expires and
+ * refreshed once on a 401; network errors, 429s and 5xx responses are retried with
+ * exponential backoff. Order creation is only retried on 429, since a timed-out
+ * create may still have gone through.
+ * @param {Object} config - Client configuration.
+ * @param {string|Function} config.baseUrl - API base (".../v1/external"), or an async function returning it.
+ * @param {string} config.email - API user email.
+ * @param {string} config.password - API user password.
+ * @param {number} [config.maxRetries] - Retries after the first attempt.
+ * @param {number} [config.retryDelayMs] - Delay before the first retry; doubles each time.
+ * @param {number} [config.timeoutMs] - Per-request timeout.
+ * @returns {Object} - Client with getToken, createAdhocOrder, createReturnOrder, createExchangeOrder,
+ *   assignAwb, trackAwb, ndrAction, cancelOrders, checkServiceability and getWalletBalance.
+ */
+exports.createShiprocketClient = ({
+  baseUrl,
+  email,
+  password,
+  maxRetries = 3,
+  retryDelayMs = 500,
+  timeoutMs = 15000,
+}) => {
+  let cachedToken = null;
+  let tokenExpiresAt = 0;
+  let pendingLogin = null;
+
+  const resolveBaseUrl = async () => (typeof baseUrl === "function" ? baseUrl() : baseUrl);
+
+  // One HTTP call with a timeout; returns { status, body, headers }
+  const send = async (method, path, { token, body, query } = {}) => {
+    const url = new URL(`${await resolveBaseUrl()}${path}`);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    });
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      ...(body !== undefined && { body: JSON.stringify(body) }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (error) {
+      parsed = { message: text };
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+  };
+
+  const login = async () => {
+    if (!email || !password) {
+      throw shiprocketError(500, "Shiprocket credentials are not configured (SHIPROCKET_EMAIL / SHIPROCKET_PASSWORD)");
+    }
+    const { status, body } = await send("POST", "/auth/login", { body: { email, password } });
+    if (status !== 200 || !body?.token) {
+      throw shiprocketError(status === 200 ? 502 : status, `Shiprocket authentication failed: ${body?.message || status}`, body);
+    }
+    cachedToken = body.token;
+    tokenExpiresAt = getTokenExpiry(body.token, Date.now());
+    return cachedToken;
+  };
+
+  // Concurrent callers share one login
+  const getToken = async ({ forceRefresh = false } = {}) => {
+    if (!forceRefresh && cachedToken && Date.now() < tokenExpiresAt) {
+      return cachedToken;
+    }
+    if (!pendingLogin) {
+      pendingLogin = login().finally(() => {
+        pendingLogin = null;
+      });
+    }
+    return pendingLogin;
+  };
+
+  const isRetryableStatus = (status, retryOn) =>
+    status === 429 || (retryOn === "all" && status >= 500);
+
+  /**
+   * Authenticated request with token refresh and retries.
+   * retryOn "all" retries network errors, 429 and 5xx; "rate_limit" only retries 429.
+   */
+  const request = async (method, path, { body, query, retryOn = "all" } = {}) => {
+    let refreshedToken = false;
+    for (let attempt = 0; ; attempt++) {
+      let result;
+      try {
+        const token = await getToken();
+        result = await send(method, path, { token, body, query });
+      } catch (error) {
+        if (error.statusCode || retryOn !== "all" || attempt >= maxRetries) {
+          throw error.statusCode ? error : shiprocketError(503, `Shiprocket request failed: ${error.message}`);
+        }
+        await sleep(retryDelayMs * 2 ** attempt);
+        continue;
+      }
+
+      if (result.status === 401 && !refreshedToken) {
+        // Token revoked or expired early: log in again once, without using up a retry
+        refreshedToken = true;
+        cachedToken = null;
+        attempt--;
+        continue;
+      }
+
+      if (isRetryableStatus(result.status, retryOn) && attempt < maxRetries) {
+        const retryAfter = Number(result.headers.get("retry-after"));
+        await sleep(retryAfter > 0 ? retryAfter * 1000 : retryDelayMs * 2 ** attempt);
+        continue;
+      }
+
+      if (result.status < 200 || result.status >= 300) {
+        throw shiprocketError(
+          result.status,
+          `Shiprocket ${method} ${path} failed: ${result.body?.message || result.status}`,
+          result.body
+        );
+      }
+      return result.body;
+    }
+  };
+
+  return {
+    getToken,
+
+    /**
+     * Creates a forward order. payload is the Shiprocket adhoc order body.
+     * @returns {Promise<Object>} - { order_id, shipment_id, status, status_code, ... }.
+     */
+    createAdhocOrder: async (payload) => {
+      const data = await request("POST", "/orders/create/adhoc", { body: payload, retryOn: "rate_limit" });
+      if (data?.status_code !== 1 || !data.order_id) {
+        throw shiprocketError(502, `Shiprocket order creation failed: ${data?.message || JSON.stringify(data)}`, data);
+      }
+      return data;
+    },
+
+    /**
+     * Creates a reverse pickup order.
+     * @returns {Promise<Object>} - { order_id, shipment_id, awb_code?, label_url?, ... }.
+     */
+    createReturnOrder: async (payload) => {
+      const data = await request("POST", "/orders/create/return", { body: payload, retryOn: "rate_limit" });
+      if (!data?.order_id) {
+        throw shiprocketError(502, `Shiprocket return creation failed: ${data?.message || JSON.stringify(data)}`, data);
+      }
+      return data;
+    },
+
+    /**
+     * Creates a paired return + forward exchange order.
+     * @returns {Promise<Object>} - data with return_orders and forward_orders.
+     */
+    createExchangeOrder: async (payload) => {
+      const data = await request("POST", "/orders/create/exchange", { body: payload, retryOn: "rate_limit" });
+      if (!data?.success) {
+        throw shiprocketError(502, `Shiprocket exchange creation failed: ${data?.message || JSON.stringify(data)}`, data);
+      }
+      return data.data || {};
+    },
+
+    /**
+     * Assigns an AWB to a shipment, optionally with a specific courier.
+     * @returns {Promise<Object>} - AWB data: awb_code, courier_company_id, courier_name, shipped_by, ...
+     * @throws {Error} - statusCode 402 when the Shiprocket wallet is too low to ship.
+     */
+    assignAwb: async ({ shipmentId, courierId }) => {
+      const data = await request("POST", "/courier/assign/awb", {
+        body: { shipment_id: shipmentId, ...(courierId && { courier_id: courierId }) },
+      });
+      if (data?.awb_assign_status !== 1 || !data.response?.data?.awb_code) {
+        if (data?.status_code === 350) {
+          throw shiprocketError(402, "Insufficient Shiprocket wallet balance", data);
+        }
+        const message = data?.response?.data?.awb_assign_error || data?.message || "Unknown error";
+        throw shiprocketError(502, `AWB assignment failed: ${message}`, data);
+      }
+      return data.response.data;
+    },
+
+    /**
+     * Generates one shipping label PDF covering the given shipments.
+     * @param {Array<number|string>} shipmentIds - Shiprocket shipment IDs with an AWB.
+     * @returns {Promise<Object>} - { labelUrl, notCreated: shipment IDs Shiprocket skipped }.
+     */
+    generateLabel: async (shipmentIds) => {
+      const data = await request("POST", "/courier/generate/label", { body: { shipment_id: shipmentIds } });
+      if (data?.label_created !== 1 || !data.label_url) {
+        throw shiprocketError(502, `Label generation failed: ${data?.response || data?.message || "Unknown error"}`, data);
+      }
+      return { labelUrl: data.label_url, notCreated: data.not_created || [] };
+    },
+
+    /**
+     * Generates the courier manifest for shipments whose pickup is scheduled.
+     * @param {Array<number|string>} shipmentIds - Shiprocket shipment IDs.
+     * @returns {Promise<string>} - Manifest PDF URL.
+     */
+    generateManifest: async (shipmentIds) => {
+      const data = await request("POST", "/manifests/generate", { body: { shipment_id: shipmentIds } });
+      if (!data?.manifest_url) {
+        throw shiprocketError(502, `Manifest generation failed: ${data?.message || "Unknown error"}`, data);
+      }
+      return data.manifest_url;
+    },
+
+    /**
+     * Asks the courier to collect shipments from their pickup location.
+     * @param {Object} params - { shipmentIds, pickupDate ("YYYY-MM-DD", defaults to Shiprocket's next slot) }.
+     * @returns {Promise<Object>} - Shiprocket's response: pickup_token_number, pickup_scheduled_date, ...
+     */
+    generatePickup: async ({ shipmentIds, pickupDate }) => {
+      const data = await request("POST", "/courier/generate/pickup", {
+        body: { shipment_id: shipmentIds, ...(pickupDate && { pickup_date: [pickupDate] }) },
+      });
+      if (data?.pickup_status !== 1 || !data.response) {
+        throw shiprocketError(502, `Pickup scheduling failed: ${data?.message || "Unknown error"}`, data);
+      }
+      return data.response;
+    },
+
+    /**
+     * Tracking for one AWB.
+     * @returns {Promise<Object|null>} - tracking_data, or null when Shiprocket has none yet.
+     */
+    trackAwb: async (awbCode) => {
+      const data = await request("GET", `/courier/track/awb/${encodeURIComponent(awbCode)}`);
+      return data?.tracking_data || null;
+    },
+
+    /**
+     * Tells the courier what to do with a shipment after a failed delivery attempt (NDR).
+     * @param {string} awbCode - AWB of the undelivered shipment.
+     * @param {Object} params - { action: "re-attempt" | "return", comments, phone, address1, address2,
+     *   deferredDate ("YYYY-MM-DD", when to re-attempt) }.
+     * @returns {Promise<Object>} - Shiprocket's response.
+     */
+    ndrAction: async (awbCode, { action, comments, phone, address1, address2, deferredDate }) => {
+      return request("POST", `/ndr/${encodeURIComponent(awbCode)}/action`, {
+        body: {
+          action,
+          comments,
+          ...(phone && { phone }),
+          ...(address1 && { address1 }),
+          ...(address2 && { address2 }),
+          ...(deferredDate && { deferred_date: deferredDate }),
+        },
+      });
+    },
+
+    /**
+     * Cancels Shiprocket orders by their Shiprocket order IDs.
+     * @returns {Promise<Object>} - Shiprocket's response.
+     */
+    cancelOrders: async (ids) => {
+      return request("POST", "/orders/cancel", { body: { ids } });
+    },
+
+    /**
+     * Couriers that can carry a parcel between two pincodes.
+     * @param {Object} params - { pickupPincode, deliveryPincode, weight (kg), cod, declaredValue }.
+     * @returns {Promise<Array<Object>>} - available_courier_companies, empty when none serve the route.
+     */
+    checkServiceability: async ({ pickupPincode, deliveryPincode, weight = 0.5, cod = false, declaredValue }) => {
+      try {
+        const data = await request("GET", "/courier/serviceability/", {
+          query: {
+            pickup_postcode: pickupPincode,
+            delivery_postcode: deliveryPincode,
+            weight,
+            cod: cod ? 1 : 0,
+            declared_value: declaredValue,
+          },
+        });
+        return data?.data?.available_courier_companies || [];
+      } catch (error) {
+        // Shiprocket answers 404 for pincodes it cannot serve
+        if (error.statusCode === 404) {
+          return [];
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Current Shiprocket wallet balance, in rupees.
+     * @returns {Promise<number>}
+     */
+    getWalletBalance: async () => {
+      const data = await request("GET", "/account/details/wallet-balance");
+      const balance = Number(data?.data?.balance_amount ?? data?.data?.available_balance);
+      if (!Number.isFinite(balance)) {
+        throw shiprocketError(502, "Shiprocket wallet balance missing from response", data);
+      }
+      return balance;
+    },
+  };
+};
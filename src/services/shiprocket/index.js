@@ -0,0 +1,57 @@
+// Import client factory and mock server
+const { createShiprocketClient } = require("./client");
+const { startShiprocketMockServer } = require("./mockServer");
+
+const SHIPROCKET_API_BASE = process.env.SHIPROCKET_API_BASE || "https://apiv2.shiprocket.in/v1/external";
+
+let client = null;
+
+/**
+ * Returns the configured Shiprocket client (created once per process, so the login
+ * token is shared). SHIPROCKET_MOCK=true starts the in-process mock server on first use;
+ * otherwise SHIPROCKET_EMAIL / SHIPROCKET_PASSWORD are used against SHIPROCKET_API_BASE.
+ * @returns {Object} - Client created by createShiprocketClient.
+ */
+exports.getShiprocketClient = () => {
+  if (client) {
+    return client;
+  }
+
+  const retryOptions = {
+    maxRetries: Number(process.env.SHIPROCKET_MAX_RETRIES || 3),
+    retryDelayMs: Number(process.env.SHIPROCKET_RETRY_DELAY_MS || 500),
+    timeoutMs: Number(process.env.SHIPROCKET_TIMEOUT_MS || 15000),
+  };
+
+  if (process.env.SHIPROCKET_MOCK === "true") {
+    let mockServer = null;
+    client = createShiprocketClient({
+      ...retryOptions,
+      baseUrl: async () => {
+        mockServer = mockServer || startShiprocketMockServer();
+        return (await mockServer).url;
+      },
+      email: "mock@example.com",
+      password: "mock",
+    });
+  } else {
+    client = createShiprocketClient({
+      ...retryOptions,
+      baseUrl: SHIPROCKET_API_BASE,
+      email: process.env.SHIPROCKET_EMAIL,
+      password: process.env.SHIPROCKET_PASSWORD,
+    });
+  }
+  return client;
+};
+
+/**
+ * Overrides the active client (e.g. one pointed at a mock server in scripts).
+ * @param {Object|null} override - Client instance, or null to fall back to configuration.
+ */
+exports.setShiprocketClient = (override) => {
+  client = override;
+};
+
+exports.createShiprocketClient = createShiprocketClient;
+exports.startShiprocketMockServer = startShiprocketMockServer;
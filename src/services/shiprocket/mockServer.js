@@ -0,0 +1,380 @@
+// Import required dependencies
+const http = require("http"); // In-process HTTP server
+
+const API_PREFIX = "/v1/external";
+
+// Couriers offered on every serviceable route
+const MOCK_COURIERS = [
+  {
+    courier_company_id: 1,
+    courier_name: "Mock Surface",
+    rate: 60,
+    etd: "5 days",
+    estimated_delivery_days: "5",
+    cod: 1,
+    rating: 3.8,
+    zone: "z_d",
+  },
+  {
+    courier_company_id: 2,
+    courier_name: "Mock Express",
+    rate: 110,
+    etd: "2 days",
+    estimated_delivery_days: "2",
+    cod: 0,
+    rating: 4.4,
+    zone: "z_d",
+  },
+];
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Starts an in-process HTTP server that mimics the Shiprocket endpoints the client uses,
+ * so fulfilment, return and tracking flows can run without network access. State is kept
+ * in memory: orders, shipments by AWB, and a wallet that AWB assignment draws from.
+ * @param {Object} [options] - Server options.
+ * @param {number} [options.port] - Port to listen on; 0 picks a free one.
+ * @param {number} [options.walletBalance] - Starting Shiprocket wallet balance, in rupees.
+ * @returns {Promise<Object>} - { url, state, failNext, expireTokens, setShipmentStatus, close }.
+ */
+exports.startShiprocketMockServer = async ({ port = 0, walletBalance = 5000 } = {}) => {
+  const state = {
+    walletBalance,
+    tokens: new Set(),
+    orders: new Map(), // Shiprocket order_id -> order
+    shipments: new Map(), // shipment_id -> shipment
+    unserviceablePincodes: new Set(),
+    requests: [],
+  };
+  const failures = [];
+  let sequence = 0;
+  const nextId = () => 100000 + ++sequence;
+
+  const createShipment = (orderId, payload, type) => {
+    const shipment = {
+      shipment_id: nextId(),
+      order_id: orderId,
+      type,
+      status: "NEW",
+      weight: Number(payload.weight) || 0.5,
+      awb_code: null,
+      activities: [],
+    };
+    state.shipments.set(shipment.shipment_id, shipment);
+    return shipment;
+  };
+
+  const createOrder = (payload, type) => {
+    const order = { order_id: nextId(), channel_order_id: payload.order_id, type, status: "NEW", payload };
+    state.orders.set(order.order_id, order);
+    return { order, shipment: createShipment(order.order_id, payload, type) };
+  };
+
+  const routes = {
+    "POST /auth/login": (body) => {
+      if (!body.email || !body.password) {
+        return [400, { message: "Email and password are required" }];
+      }
+      const token = `mock_token_${nextId()}`;
+      state.tokens.add(token);
+      return [200, { token, email: body.email }];
+    },
+
+    "POST /orders/create/adhoc": (body) => {
+      const { order, shipment } = createOrder(body, "forward");
+      return [200, { order_id: order.order_id, shipment_id: shipment.shipment_id, status: "NEW", status_code: 1 }];
+    },
+
+    "POST /orders/create/return": (body) => {
+      const { order, shipment } = createOrder(body, "return");
+      return [200, { order_id: order.order_id, shipment_id: shipment.shipment_id, status: "RETURN PENDING", status_code: 21 }];
+    },
+
+    "POST /orders/create/exchange": (body) => {
+      const returned = createOrder({ ...body, order_id: body.return_order_id, weight: body.return_weight }, "return");
+      const forward = createOrder({ ...body, order_id: body.exchange_order_id, weight: body.exchange_weight }, "forward");
+      return [
+        200,
+        {
+          success: true,
+          data: {
+            return_orders: { order_id: returned.order.order_id, shipment_id: returned.shipment.shipment_id },
+            forward_orders: { order_id: forward.order.order_id, shipment_id: forward.shipment.shipment_id },
+          },
+        },
+      ];
+    },
+
+    "POST /courier/assign/awb": (body) => {
+      const shipment = state.shipments.get(Number(body.shipment_id));
+      if (!shipment) {
+        return [400, { message: `Shipment ${body.shipment_id} not found`, status_code: 400 }];
+      }
+      const courier = MOCK_COURIERS.find((c) => c.courier_company_id === Number(body.courier_id)) || MOCK_COURIERS[0];
+      const freight = Math.ceil(shipment.weight / 0.5) * courier.rate;
+      if (!shipment.awb_code) {
+        if (state.walletBalance < freight) {
+          return [200, { awb_assign_status: 0, status_code: 350, message: "Insufficient wallet balance" }];
+        }
+        state.walletBalance -= freight;
+        shipment.awb_code = `MOCKAWB${shipment.shipment_id}`;
+        shipment.courier = courier;
+        shipment.freight = freight;
+        shipment.status = "AWB ASSIGNED";
+      }
+      return [
+        200,
+        {
+          awb_assign_status: 1,
+          response: {
+            data: {
+              awb_code: shipment.awb_code,
+              shipment_id: shipment.shipment_id,
+              order_id: shipment.order_id,
+              courier_company_id: shipment.courier.courier_company_id,
+              courier_name: shipment.courier.courier_name,
+              freight_charges: shipment.freight,
+              applied_weight: shipment.weight,
+              routing_code: "MOCK/RT",
+              invoice_no: `INV${shipment.order_id}`,
+              transporter_id: "",
+              transporter_name: "",
+              shipped_by: {
+                shipper_company_name: "Mock Warehouse",
+                shipper_address_1: "1 Test Street",
+                shipper_address_2: "",
+                shipper_city: "New Delhi",
+                shipper_state: "Delhi",
+                shipper_country: "India",
+                shipper_postcode: "110001",
+                shipper_phone: "9999999999",
+                shipper_email: "warehouse@example.com",
+              },
+            },
+          },
+        },
+      ];
+    },
+
+    "POST /courier/generate/label": (body) => {
+      const ids = (body.shipment_id || []).map(Number);
+      const labelled = ids.filter((id) => state.shipments.get(id)?.awb_code);
+      if (labelled.length === 0) {
+        return [400, { message: "Label can be generated only for shipments with an AWB" }];
+      }
+      return [
+        200,
+        {
+          label_created: 1,
+          label_url: `https://mock-shiprocket.local/labels/${labelled.join("-")}.pdf`,
+          response: "Label has been created and uploaded successfully!",
+          not_created: ids.filter((id) => !labelled.includes(id)),
+        },
+      ];
+    },
+
+    "POST /courier/generate/pickup": (body) => {
+      const shipments = (body.shipment_id || []).map((id) => state.shipments.get(Number(id)));
+      if (shipments.length === 0 || shipments.some((shipment) => !shipment?.awb_code)) {
+        return [400, { message: "Pickup can be generated only for shipments with an AWB" }];
+      }
+      const scheduledDate = body.pickup_date?.[0] || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const token = `MOCKPICKUP${shipments[0].shipment_id}`;
+      shipments.forEach((shipment) => {
+        shipment.pickup_token = token;
+        shipment.status = "PICKUP SCHEDULED";
+      });
+      return [
+        200,
+        {
+          pickup_status: 1,
+          response: {
+            pickup_scheduled_date: `${scheduledDate} 10:00:00`,
+            pickup_token_number: token,
+            status: 3,
+            pickup_generated_date: { date: new Date().toISOString() },
+            data: "Pickup is scheduled",
+          },
+        },
+      ];
+    },
+
+    "POST /manifests/generate": (body) => {
+      const shipments = (body.shipment_id || []).map((id) => state.shipments.get(Number(id)));
+      if (shipments.length === 0 || shipments.some((shipment) => !shipment?.pickup_token)) {
+        return [400, { message: "Manifest can be generated only after the pickup is generated" }];
+      }
+      return [
+        200,
+        {
+          status: 1,
+          manifest_url: `https://mock-shiprocket.local/manifests/${shipments.map((s) => s.shipment_id).join("-")}.pdf`,
+        },
+      ];
+    },
+
+    "POST /orders/cancel": (body) => {
+      const ids = Array.isArray(body.ids) ? body.ids : [];
+      const missing = ids.filter((id) => !state.orders.has(Number(id)));
+      if (ids.length === 0 || missing.length > 0) {
+        return [400, { message: `Orders not found: ${missing.join(", ") || "none given"}` }];
+      }
+      ids.forEach((id) => {
+        state.orders.get(Number(id)).status = "CANCELED";
+      });
+      return [200, { status_code: 200, message: "Order cancelled successfully." }];
+    },
+
+    "GET /courier/serviceability/": (body, query) => {
+      if (!query.get("pickup_postcode") || !query.get("delivery_postcode")) {
+        return [422, { message: "pickup_postcode and delivery_postcode are required" }];
+      }
+      if (state.unserviceablePincodes.has(query.get("delivery_postcode"))) {
+        return [404, { status: 404, message: "No courier serviceable for the delivery pincode" }];
+      }
+      const cod = query.get("cod") === "1";
+      const couriers = MOCK_COURIERS.filter((courier) => !cod || courier.cod === 1);
+      return [200, { status: 200, data: { available_courier_companies: couriers } }];
+    },
+
+    "GET /account/details/wallet-balance": () => [200, { data: { balance_amount: state.walletBalance.toFixed(2) } }],
+  };
+
+  const trackRoute = (awbCode) => {
+    const shipment = [...state.shipments.values()].find((s) => s.awb_code === awbCode);
+    if (!shipment) {
+      return [200, { tracking_data: { track_status: 0, error: `No activities found for AWB ${awbCode}` } }];
+    }
+    return [
+      200,
+      {
+        tracking_data: {
+          track_status: 1,
+          shipment_status: shipment.status,
+          shipment_track: [{ awb_code: awbCode, current_status: shipment.status, courier_name: shipment.courier?.courier_name }],
+          shipment_track_activities: shipment.activities,
+          track_url: `https://shiprocket.co/tracking/${awbCode}`,
+        },
+      },
+    ];
+  };
+
+  // Customer / seller instruction for an undelivered shipment
+  const ndrActionRoute = (awbCode, body) => {
+    const shipment = [...state.shipments.values()].find((s) => s.awb_code === awbCode);
+    if (!shipment) {
+      return [404, { message: `No shipment with AWB ${awbCode}`, status_code: 404 }];
+    }
+    if (shipment.status !== "UNDELIVERED") {
+      return [422, { message: "NDR action is only allowed for undelivered shipments", status_code: 422 }];
+    }
+    if (!["re-attempt", "return"].includes(body.action)) {
+      return [422, { message: "action must be re-attempt or return", status_code: 422 }];
+    }
+    shipment.ndrActions = [...(shipment.ndrActions || []), body];
+    if (body.action === "return") {
+      shipment.status = "RTO INITIATED";
+    }
+    return [200, { status: true, message: "NDR action submitted successfully" }];
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : url.pathname;
+    state.requests.push({ method: req.method, path });
+
+    const failureIndex = failures.findIndex((failure) => failure.path === path && failure.times > 0);
+    if (failureIndex !== -1) {
+      const failure = failures[failureIndex];
+      failure.times -= 1;
+      if (failure.times === 0) {
+        failures.splice(failureIndex, 1);
+      }
+      return sendJson(res, failure.status, { message: `Mock failure (${failure.status})` });
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      return sendJson(res, 400, { message: "Invalid JSON body" });
+    }
+
+    if (path !== "/auth/login") {
+      const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+      if (!state.tokens.has(token)) {
+        return sendJson(res, 401, { message: "Token has expired", status_code: 401 });
+      }
+    }
+
+    // Routes with the AWB in the path
+    const trackMatch = req.method === "GET" && path.match(/^\/courier\/track\/awb\/([^/]+)$/);
+    const ndrMatch = req.method === "POST" && path.match(/^\/ndr\/([^/]+)\/action$/);
+    let handler = routes[`${req.method} ${path}`];
+    if (trackMatch) {
+      handler = () => trackRoute(decodeURIComponent(trackMatch[1]));
+    } else if (ndrMatch) {
+      handler = () => ndrActionRoute(decodeURIComponent(ndrMatch[1]), body);
+    }
+    if (!handler) {
+      return sendJson(res, 404, { message: `No mock route for ${req.method} ${path}` });
+    }
+    const [status, response] = handler(body, url.searchParams);
+    sendJson(res, status, response);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+  // Do not keep the process alive just for the mock
+  server.unref();
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}${API_PREFIX}`,
+    state,
+
+    // Make the next `times` requests to `path` (e.g. "/courier/assign/awb") answer with `status`
+    failNext: (path, { status = 500, times = 1 } = {}) => {
+      failures.push({ path, status, times });
+    },
+
+    // Invalidate every issued token, as if they had expired
+    expireTokens: () => {
+      state.tokens.clear();
+    },
+
+    // Move a shipment along (e.g. "IN TRANSIT", "DELIVERED") and record a tracking activity
+    setShipmentStatus: (awbCode, status, activity = status) => {
+      const shipment = [...state.shipments.values()].find((s) => s.awb_code === awbCode);
+      if (!shipment) {
+        throw new Error(`No mock shipment with AWB ${awbCode}`);
+      }
+      shipment.status = status;
+      shipment.activities.unshift({ date: new Date().toISOString(), status, activity, location: "Mock Hub" });
+      return shipment;
+    },
+
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+};
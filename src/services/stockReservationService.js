@@ -0,0 +1,304 @@
+// Import required dependencies
+const Item = require("../models/Item"); // Mongoose model for Item collection
+const ItemDetails = require("../models/ItemDetails"); // Mongoose model for ItemDetails collection
+const StockReservation = require("../models/StockReservation"); // Mongoose model for StockReservation collection
+const WarehouseStock = require("../models/WarehouseStock"); // Mongoose model for WarehouseStock collection
+const { rankWarehousesForLines } = require("./warehouseService"); // Warehouse allocation
+const { runInTransaction } = require("../utils/transaction"); // MongoDB transactions
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// Moves units of one SKU between available stock and reserved stock (negative quantity moves them back).
+// Taking units only succeeds while enough are available. Lines held at a warehouse move there too.
+async function moveToReserved({ item_id, sku, quantity, warehouse }, session) {
+  if (warehouse) {
+    const warehouseFilter = { warehouse, item: item_id, sku, ...(quantity > 0 && { stock: { $gte: quantity } }) };
+    const moved = await WarehouseStock.updateOne(
+      warehouseFilter,
+      { $inc: { stock: -quantity, reserved: quantity } },
+      { session }
+    );
+    if (moved.modifiedCount === 0) {
+      return false;
+    }
+  }
+
+  const sizeFilter = quantity > 0 ? { "size.sku": sku, "size.stock": { $gte: quantity } } : { "size.sku": sku };
+  const result = await ItemDetails.updateOne(
+    { items: item_id },
+    { $inc: { "colors.$[].sizes.$[size].stock": -quantity, "colors.$[].sizes.$[size].reserved": quantity } },
+    { arrayFilters: [sizeFilter], session }
+  );
+  if (result.modifiedCount > 0) {
+    // Keep the item-level total in step with its sizes
+    await Item.updateOne({ _id: item_id }, { $inc: { stock: -quantity } }, { session });
+    return true;
+  }
+  if (warehouse) {
+    await WarehouseStock.updateOne(
+      { warehouse, item: item_id, sku },
+      { $inc: { stock: quantity, reserved: -quantity } },
+      { session }
+    );
+  }
+  return false;
+}
+
+// Reserves every line or none; on a shortage puts back what was taken and returns the short line
+async function reserveLines(lines, session) {
+  const taken = [];
+  for (const line of lines) {
+    if (await moveToReserved(line, session)) {
+      taken.push(line);
+      continue;
+    }
+    for (const takenLine of taken) {
+      await moveToReserved({ ...takenLine, quantity: -takenLine.quantity }, session);
+    }
+    return line;
+  }
+  return null;
+}
+
+// Builds the error for a SKU that could not be reserved
+async function shortageError({ item_id, sku, quantity }, session) {
+  const itemDetails = await ItemDetails.findOne({ items: item_id }).session(session || null);
+  if (!itemDetails) {
+    return httpError(409, `ItemDetails not found for item ID: ${item_id}`);
+  }
+  const sizeEntry = itemDetails.colors.flatMap((color) => color.sizes).find((size) => size.sku === sku);
+  if (!sizeEntry) {
+    return httpError(409, `SKU ${sku} not found for item ID: ${item_id}`);
+  }
+  return httpError(
+    409,
+    `Insufficient stock for SKU ${sku} of item ID: ${item_id}. Available: ${sizeEntry.stock}, Requested: ${quantity}`
+  );
+}
+
+/**
+ * Holds the SKU quantities of an order until expiresAt. All lines are reserved or none:
+ * if one runs short, the ones already taken are put back. Calling it again for an order
+ * that is still held just extends the hold. Items stocked per warehouse are held at one
+ * warehouse where possible: the closest to the delivery pincode that has every such line,
+ * falling back to the next closest if stock moves underneath us. With allowSplit, an order
+ * no single warehouse can cover takes each line from the closest warehouse that has it
+ * (and then ships in several parcels).
+ * @param {Object} params - Reservation inputs.
+ * @param {string} params.orderId - Order the stock is held for.
+ * @param {string} [params.userId] - Customer placing it.
+ * @param {Array<Object>} params.lines - [{ item_id, sku, quantity }], e.g. order.item_quantities.
+ * @param {Date} params.expiresAt - When the hold lapses if the order is still unpaid.
+ * @param {string} [params.pincode] - Delivery pincode, used to pick the nearest warehouse.
+ * @param {boolean} [params.allowSplit] - Whether lines may come from different warehouses (not for COD,
+ *   whose cash is collected on a single shipment).
+ * @param {Object} [params.session] - MongoDB session when part of a transaction.
+ * @returns {Promise<Object>} - The held StockReservation document.
+ * @throws {Error} - With statusCode 409 ("Insufficient stock ...") when a SKU cannot be reserved.
+ */
+exports.reserveStock = async ({ orderId, userId, lines, expiresAt, pincode, allowSplit = false, session }) => {
+  const reservationLines = lines.map((line) => ({
+    item_id: line.item_id?._id || line.item_id,
+    sku: line.sku,
+    quantity: line.quantity,
+  }));
+
+  const existing = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: "held" },
+    { $set: { expires_at: expiresAt } },
+    { new: true, session }
+  );
+  if (existing) {
+    return existing;
+  }
+
+  // Claim the reservation first so two callers never take the stock twice
+  let reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: "released" },
+    {
+      $set: { status: "held", lines: reservationLines, expires_at: expiresAt, released_at: null, release_reason: null },
+    },
+    { new: true, session }
+  );
+  if (!reservation) {
+    try {
+      [reservation] = await StockReservation.create(
+        [{ order: orderId, user: userId, lines: reservationLines, expires_at: expiresAt }],
+        { session }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError(409, "Stock for this order is already being reserved or was already sold");
+      }
+      throw error;
+    }
+  }
+
+  const { managedItemIds, warehouses } = await rankWarehousesForLines({ lines: reservationLines, pincode, session });
+  // No warehouse stock for these items: hold against the catalogue totals alone
+  const candidates = managedItemIds.size === 0 ? [null] : warehouses;
+
+  let shortLine = reservationLines.find((line) => managedItemIds.has(line.item_id.toString())) || reservationLines[0];
+  for (const warehouse of candidates) {
+    const allocated = reservationLines.map((line) => ({
+      ...line,
+      warehouse: warehouse && managedItemIds.has(line.item_id.toString()) ? warehouse._id : null,
+    }));
+    shortLine = await reserveLines(allocated, session);
+    if (!shortLine) {
+      return StockReservation.findByIdAndUpdate(
+        reservation._id,
+        { $set: { lines: allocated, warehouse: warehouse?._id || null } },
+        { new: true, session }
+      );
+    }
+  }
+
+  if (allowSplit && managedItemIds.size > 0) {
+    const taken = [];
+    for (const line of reservationLines) {
+      const options = managedItemIds.has(line.item_id.toString())
+        ? (await rankWarehousesForLines({ lines: [line], pincode, session })).warehouses.map((w) => w._id)
+        : [null];
+      let allocated = null;
+      for (const warehouse of options) {
+        if (await moveToReserved({ ...line, warehouse }, session)) {
+          allocated = { ...line, warehouse };
+          break;
+        }
+      }
+      if (!allocated) {
+        shortLine = line;
+        break;
+      }
+      taken.push(allocated);
+    }
+
+    if (taken.length === reservationLines.length) {
+      const warehouses = new Set(taken.map((line) => String(line.warehouse)));
+      return StockReservation.findByIdAndUpdate(
+        reservation._id,
+        { $set: { lines: taken, warehouse: warehouses.size === 1 ? taken[0].warehouse : null } },
+        { new: true, session }
+      );
+    }
+    for (const takenLine of taken) {
+      await moveToReserved({ ...takenLine, quantity: -takenLine.quantity }, session);
+    }
+  }
+
+  await StockReservation.updateOne(
+    { _id: reservation._id },
+    { $set: { status: "released", released_at: new Date(), release_reason: "Insufficient stock" } },
+    { session }
+  );
+  throw await shortageError(shortLine, session);
+};
+
+/**
+ * Turns an order's held stock into a sale once it is paid.
+ * @param {string} orderId - Order ID.
+ * @param {Object} [options] - { session } when part of a transaction.
+ * @returns {Promise<Object|null>} - The converted reservation, or null if the order holds no stock.
+ */
+exports.convertReservation = async (orderId, { session } = {}) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: "held" },
+    { $set: { status: "converted", converted_at: new Date() } },
+    { new: true, session }
+  );
+  if (!reservation) {
+    return null;
+  }
+
+  // Sold units leave the reserved count; available stock was already reduced
+  for (const line of reservation.lines) {
+    if (line.warehouse) {
+      await WarehouseStock.updateOne(
+        { warehouse: line.warehouse, item: line.item_id, sku: line.sku },
+        { $inc: { reserved: -line.quantity } },
+        { session }
+      );
+    }
+    await ItemDetails.updateOne(
+      { items: line.item_id },
+      { $inc: { "colors.$[].sizes.$[size].reserved": -line.quantity } },
+      { arrayFilters: [{ "size.sku": line.sku }], session }
+    );
+  }
+  return reservation;
+};
+
+/**
+ * Puts an unpaid order's held stock back on sale. Runs at most once per hold.
+ * @param {string} orderId - Order ID.
+ * @param {string} [reason] - Why it was released (expired, payment failed, cancelled...).
+ * @returns {Promise<Object|null>} - The released reservation, or null if nothing was held.
+ */
+exports.releaseReservation = async (orderId, reason) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: "held" },
+    { $set: { status: "released", released_at: new Date(), release_reason: reason } },
+    { new: true }
+  );
+  if (!reservation) {
+    return null;
+  }
+
+  for (const line of reservation.lines) {
+    await moveToReserved({ ...line.toObject(), quantity: -line.quantity });
+  }
+  return reservation;
+};
+
+/**
+ * Puts a cancelled sale's units back on sale, at the warehouses they were sold from. Only
+ * for orders none of whose parcels has left the warehouse. Runs at most once per order.
+ * @param {string} orderId - Order ID.
+ * @param {string} [reason] - Why the sale was undone.
+ * @returns {Promise<Object|null>} - The restocked reservation, or null if the order sold no reserved stock.
+ */
+exports.restockConvertedReservation = async (orderId, reason) =>
+  // The status only changes together with the stock, so a failed restock can be run again
+  runInTransaction(async (session) => {
+    const reservation = await StockReservation.findOneAndUpdate(
+      { order: orderId, status: "converted" },
+      { $set: { status: "restocked", restocked_at: new Date(), release_reason: reason } },
+      { new: true, session }
+    );
+    if (!reservation) {
+      return null;
+    }
+
+    for (const line of reservation.lines) {
+      if (line.warehouse) {
+        await WarehouseStock.updateOne(
+          { warehouse: line.warehouse, item: line.item_id, sku: line.sku },
+          { $inc: { stock: line.quantity } },
+          { session }
+        );
+      }
+      await ItemDetails.updateOne(
+        { items: line.item_id },
+        { $inc: { "colors.$[].sizes.$[size].stock": line.quantity } },
+        { arrayFilters: [{ "size.sku": line.sku }], session }
+      );
+      await Item.updateOne({ _id: line.item_id }, { $inc: { stock: line.quantity } }, { session });
+    }
+    return reservation;
+  });
+
+/**
+ * Releases every hold whose time has run out, whatever became of its order.
+ * @param {Date} [now] - Reference time (defaults to the current time).
+ * @returns {Promise<number>} - Number of reservations released.
+ */
+exports.releaseExpiredReservations = async (now = new Date()) => {
+  const expired = await StockReservation.find({ status: "held", expires_at: { $lte: now } }, "order");
+  let released = 0;
+  for (const { order } of expired) {
+    if (await exports.releaseReservation(order, "Reservation expired")) {
+      released += 1;
+    }
+  }
+  return released;
+};
@@ -0,0 +1,191 @@
+// Import required dependencies
+const Item = require("../models/Item"); // Mongoose model for Item collection
+const SubCategory = require("../models/SubCategory"); // Mongoose model for SubCategory collection
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+// GST defaults, configurable per environment. Catalogue prices are GST-inclusive.
+const DEFAULT_HSN_CODE = process.env.DEFAULT_HSN_CODE || "6109";
+const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE || 5);
+const SHIPPING_SAC_CODE = process.env.SHIPPING_SAC_CODE || "996812";
+const SHIPPING_GST_RATE = Number(process.env.SHIPPING_GST_RATE || 18);
+const SHIPPER_STATE = process.env.SHIPPER_STATE || "Delhi";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// State the goods ship from; also the seller state printed on invoices
+exports.SHIPPER_STATE = SHIPPER_STATE;
+
+// Alternative spellings of state names seen in saved addresses
+const STATE_ALIASES = {
+  newdelhi: "delhi",
+  nctofdelhi: "delhi",
+  orissa: "odisha",
+  pondicherry: "puducherry",
+};
+
+/**
+ * Normalises a state name so "Tamil Nadu", "tamil nadu " and "TAMILNADU" compare equal.
+ * @param {string} state - State name.
+ * @returns {string} - Normalised key ("" when missing).
+ */
+const normaliseState = (state) => {
+  const key = String(state || "").toLowerCase().replace(/[^a-z]/g, "");
+  return STATE_ALIASES[key] || key;
+};
+
+/**
+ * Parses GST price slabs sent by the admin panel (JSON string or array).
+ * @param {string|Array<Object>} slabs - [{ minPrice, maxPrice, rate }]; maxPrice may be omitted for the top slab.
+ * @returns {Array<Object>} - Validated slabs sorted by minPrice.
+ * @throws {Error} - With statusCode 400 if the slabs are malformed.
+ */
+exports.parseGstSlabs = (slabs) => {
+  let parsed = slabs;
+  if (typeof slabs === "string") {
+    try {
+      parsed = JSON.parse(slabs);
+    } catch (error) {
+      parsed = null;
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    throw httpError(400, "Invalid gstSlabs format");
+  }
+
+  const result = [];
+  for (const slab of parsed) {
+    const minPrice = Number(slab.minPrice || 0);
+    const hasMax = slab.maxPrice !== undefined && slab.maxPrice !== null && slab.maxPrice !== "";
+    const maxPrice = hasMax ? Number(slab.maxPrice) : undefined;
+    const rate = Number(slab.rate);
+    if (Number.isNaN(minPrice) || Number.isNaN(rate) || rate < 0 || (hasMax && Number.isNaN(maxPrice))) {
+      throw httpError(400, "Each GST slab needs a numeric minPrice, optional maxPrice and rate");
+    }
+    result.push({ minPrice, maxPrice, rate });
+  }
+  return result.sort((a, b) => a.minPrice - b.minPrice);
+};
+
+/**
+ * Works out the HSN code and GST rate for one unit of an item.
+ * Item settings override its SubCategory; price slabs override a flat rate.
+ * @param {Object} item - Item document.
+ * @param {Object} [subCategory] - The item's SubCategory document.
+ * @param {number} unitPrice - GST-inclusive price of one unit, after discounts.
+ * @returns {Object} - { hsnCode, gstRate }.
+ */
+exports.resolveTaxRule = (item, subCategory, unitPrice) => {
+  const hsnCode = item?.hsnCode || subCategory?.hsnCode || DEFAULT_HSN_CODE;
+
+  const slabs = item?.gstSlabs?.length ? item.gstSlabs : subCategory?.gstSlabs || [];
+  const slab = slabs.find(
+    (s) => unitPrice >= (s.minPrice || 0) && (s.maxPrice === undefined || s.maxPrice === null || unitPrice <= s.maxPrice)
+  );
+  if (slab) {
+    return { hsnCode, gstRate: slab.rate };
+  }
+
+  const gstRate = item?.gstRate ?? subCategory?.gstRate ?? DEFAULT_GST_RATE;
+  return { hsnCode, gstRate };
+};
+
+/**
+ * Splits a GST-inclusive amount into taxable value and CGST/SGST or IGST.
+ * @param {number} amount - GST-inclusive amount in rupees.
+ * @param {number} gstRate - GST rate in percent.
+ * @param {boolean} interState - True for IGST, false for CGST + SGST.
+ * @returns {Object} - { taxable_value, cgst, sgst, igst }.
+ */
+exports.splitInclusiveAmount = (amount, gstRate, interState) => {
+  const taxableValue = roundAmount(amount / (1 + gstRate / 100));
+  const tax = roundAmount(amount - taxableValue);
+  if (interState) {
+    return { taxable_value: taxableValue, cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = roundAmount(tax / 2);
+  return { taxable_value: taxableValue, cgst, sgst: roundAmount(tax - cgst), igst: 0 };
+};
+
+/**
+ * Calculates the GST breakdown of an order. The promo discount is shared across lines
+ * in proportion to their value (as refunds do); any excess reduces the shipping charge.
+ * @param {Object} params - Order figures.
+ * @param {Array<Object>} params.lines - [{ item_id, quantity, unit_price }].
+ * @param {number} [params.promoDiscount] - Order-level discount in rupees.
+ * @param {number} [params.shippingCost] - Shipping charged, in rupees.
+ * @param {number} [params.codFee] - COD handling fee, taxed with shipping.
+ * @param {string} [params.destinationState] - order.address.state; decides CGST/SGST vs IGST.
+ * @returns {Promise<Object>} - { lines: [per-line tax, same order as input], summary }.
+ */
+exports.calculateOrderTax = async ({ lines, promoDiscount = 0, shippingCost = 0, codFee = 0, destinationState }) => {
+  const itemIds = [...new Set(lines.map((line) => (line.item_id?._id || line.item_id).toString()))];
+  const items = await Item.find({ _id: { $in: itemIds } }, "hsnCode gstRate gstSlabs subCategoryId price");
+  const subCategories = await SubCategory.find(
+    { _id: { $in: items.map((item) => item.subCategoryId) } },
+    "hsnCode gstRate gstSlabs"
+  );
+
+  // Intra-state supply only when we know both ends are in the same state
+  const interState = !destinationState || normaliseState(destinationState) !== normaliseState(SHIPPER_STATE);
+
+  const lineValues = lines.map((line) => {
+    const item = items.find((i) => i._id.toString() === (line.item_id?._id || line.item_id).toString());
+    return (line.unit_price ?? item?.price ?? 0) * line.quantity;
+  });
+  const subtotal = lineValues.reduce((sum, value) => sum + value, 0);
+  const goodsDiscount = Math.min(promoDiscount, subtotal);
+  const discountRatio = subtotal > 0 ? goodsDiscount / subtotal : 0;
+
+  const summary = {
+    supply_type: interState ? "inter_state" : "intra_state",
+    shipper_state: SHIPPER_STATE,
+    place_of_supply: destinationState || null,
+    taxable_value: 0,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+    total_tax: 0,
+  };
+
+  const lineTaxes = lines.map((line, index) => {
+    const item = items.find((i) => i._id.toString() === (line.item_id?._id || line.item_id).toString());
+    const subCategory = subCategories.find((s) => s._id.toString() === item?.subCategoryId?.toString());
+    const netValue = lineValues[index] * (1 - discountRatio);
+    const { hsnCode, gstRate } = exports.resolveTaxRule(item, subCategory, netValue / line.quantity);
+    const split = exports.splitInclusiveAmount(netValue, gstRate, interState);
+
+    summary.taxable_value += split.taxable_value;
+    summary.cgst += split.cgst;
+    summary.sgst += split.sgst;
+    summary.igst += split.igst;
+    return { hsn_code: hsnCode, gst_rate: gstRate, amount: roundAmount(netValue), ...split };
+  });
+
+  const shippingValue = Math.max(shippingCost - (promoDiscount - goodsDiscount), 0) + codFee;
+  const shipping = {
+    sac_code: SHIPPING_SAC_CODE,
+    gst_rate: SHIPPING_GST_RATE,
+    amount: roundAmount(shippingValue),
+    ...exports.splitInclusiveAmount(shippingValue, SHIPPING_GST_RATE, interState),
+  };
+  summary.taxable_value += shipping.taxable_value;
+  summary.cgst += shipping.cgst;
+  summary.sgst += shipping.sgst;
+  summary.igst += shipping.igst;
+
+  for (const key of ["taxable_value", "cgst", "sgst", "igst"]) {
+    summary[key] = roundAmount(summary[key]);
+  }
+  summary.total_tax = roundAmount(summary.cgst + summary.sgst + summary.igst);
+  summary.shipping = shipping;
+
+  return { lines: lineTaxes, summary };
+};
+
+/**
+ * HSN code to send to Shiprocket for an order line.
+ * @param {Object} line - order.item_quantities entry.
+ * @param {Object} [item] - The line's Item document.
+ * @returns {string} - HSN code.
+ */
+exports.getLineHsnCode = (line, item) => line.tax?.hsn_code || item?.hsnCode || DEFAULT_HSN_CODE;
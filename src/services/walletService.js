@@ -0,0 +1,195 @@
+// Import required dependencies
+const Order = require("../models/Order"); // Mongoose model for Order collection
+const Wallet = require("../models/Wallet"); // Mongoose model for Wallet collection
+const WalletTransaction = require("../models/WalletTransaction"); // Mongoose model for WalletTransaction collection
+const { runInTransaction } = require("../utils/transaction"); // MongoDB transactions
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Current wallet balance of a user (0 when they have no wallet yet).
+ * @param {string} userId - User ID.
+ * @returns {Promise<number>} - Balance in rupees.
+ */
+exports.getWalletBalance = async (userId) => {
+  const wallet = await Wallet.findOne({ user: userId }, "balance");
+  return wallet ? wallet.balance : 0;
+};
+
+/**
+ * Adds money to a user's wallet and records the ledger entry.
+ * @param {Object} params - Credit details.
+ * @param {string} params.userId - Wallet owner.
+ * @param {number} params.amount - Amount in rupees (> 0).
+ * @param {string} params.source - "refund", "goodwill", "checkout_reversal" or "admin_adjustment".
+ * @param {string} [params.order] - Related order ID.
+ * @param {string} [params.refund] - Related refund ID.
+ * @param {string} [params.reason] - Why the credit was made.
+ * @param {string} [params.performedBy] - Admin who made it.
+ * @param {Object} [params.session] - MongoDB session when part of a transaction.
+ * @returns {Promise<Object>} - The WalletTransaction document.
+ */
+exports.creditWallet = async ({ userId, amount, source, order, refund, reason, performedBy, session }) => {
+  const value = roundAmount(Number(amount));
+  if (!(value > 0)) {
+    throw httpError(400, "Credit amount must be greater than zero");
+  }
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId },
+    { $inc: { balance: value } },
+    { new: true, upsert: true, session }
+  );
+
+  const [transaction] = await WalletTransaction.create(
+    [
+      {
+        user: userId,
+        type: "credit",
+        amount: value,
+        balance_after: roundAmount(wallet.balance),
+        source,
+        order,
+        refund,
+        reason,
+        performedBy,
+      },
+    ],
+    { session }
+  );
+  return transaction;
+};
+
+/**
+ * Takes money from a user's wallet, failing if the balance is too low.
+ * @param {Object} params - Debit details.
+ * @param {string} params.userId - Wallet owner.
+ * @param {number} params.amount - Amount in rupees (> 0).
+ * @param {string} params.source - "checkout" or "admin_adjustment".
+ * @param {string} [params.order] - Related order ID.
+ * @param {string} [params.reason] - Why the debit was made.
+ * @param {string} [params.performedBy] - Admin who made it.
+ * @param {Object} [params.session] - MongoDB session when part of a transaction.
+ * @returns {Promise<Object>} - The WalletTransaction document.
+ * @throws {Error} - With statusCode 400 when the balance is insufficient.
+ */
+exports.debitWallet = async ({ userId, amount, source, order, reason, performedBy, session }) => {
+  const value = roundAmount(Number(amount));
+  if (!(value > 0)) {
+    throw httpError(400, "Debit amount must be greater than zero");
+  }
+
+  // Conditional update so concurrent debits can never take the balance below zero
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId, balance: { $gte: value } },
+    { $inc: { balance: -value } },
+    { new: true, session }
+  );
+  if (!wallet) {
+    const balance = await exports.getWalletBalance(userId);
+    throw httpError(400, `Insufficient wallet balance. Available: ₹${balance}, Requested: ₹${value}`);
+  }
+
+  const [transaction] = await WalletTransaction.create(
+    [
+      {
+        user: userId,
+        type: "debit",
+        amount: value,
+        balance_after: roundAmount(wallet.balance),
+        source,
+        order,
+        reason,
+        performedBy,
+      },
+    ],
+    { session }
+  );
+  return transaction;
+};
+
+/**
+ * Page of a user's wallet ledger, newest first.
+ * @param {string} userId - Wallet owner.
+ * @param {Object} [options] - Paging.
+ * @param {number} [options.page] - Page number (1-based).
+ * @param {number} [options.limit] - Page size.
+ * @returns {Promise<Object>} - { transactions, total }.
+ */
+exports.getWalletHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .skip((Number(page) - 1) * Number(limit))
+      .limit(Number(limit))
+      .populate("performedBy", "name email"),
+    WalletTransaction.countDocuments({ user: userId }),
+  ]);
+  return { transactions, total };
+};
+
+/**
+ * Gives back the wallet balance held by an order that will not be paid (cancelled or expired).
+ * Runs at most once per order.
+ * @param {Object} order - Order document.
+ * @param {string} [reason] - Ledger note.
+ * @returns {Promise<Object|null>} - The credit WalletTransaction, or null if nothing was held.
+ */
+exports.releaseOrderWalletHold = async (order, reason = "Order not paid") => {
+  if (!(order.wallet_amount > 0)) {
+    return null;
+  }
+
+  // The order only counts as released if the credit is stored with it
+  const result = await runInTransaction(async (session) => {
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, wallet_amount: { $gt: 0 }, wallet_released_at: null, payment_status: { $ne: "Paid" } },
+      { $set: { wallet_released_at: new Date() } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      return null;
+    }
+    const transaction = await exports.creditWallet({
+      userId: order.user?._id || order.user,
+      amount: order.wallet_amount,
+      source: "checkout_reversal",
+      order: order._id,
+      reason,
+      session,
+    });
+    return { releasedAt: claimed.wallet_released_at, transaction };
+  });
+  if (!result) {
+    return null;
+  }
+  order.wallet_released_at = result.releasedAt;
+  return result.transaction;
+};
+
+/**
+ * Takes the wallet share of an order again after it was released, e.g. when a late
+ * payment revives an expired order.
+ * @param {Object} order - Order document.
+ * @param {Object} [options] - { session } when part of a transaction.
+ * @returns {Promise<Object|null>} - The debit WalletTransaction, or null if nothing was released.
+ * @throws {Error} - With statusCode 400 when the balance has been spent meanwhile.
+ */
+exports.recaptureOrderWalletHold = async (order, { session } = {}) => {
+  if (!(order.wallet_amount > 0) || !order.wallet_released_at) {
+    return null;
+  }
+
+  const transaction = await exports.debitWallet({
+    userId: order.user?._id || order.user,
+    amount: order.wallet_amount,
+    source: "checkout",
+    order: order._id,
+    reason: "Wallet share of order taken again",
+    session,
+  });
+  order.wallet_released_at = null;
+  await Order.updateOne({ _id: order._id }, { $set: { wallet_released_at: null } }, { session });
+  return transaction;
+};
@@ -0,0 +1,226 @@
+// Import required dependencies
+const mongoose = require("mongoose");
+const Item = require("../models/Item"); // Mongoose model for Item collection
+const ItemDetails = require("../models/ItemDetails"); // Mongoose model for ItemDetails collection
+const Warehouse = require("../models/Warehouse"); // Mongoose model for Warehouse collection
+const WarehouseStock = require("../models/WarehouseStock"); // Mongoose model for WarehouseStock collection
+const { runInTransaction } = require("../utils/transaction"); // MongoDB transactions
+const { httpError } = require("../utils/httpError"); // Errors carrying an HTTP status
+
+const toIdString = (value) => (value?._id || value).toString();
+
+// Pincode digits narrow down region, sub-region and sorting district in turn, so a longer
+// shared prefix means a closer warehouse
+function pincodeProximity(a, b) {
+  const left = String(a || "");
+  const right = String(b || "");
+  let shared = 0;
+  while (shared < Math.min(left.length, right.length) && left[shared] === right[shared]) {
+    shared += 1;
+  }
+  return shared;
+}
+
+/**
+ * Lists warehouses.
+ * @param {Object} [filters] - { activeOnly }.
+ * @returns {Promise<Array<Object>>} - Warehouse documents by priority.
+ */
+exports.listWarehouses = async ({ activeOnly = false } = {}) =>
+  Warehouse.find(activeOnly ? { isActive: true } : {}).sort({ priority: 1, createdAt: 1 });
+
+/**
+ * Creates a warehouse.
+ * @param {Object} fields - { name, pickup_location, address, phone, email, priority, isActive }.
+ * @returns {Promise<Object>} - The new Warehouse.
+ * @throws {Error} - With statusCode 400 for invalid fields, 409 if the pickup location is taken.
+ */
+exports.createWarehouse = async (fields) => {
+  try {
+    return await Warehouse.create(fields);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, `Pickup location ${fields.pickup_location} already belongs to a warehouse`);
+    }
+    if (error.name === "ValidationError") {
+      throw httpError(400, error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Updates a warehouse.
+ * @param {string} warehouseId - Warehouse ID.
+ * @param {Object} fields - Fields to change.
+ * @returns {Promise<Object>} - The updated Warehouse.
+ * @throws {Error} - With statusCode 404 if it does not exist, 400 / 409 as for createWarehouse.
+ */
+exports.updateWarehouse = async (warehouseId, fields) => {
+  if (!mongoose.Types.ObjectId.isValid(warehouseId)) {
+    throw httpError(400, "Invalid warehouse ID");
+  }
+  try {
+    const warehouse = await Warehouse.findByIdAndUpdate(warehouseId, { $set: fields }, { new: true, runValidators: true });
+    if (!warehouse) {
+      throw httpError(404, "Warehouse not found");
+    }
+    return warehouse;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, `Pickup location ${fields.pickup_location} already belongs to a warehouse`);
+    }
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      throw httpError(400, error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Recomputes an item's stock from its warehouse stock: each ItemDetails size gets the sum
+ * across warehouses, and Item.stock the sum across sizes. Items with no warehouse stock
+ * are left alone.
+ * @param {string} itemId - Item ID.
+ * @param {Object} [options] - { session } when part of a transaction.
+ * @returns {Promise<number|null>} - The item's new total stock, or null if it is not stocked per warehouse.
+ */
+exports.rollUpItemStock = async (itemId, { session } = {}) => {
+  const totals = await WarehouseStock.aggregate([
+    { $match: { item: new mongoose.Types.ObjectId(toIdString(itemId)) } },
+    { $group: { _id: "$sku", stock: { $sum: "$stock" }, reserved: { $sum: "$reserved" } } },
+  ]).session(session || null);
+  if (totals.length === 0) {
+    return null;
+  }
+
+  const itemDetails = await ItemDetails.findOne({ items: itemId }).session(session || null);
+  if (!itemDetails) {
+    throw httpError(404, `ItemDetails not found for item ID: ${itemId}`);
+  }
+  const bySku = new Map(totals.map((total) => [total._id, total]));
+  let itemStock = 0;
+  for (const color of itemDetails.colors) {
+    for (const size of color.sizes) {
+      const total = bySku.get(size.sku);
+      if (total) {
+        size.stock = total.stock;
+        size.reserved = total.reserved;
+      }
+      itemStock += size.stock;
+    }
+  }
+  await itemDetails.save({ session });
+  await Item.updateOne({ _id: itemId }, { $set: { stock: itemStock } }, { session });
+  return itemStock;
+};
+
+/**
+ * Sets the available stock of SKUs at a warehouse and rolls the totals up to ItemDetails and Item.
+ * @param {string} warehouseId - Warehouse ID.
+ * @param {Array<Object>} entries - [{ itemId, sku, stock }].
+ * @returns {Promise<Array<Object>>} - The updated WarehouseStock documents.
+ * @throws {Error} - With statusCode 400 for invalid entries or unknown SKUs, 404 for an unknown warehouse.
+ */
+exports.setWarehouseStock = async (warehouseId, entries) => {
+  if (!mongoose.Types.ObjectId.isValid(warehouseId)) {
+    throw httpError(400, "Invalid warehouse ID");
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw httpError(400, "entries must be a non-empty array of { itemId, sku, stock }");
+  }
+  const warehouse = await Warehouse.findById(warehouseId);
+  if (!warehouse) {
+    throw httpError(404, "Warehouse not found");
+  }
+
+  for (const entry of entries) {
+    if (!mongoose.Types.ObjectId.isValid(entry.itemId) || !entry.sku) {
+      throw httpError(400, "Each entry needs a valid itemId and sku");
+    }
+    if (!Number.isInteger(Number(entry.stock)) || Number(entry.stock) < 0) {
+      throw httpError(400, `Stock for SKU ${entry.sku} must be a whole number of at least 0`);
+    }
+  }
+
+  const itemIds = [...new Set(entries.map((entry) => entry.itemId.toString()))];
+  const details = await ItemDetails.find({ items: { $in: itemIds } }).select("items colors.sizes.sku");
+  for (const entry of entries) {
+    const detail = details.find((d) => d.items.toString() === entry.itemId.toString());
+    const skuExists = detail?.colors.some((color) => color.sizes.some((size) => size.sku === entry.sku));
+    if (!skuExists) {
+      throw httpError(400, `SKU ${entry.sku} not found for item ${entry.itemId}`);
+    }
+  }
+
+  return runInTransaction(async (session) => {
+    const updated = [];
+    for (const entry of entries) {
+      updated.push(
+        await WarehouseStock.findOneAndUpdate(
+          { warehouse: warehouse._id, item: entry.itemId, sku: entry.sku },
+          { $set: { stock: Number(entry.stock) } },
+          { new: true, upsert: true, session }
+        )
+      );
+    }
+    for (const itemId of itemIds) {
+      await exports.rollUpItemStock(itemId, { session });
+    }
+    return updated;
+  });
+};
+
+/**
+ * Stock held at a warehouse.
+ * @param {string} warehouseId - Warehouse ID.
+ * @returns {Promise<Array<Object>>} - WarehouseStock documents with item names.
+ */
+exports.getWarehouseStock = async (warehouseId) =>
+  WarehouseStock.find({ warehouse: warehouseId }).populate("item", "name productId").sort({ item: 1, sku: 1 }).lean();
+
+/**
+ * Works out which warehouses could ship a set of lines, closest to the delivery pincode first.
+ * Only items stocked per warehouse constrain the choice; other items ship from wherever the
+ * order goes. A warehouse qualifies when it has every such line in stock.
+ * @param {Object} params - { lines: [{ item_id, sku, quantity }], pincode, session }.
+ * @returns {Promise<Object>} - { managedItemIds: Set of item ID strings, warehouses: ranked Warehouse
+ *   documents }. warehouses is empty when none can ship everything, and managedItemIds is empty
+ *   when no line is stocked per warehouse.
+ */
+exports.rankWarehousesForLines = async ({ lines, pincode, session }) => {
+  const itemIds = [...new Set(lines.map((line) => toIdString(line.item_id)))];
+  const stockRows = await WarehouseStock.find({ item: { $in: itemIds } })
+    .populate({ path: "warehouse", match: { isActive: true } })
+    .session(session || null);
+  const managedItemIds = new Set(stockRows.map((row) => row.item.toString()));
+  if (managedItemIds.size === 0) {
+    return { managedItemIds, warehouses: [] };
+  }
+
+  // The same SKU can appear on several lines (e.g. a free BOGO line)
+  const needed = new Map();
+  for (const line of lines.filter((l) => managedItemIds.has(toIdString(l.item_id)))) {
+    const key = `${toIdString(line.item_id)}:${line.sku}`;
+    needed.set(key, (needed.get(key) || 0) + line.quantity);
+  }
+
+  const byWarehouse = new Map();
+  for (const row of stockRows.filter((r) => r.warehouse)) {
+    const id = row.warehouse._id.toString();
+    if (!byWarehouse.has(id)) {
+      byWarehouse.set(id, { warehouse: row.warehouse, stock: new Map() });
+    }
+    byWarehouse.get(id).stock.set(`${row.item.toString()}:${row.sku}`, row.stock);
+  }
+
+  const warehouses = [...byWarehouse.values()]
+    .filter(({ stock }) => [...needed].every(([key, quantity]) => (stock.get(key) || 0) >= quantity))
+    .map(({ warehouse }) => warehouse)
+    .sort(
+      (a, b) =>
+        pincodeProximity(b.address.pincode, pincode) - pincodeProximity(a.address.pincode, pincode) ||
+        a.priority - b.priority
+    );
+  return { managedItemIds, warehouses };
+};
@@ -0,0 +1,46 @@
+// Import required dependencies
+const WebhookEvent = require("../models/WebhookEvent"); // Mongoose model for WebhookEvent collection
+
+// A delivery still "processing" after this long is assumed to have died with its server
+const WEBHOOK_LOCK_SECONDS = Number(process.env.WEBHOOK_LOCK_SECONDS || 60);
+
+const lockExpiry = () => new Date(Date.now() + WEBHOOK_LOCK_SECONDS * 1000);
+
+/**
+ * Records a webhook delivery and claims its event for processing. A redelivery claims the
+ * event again when the earlier attempt failed, or when it is still "processing" past its lock
+ * (the server stopped mid-way); otherwise the caller should not process it.
+ * @param {Object} params - { provider, eventId, event }.
+ * @returns {Promise<Object>} - { webhookEvent } when claimed, or { duplicate: "processed" | "processing" }
+ *   when the event was already handled or is being handled right now.
+ */
+exports.claimWebhookEvent = async ({ provider, eventId, event }) => {
+  try {
+    const webhookEvent = await WebhookEvent.create({ provider, eventId, event, lockedUntil: lockExpiry() });
+    return { webhookEvent };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const now = new Date();
+  const webhookEvent = await WebhookEvent.findOneAndUpdate(
+    {
+      provider,
+      eventId,
+      $or: [
+        { status: "failed" },
+        // Events recorded before the lock was introduced have no lockedUntil and are stale too
+        { status: "processing", lockedUntil: { $not: { $gt: now } } },
+      ],
+    },
+    { $set: { status: "processing", lockedUntil: lockExpiry() } },
+    { new: true }
+  );
+  if (webhookEvent) {
+    return { webhookEvent };
+  }
+  const existing = await WebhookEvent.findOne({ provider, eventId }).select("status");
+  return { duplicate: existing?.status === "processing" ? "processing" : "processed" };
+};
@@ -0,0 +1,13 @@
+/**
+ * Creates an error carrying the HTTP status a controller should answer with.
+ * Controllers send error.message to the client when error.statusCode is set.
+ * @param {number} statusCode - HTTP status code (e.g. 400, 404, 409).
+ * @param {string} message - Message for the client.
+ * @param {Object} [fields] - Extra properties to put on the error (e.g. details, response).
+ * @returns {Error} - The error, with statusCode and any extra fields set.
+ */
+exports.httpError = (statusCode, message, fields = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return Object.assign(error, fields);
+};
@@ -0,0 +1,125 @@
+const PDFDocument = require("pdfkit");
+
+// Table columns: [header, width, value getter, align]
+const COLUMNS = [
+  ["#", 18, (line, index) => String(index + 1), "left"],
+  ["Description", 105, (line) => (line.sku ? `${line.description} (${line.sku})` : line.description), "left"],
+  ["HSN/SAC", 45, (line) => line.hsn_code || "", "left"],
+  ["Qty", 25, (line) => String(line.quantity), "right"],
+  ["Rate", 45, (line) => formatAmount(line.unit_price), "right"],
+  ["Disc.", 40, (line) => formatAmount(line.discount), "right"],
+  ["Taxable", 50, (line) => formatAmount(line.taxable_value), "right"],
+  ["GST %", 30, (line) => `${line.gst_rate ?? 0}`, "right"],
+  ["CGST", 38, (line) => formatAmount(line.cgst), "right"],
+  ["SGST", 38, (line) => formatAmount(line.sgst), "right"],
+  ["IGST", 38, (line) => formatAmount(line.igst), "right"],
+  ["Amount", 43, (line) => formatAmount(line.amount), "right"],
+];
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+// Draws one table row and returns the y position below it
+function drawRow(pdf, cells, y, { bold = false } = {}) {
+  pdf.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7);
+  let x = pdf.page.margins.left;
+  let rowHeight = 0;
+  COLUMNS.forEach(([, width, , align], index) => {
+    const height = pdf.heightOfString(cells[index], { width: width - 4 });
+    pdf.text(cells[index], x + 2, y, { width: width - 4, align });
+    rowHeight = Math.max(rowHeight, height);
+    x += width;
+  });
+  return y + rowHeight + 4;
+}
+
+/**
+ * Renders a tax invoice or credit note as a PDF.
+ * @param {Object} document - Invoice document (type invoice or credit_note).
+ * @param {Object} [options] - Extra details.
+ * @param {string} [options.originalInvoiceNumber] - Invoice a credit note adjusts.
+ * @returns {Promise<Buffer>} - The PDF file contents.
+ */
+exports.renderInvoicePdf = (document, { originalInvoiceNumber } = {}) =>
+  new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    const isCreditNote = document.type === "credit_note";
+    const left = pdf.page.margins.left;
+    const width = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+
+    // Title
+    pdf.font("Helvetica-Bold").fontSize(16).text(isCreditNote ? "CREDIT NOTE" : "TAX INVOICE", { align: "center" });
+    pdf.moveDown(0.5);
+
+    // Seller and document details
+    pdf.font("Helvetica-Bold").fontSize(10).text(document.seller?.name || "");
+    pdf.font("Helvetica").fontSize(9);
+    if (document.seller?.address) pdf.text(document.seller.address);
+    pdf.text(`GSTIN: ${document.seller?.gstin || "-"}`);
+    pdf.text(`State: ${document.seller?.state || "-"}`);
+    pdf.moveDown(0.5);
+    pdf.text(`${isCreditNote ? "Credit Note" : "Invoice"} No: ${document.number}`);
+    pdf.text(`Date: ${new Date(document.issued_at).toLocaleDateString("en-IN")}`);
+    pdf.text(`Order ID: ${document.order}`);
+    if (isCreditNote && originalInvoiceNumber) {
+      pdf.text(`Against Invoice No: ${originalInvoiceNumber}`);
+    }
+    pdf.moveDown(0.5);
+
+    // Buyer
+    pdf.font("Helvetica-Bold").text("Bill To / Ship To");
+    pdf.font("Helvetica");
+    if (document.buyer?.name) pdf.text(document.buyer.name);
+    if (document.buyer?.address) pdf.text(document.buyer.address);
+    pdf.text([document.buyer?.state, document.buyer?.pinCode].filter(Boolean).join(" - "));
+    if (document.buyer?.phone) pdf.text(`Phone: ${document.buyer.phone}`);
+    pdf.text(`Place of Supply: ${document.place_of_supply || "-"}`);
+    pdf.moveDown(1);
+
+    // Line items
+    let y = drawRow(pdf, COLUMNS.map(([header]) => header), pdf.y, { bold: true });
+    pdf.moveTo(left, y - 2).lineTo(left + width, y - 2).stroke();
+    document.lines.forEach((line, index) => {
+      if (y > pdf.page.height - pdf.page.margins.bottom - 120) {
+        pdf.addPage();
+        y = pdf.page.margins.top;
+      }
+      y = drawRow(pdf, COLUMNS.map(([, , value]) => value(line, index)), y);
+    });
+    pdf.moveTo(left, y).lineTo(left + width, y).stroke();
+
+    // Totals
+    const totals = [
+      ["Subtotal", document.subtotal],
+      [`Promo discount${document.promo_code ? ` (${document.promo_code})` : ""}`, document.promo_discount ? -document.promo_discount : 0],
+      ["Shipping charges", document.shipping_charge],
+      ["Taxable value", document.taxable_value],
+      ["CGST", document.cgst],
+      ["SGST", document.sgst],
+      ["IGST", document.igst],
+      ["Total tax", document.total_tax],
+      [isCreditNote ? "Credit note value" : "Invoice total", document.total],
+    ];
+    pdf.fontSize(9);
+    let totalsY = y + 10;
+    totals.forEach(([label, value], index) => {
+      const isLast = index === totals.length - 1;
+      pdf.font(isLast ? "Helvetica-Bold" : "Helvetica");
+      pdf.text(label, left + width - 220, totalsY, { width: 140 });
+      pdf.text(`Rs. ${formatAmount(value)}`, left + width - 80, totalsY, { width: 80, align: "right" });
+      totalsY += 14;
+    });
+
+    pdf.font("Helvetica").fontSize(8).text(
+      "Prices are inclusive of GST. This is a computer-generated document and does not require a signature.",
+      left,
+      totalsY + 20,
+      { width }
+    );
+
+    pdf.end();
+  });
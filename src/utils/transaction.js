@@ -0,0 +1,38 @@
+// Runs a unit of work in a MongoDB transaction
+const mongoose = require("mongoose");
+
+let warnedUnsupported = false;
+
+// Standalone mongod (typical in local development) has no transactions
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed|replica set/i.test(error.message || "");
+
+/**
+ * Runs work inside a MongoDB transaction, committing it only if every write succeeds.
+ * The callback can be retried on transient errors, so it must not depend on state it
+ * changed in an earlier attempt. On a server without transaction support the work runs
+ * without a session (and without atomicity), with a warning.
+ * @param {Function} work - async (session) => result; pass the session to every query.
+ * @returns {Promise<*>} - Whatever work returned.
+ */
+exports.runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) {
+      throw error;
+    }
+    if (!warnedUnsupported) {
+      console.warn("MongoDB transactions are not available (not a replica set); running without them");
+      warnedUnsupported = true;
+    }
+    return work(undefined);
+  } finally {
+    await session.endSession();
+  }
+};